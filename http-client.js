@@ -41,12 +41,13 @@ async function buildHttpError(url, response) {
     error.isHttpError = true;
     error.statusCode = response.status;
     error.details = details;
-    error.response = { status: response.status, data: details };
+    error.headers = headersToObject(response.headers);
+    error.response = { status: response.status, data: details, headers: error.headers };
     return error;
 }
 
-async function fetchJsonResponse(url, { method = 'POST', headers = {}, body } = {}) {
-    const response = await fetch(url, { method, headers, body });
+async function fetchJsonResponse(url, { method = 'POST', headers = {}, body, signal } = {}) {
+    const response = await fetch(url, { method, headers, body, signal });
     if (!response.ok) {
         throw await buildHttpError(url, response);
     }
@@ -58,8 +59,8 @@ async function fetchJsonResponse(url, { method = 'POST', headers = {}, body } =
     };
 }
 
-async function fetchBinaryResponse(url, { method = 'GET', headers = {}, body } = {}) {
-    const response = await fetch(url, { method, headers, body });
+async function fetchBinaryResponse(url, { method = 'GET', headers = {}, body, signal } = {}) {
+    const response = await fetch(url, { method, headers, body, signal });
     if (!response.ok) {
         throw await buildHttpError(url, response);
     }
@@ -71,8 +72,8 @@ async function fetchBinaryResponse(url, { method = 'GET', headers = {}, body } =
     };
 }
 
-async function fetchStreamResponse(url, { method = 'POST', headers = {}, body } = {}) {
-    const response = await fetch(url, { method, headers, body });
+async function fetchStreamResponse(url, { method = 'POST', headers = {}, body, signal } = {}) {
+    const response = await fetch(url, { method, headers, body, signal });
     if (!response.ok) {
         throw await buildHttpError(url, response);
     }
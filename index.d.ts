@@ -38,9 +38,301 @@ export interface RetryConfig {
   retries?: number;
   baseDelayMs?: number;
   maxDelayMs?: number;
+  /** Fraction of each delay added as random extra wait (default 0.2). */
+  jitter?: number;
   retryableStatusCodes?: number[];
 }
 
+export type FailureAction = 'retry' | 'fallback' | 'abort';
+
+/** Status code, error name/code, or error class. */
+export type FallbackRule = number | string | (new (...args: any[]) => unknown);
+
+export interface FallbackDecisionContext {
+  model: string;
+  /** Provider class name, e.g. 'MixAnthropic'. */
+  provider: string;
+  statusCode: number | null;
+  /** 0-based retry number on the current model. */
+  attempt: number;
+  retriesLeft: number;
+}
+
+export interface FallbackPolicyConfig {
+  abortOn?: FallbackRule[];
+  retryOn?: FallbackRule[];
+  decide?: ((error: unknown, context: FallbackDecisionContext) => FailureAction | undefined | null) | null;
+}
+
+export interface CircuitBreakerConfig {
+  enabled?: boolean;
+  /** Consecutive failed attempts before the circuit opens. */
+  failureThreshold?: number;
+  /** How long an open circuit skips the model before a half-open probe. */
+  cooldownMs?: number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerState {
+  index: number;
+  key: string;
+  provider: string;
+  state: CircuitState;
+  failures: number;
+  trips: number;
+  openedAt: number | null;
+  lastFailureAt: number | null;
+  retryAt: number | null;
+}
+
+export type RoutingStrategy = 'fallback' | 'round-robin' | 'weighted' | 'score';
+
+export interface ModelStats {
+  /** Moving averages; null until the model has been measured. */
+  latencyMs: number | null;
+  errorRate: number | null;
+  cost: number | null;
+  samples: number;
+  failures: number;
+}
+
+export interface ScoreCoefficients {
+  /** Points per second of latency (default 1). */
+  latency?: number;
+  /** Points per 100% error rate (default 10). */
+  errorRate?: number;
+  /** Points per dollar per call (default 1000). */
+  cost?: number;
+}
+
+export interface RoutingConfig {
+  /** null = 'round-robin' when roundRobin is set, 'fallback' otherwise. */
+  strategy?: RoutingStrategy | null;
+  /** By attach index, or by model key. */
+  weights?: number[] | Record<string, number> | null;
+  score?: ScoreCoefficients | ((stats: ModelStats, model: { key: string; provider: MixCustom }) => number) | null;
+  /** Weight of each new sample in the moving averages (default 0.2). */
+  smoothing?: number;
+}
+
+export interface RoutingState {
+  strategy: RoutingStrategy | null;
+  order: Array<{ index: number; key: string; weight?: number; score?: number }>;
+  models: Array<ModelStats & { index: number; key: string; provider: string }>;
+}
+
+export interface BudgetConfig {
+  /** USD per call, tool rounds included. null = no cap. */
+  perCall?: number | null;
+  /** USD over the lifetime of the instance. */
+  perInstance?: number | null;
+  /** USD within the sliding window of `windowMs`. */
+  perWindow?: number | null;
+  windowMs?: number;
+  /** 'fallback' skips over-budget models instead of failing the call. */
+  onExceeded?: 'throw' | 'fallback';
+}
+
+export interface UsageLedgerEntry {
+  timestamp: string;
+  model: string;
+  provider: string;
+  executionId: string | null;
+  parentExecutionId: string | null;
+  source: 'provider' | 'cache' | 'dedupe';
+  input: number;
+  output: number;
+  thinking: number;
+  cached: number;
+  cacheWrite: number;
+  cacheSavings: number;
+  cacheWritePremium: number;
+  cost: number;
+}
+
+export interface UsageSummary {
+  calls: number;
+  input: number;
+  output: number;
+  thinking: number;
+  cached: number;
+  cacheWrite: number;
+  cacheSavings: number;
+  cacheWritePremium: number;
+  cost: number;
+}
+
+export interface BudgetState extends Required<BudgetConfig> {
+  spent: { instance: number; window: number };
+}
+
+/** Any key/value store; values are plain JSON. `ttlMs` lets stores expire entries natively. */
+export interface ResponseCacheStore {
+  get(key: string): Promise<unknown> | unknown;
+  set(key: string, value: unknown, options: { ttlMs: number }): Promise<void> | void;
+  delete?(key: string): Promise<void> | void;
+}
+
+export interface ResponseCacheConfig {
+  enabled?: boolean;
+  /** 0 = entries never expire. */
+  ttlMs?: number;
+  /** null = in-memory LRU shared by instances created with .new(). */
+  store?: ResponseCacheStore | null;
+  read?: boolean;
+  write?: boolean;
+}
+
+/** false skips the response cache; 'refresh' skips the read and stores the new result. */
+export type ResponseCacheFlag = boolean | 'refresh';
+
+export interface TpmConfig {
+  /** Tokens per minute by provider family ('openai', 'anthropic', 'google', or the provider class name). */
+  families?: Record<string, number>;
+  /** Tokens per minute by model key. */
+  models?: Record<string, number>;
+  /** Reserve max_tokens on top of the prompt estimate (default true). */
+  reserveOutput?: boolean;
+}
+
+export interface TokenBucketState {
+  scope: 'family' | 'model';
+  name: string;
+  tpm: number;
+  /** Negative while reservations are waiting for the refill. */
+  available: number;
+}
+
+export interface AdaptiveLimiterConfig {
+  /** Tune the Bottleneck reservoir and concurrency from provider quotas (default false). */
+  enabled?: boolean;
+  /** Share of the token quota below which calls run one at a time (default 0.1). */
+  tokenThreshold?: number;
+}
+
+export interface RateLimitQuota {
+  limit: number | null;
+  remaining: number | null;
+  /** Epoch milliseconds. */
+  resetAt: number | null;
+}
+
+export interface RateLimitSnapshot {
+  provider: string;
+  model: string;
+  updatedAt: number;
+  requests?: RateLimitQuota;
+  tokens?: RateLimitQuota;
+  inputTokens?: RateLimitQuota;
+  outputTokens?: RateLimitQuota;
+}
+
+export interface LogEntry {
+  event: string;
+  [key: string]: unknown;
+}
+
+/** Receives debug records; pino and similar loggers fit as is. */
+export interface ModelMixLogger {
+  debug(entry: LogEntry): void;
+  info(entry: LogEntry): void;
+  warn(entry: LogEntry): void;
+  error(entry: LogEntry): void;
+}
+
+/** The subset of an OpenTelemetry Span used by ModelMix. */
+export interface TraceSpan {
+  setAttribute(key: string, value: unknown): unknown;
+  setAttributes(attributes: Record<string, unknown>): unknown;
+  recordException?(error: unknown): unknown;
+  setStatus?(status: { code: number; message?: string }): unknown;
+  end(): void;
+}
+
+/** An OpenTelemetry Tracer, or any tracer with the same startSpan(). */
+export interface Tracer {
+  startSpan(
+    name: string,
+    options?: { kind?: number; attributes?: Record<string, unknown> },
+    /** An OpenTelemetry context, or { parentSpan } without @opentelemetry/api. */
+    context?: unknown
+  ): TraceSpan;
+}
+
+export interface ModelMixEventBase {
+  event: string;
+  /** Epoch milliseconds. */
+  timestamp: number;
+}
+
+/** The attempt whose answer asked for the tool. */
+export interface ToolEventOrigin {
+  model: string | null;
+  attemptElapsedMs: number | null;
+  tokens: TokenUsage | null;
+  cost: number;
+}
+
+export interface ModelMixEvents {
+  'attempt:start': ModelMixEventBase & {
+    model: string;
+    provider: string;
+    attempt: number;
+    index: number;
+    hedged: boolean;
+    /** Milliseconds since the call started, queue wait and earlier attempts included. */
+    callElapsedMs: number;
+  };
+  'attempt:retry': ModelMixEventBase & {
+    model: string;
+    provider: string;
+    retry: number;
+    delayMs: number;
+    elapsedMs: number;
+    statusCode: number | null;
+    error: unknown;
+  };
+  'attempt:error': ModelMixEventBase & {
+    model: string;
+    provider: string;
+    attempt: number;
+    hedged: boolean;
+    elapsedMs: number;
+    retries: number;
+    action: 'retry' | 'fallback' | 'abort';
+    statusCode: number | null;
+    message: string;
+    error: unknown;
+  };
+  'attempt:fallback': ModelMixEventBase & { model: string; next: string; attempt: number };
+  'attempt:success': ModelMixEventBase & {
+    model: string;
+    provider: string;
+    attempt: number;
+    hedged: boolean;
+    elapsedMs: number;
+    retries: number;
+    tokens: TokenUsage | null;
+    cost: number;
+    cached: boolean;
+    deduped: boolean;
+  };
+  'attempt:repair': ModelMixEventBase & {
+    model: string;
+    provider: string;
+    attempt: number;
+    repair: number;
+    violations: JsonViolation[];
+  };
+  'json:repaired': ModelMixEventBase & { model: string; provider: string; attempt: number; repairs: JsonRepairKind[] };
+  'tool:call': ModelMixEventBase & ToolEventOrigin & { name: string; id: string; arguments: unknown };
+  'tool:result': ModelMixEventBase & ToolEventOrigin & { name: string; id: string; content: string; elapsedMs: number; error?: unknown };
+  'stream:delta': ModelMixEventBase & { model: string; provider: string; delta: string; message: string };
+}
+
+export type ModelMixEventName = keyof ModelMixEvents;
+
 export interface ModelMixOptions {
   max_tokens?: number;
   temperature?: number;
@@ -65,9 +357,38 @@ export interface ModelMixConfig {
   max_history?: number;
   /** 0=silent, 1=minimal, 2=summary, 3=full, 4=verbose */
   debug?: DebugLevel | number;
+  /** Receives the debug records; defaults to JSON lines, with warnings and errors on stderr. */
+  logger?: ModelMixLogger | null;
   bottleneck?: BottleneckConfig;
+  /** Process-wide limiter shared by every instance using the same name. */
+  limiterGroup?: string | null;
+  /** Bottleneck job priority: 0 runs first, 9 runs last (default 5). */
+  priority?: number;
+  /** Limiter capacity a call takes (default 1). */
+  weight?: number;
   retry?: RetryConfig;
   roundRobin?: boolean;
+  routing?: RoutingConfig;
+  budget?: BudgetConfig;
+  responseCache?: ResponseCacheConfig;
+  /** true = concurrent identical requests share one provider call */
+  dedupe?: boolean;
+  tpm?: TpmConfig;
+  adaptiveLimiter?: AdaptiveLimiterConfig;
+  tracer?: Tracer | null;
+  jsonValidation?: JsonValidationConfig;
+  /** json(): use the provider's native structured outputs where supported (default true). */
+  structuredOutputs?: boolean;
+  /** Ledger shared by several instances; null = the instance's own. */
+  usageLedger?: UsageLedger | null;
+  circuitBreaker?: CircuitBreakerConfig;
+  fallback?: FallbackPolicyConfig;
+  /** 0 = sequential fallback, N = start the next model in parallel after N ms without an answer */
+  hedgeAfterMs?: number;
+  /** 0 = no limit, N = abort a single provider attempt after N ms and retry or fall back */
+  timeoutMs?: number;
+  /** 0 = no limit, N = fail the whole call with a TimeoutError after N ms */
+  deadlineMs?: number;
   /** Unified effort (-1 adaptive, or 0–100). Not a native provider field. */
   effort?: EffortValue | null;
   templateData?: Record<string, unknown>;
@@ -181,6 +502,20 @@ export interface TokenUsage {
   speed?: number;
 }
 
+export interface HedgeLoser {
+  key: string;
+  status: 'aborted' | 'failed';
+  elapsedMs: number;
+  estimatedInputTokens: number;
+  estimatedCost: number;
+}
+
+export interface HedgeInfo {
+  winner: string;
+  elapsedMs: number;
+  losers: HedgeLoser[];
+}
+
 export interface ModelMixResult {
   message?: string;
   think?: string | null;
@@ -191,6 +526,16 @@ export interface ModelMixResult {
   assistantMessage?: ChatMessage;
   execution?: PluginExecutionMetadata;
   moderation?: ModerationResult[];
+  hedge?: HedgeInfo;
+  /** True when the result was served from the response cache (tokens.cost is 0). */
+  cached?: boolean;
+  /** True when the result was shared from an identical request in flight (tokens.cost is 0). */
+  deduped?: boolean;
+  /** HTTP response headers, including provider rate-limit headers. */
+  headers?: Record<string, string>;
+  /** json() only: whether the output needed a repair before it parsed. */
+  /** `truncated`: the answer hit the output token limit and needed closing, so json() rejected it. */
+  jsonRepair?: { repaired: boolean; repairs: JsonRepairKind[]; truncated: boolean };
   [key: string]: unknown;
 }
 
@@ -247,6 +592,8 @@ export interface ChildInvocation {
   plugins?: PluginInheritancePolicy;
   history?: false;
   outputMode?: ModelMixOutputMode;
+  /** Defaults to the parent execution's signal. */
+  signal?: AbortSignal;
 }
 
 export interface PluginExecutionContext {
@@ -258,6 +605,7 @@ export interface PluginExecutionContext {
     outputMode: ModelMixOutputMode;
   };
   execution: Readonly<PluginExecutionMetadata>;
+  signal?: AbortSignal;
   invoke(input: ChildInvocation): Promise<ModelMixResult>;
 }
 
@@ -283,6 +631,12 @@ export interface SchemaFieldDescriptor {
   enum?: unknown[];
   default?: unknown;
   nullable?: boolean;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  examples?: unknown[];
   [key: string]: unknown;
 }
 
@@ -292,15 +646,85 @@ export type SchemaDescription =
   | SchemaDescription[]
   | { [key: string]: SchemaDescription };
 
-export interface JsonMethodOptions {
+export type JsonSchemaType = 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+
+/** A plain JSON Schema passed to json() instead of an example. */
+export type JsonSchemaObject =
+  | { $schema: string; [keyword: string]: unknown }
+  | { type: JsonSchemaType | JsonSchemaType[]; [keyword: string]: unknown };
+
+export interface SchemaIssue {
+  message: string;
+  path?: ReadonlyArray<PropertyKey | { key: PropertyKey }>;
+}
+
+type SafeParseResult<T> =
+  | { success: true; data: T }
+  | { success: false; error: { issues: SchemaIssue[] } };
+
+/** Zod-style schema: validated with safeParseAsync or safeParse, described by toJSONSchema when present. */
+export interface ZodLikeSchema<T = unknown> {
+  safeParse?(value: unknown): SafeParseResult<T>;
+  safeParseAsync?(value: unknown): Promise<SafeParseResult<T>>;
+  toJSONSchema?(): Record<string, unknown>;
+}
+
+/** Standard Schema validator, described by its Standard JSON Schema output. */
+export interface StandardSchemaLike<T = unknown> {
+  '~standard': {
+    version: 1;
+    vendor: string;
+    validate(value: unknown):
+      | { value: T; issues?: undefined }
+      | { issues: SchemaIssue[] }
+      | Promise<{ value: T; issues?: undefined } | { issues: SchemaIssue[] }>;
+    jsonSchema?: { output(options: { target: string }): Record<string, unknown> };
+  };
+}
+
+export interface JsonValidationConfig {
+  /** json() checks the parsed output against its schema (default true). */
+  enabled?: boolean;
+  /** Repair turns on the same model before falling back (default 1). */
+  maxRepairs?: number;
+}
+
+export interface SchedulingOptions {
+  /** Bottleneck job priority: 0 runs first, 9 runs last (default 5). */
+  priority?: number;
+  /** Limiter capacity the call takes (default 1). */
+  weight?: number;
+}
+
+export interface JsonMethodOptions extends SchedulingOptions {
   type?: string;
   addExample?: boolean;
   addSchema?: boolean;
   addNote?: boolean;
+  /** Check the parsed output against the schema (default true). */
+  validate?: boolean;
+  /** Repair turns on the same model before falling back (default 1). */
+  maxRepairs?: number;
+  /** Enforce the schema with native structured outputs where supported (default true). */
+  structured?: boolean;
+  signal?: AbortSignal;
+  cache?: ResponseCacheFlag;
+}
+
+export interface SignalOptions {
+  signal?: AbortSignal;
 }
 
-export interface BlockOptions {
+export interface CallOptions extends SignalOptions, SchedulingOptions {
+  cache?: ResponseCacheFlag;
+}
+
+export interface StreamOptions extends SignalOptions, SchedulingOptions {}
+
+export interface BlockOptions extends SchedulingOptions {
   addSystemExtra?: boolean;
+  signal?: AbortSignal;
+  cache?: ResponseCacheFlag;
 }
 
 export interface ToolDefinition {
@@ -311,7 +735,8 @@ export interface ToolDefinition {
 }
 
 export type ToolCallback = (
-  args: Record<string, unknown>
+  args: Record<string, unknown>,
+  context: { signal?: AbortSignal }
 ) => unknown | Promise<unknown>;
 
 export interface ToolWithCallback {
@@ -343,6 +768,7 @@ export interface CreateArgs {
   config?: ModelMixConfig;
   options?: ModelMixOptions;
   outputMode?: ModelMixOutputMode;
+  signal?: AbortSignal;
 }
 
 export type ProviderFamily =
@@ -369,6 +795,11 @@ export declare class ModelMix {
   constructor(setup?: ModelMixSetup);
 
   static new(setup?: ModelMixSetup): ModelMix;
+  on<E extends ModelMixEventName>(event: E, listener: (payload: ModelMixEvents[E]) => void): this;
+  once<E extends ModelMixEventName>(event: E, listener: (payload: ModelMixEvents[E]) => void): this;
+  off<E extends ModelMixEventName>(event: E, listener: (payload: ModelMixEvents[E]) => void): this;
+  /** Shared limiter of a `limiterGroup`, or null when no instance created it yet. */
+  static getLimiterGroup(name: string): import('bottleneck').default | null;
   use(plugin: ModelMixPlugin): this;
   static formatJSON(obj: unknown): string;
   static formatMessage(message: unknown): unknown;
@@ -439,6 +870,13 @@ export declare class ModelMix {
   /** Attach an ordered model chain. Use `shortcut@effort` for a per-model override. */
   chain(...modelSpecs: string[]): this;
   attach(key: string, provider: MixCustom): this;
+  getCircuitBreakerState(): CircuitBreakerState[];
+  getRoutingState(): RoutingState;
+  getBudgetState(): BudgetState;
+  getUsageLedger(): UsageLedger;
+  getTokenLimiterState(): Array<{ index: number; key: string; provider: string; buckets: TokenBucketState[] }>;
+  getQueueState(): { queued: number; running: number; byPriority: number[] };
+  getRateLimitState(): Record<string, RateLimitSnapshot>;
 
   // OpenAI
   gpt5(args?: ModelAttachArgs): this;
@@ -530,22 +968,32 @@ export declare class ModelMix {
   addImageFromUrl(url: string, options?: RoleOptions): Promise<this>;
   processImages(): Promise<void>;
 
-  message(): Promise<string>;
+  message(options?: CallOptions): Promise<string>;
+  json<T = unknown>(
+    schema: ZodLikeSchema<T> | StandardSchemaLike<T>,
+    schemaDescription?: SchemaDescription,
+    options?: JsonMethodOptions
+  ): Promise<T>;
+  json<T = unknown>(
+    schema: JsonSchemaObject,
+    schemaDescription?: SchemaDescription,
+    options?: JsonMethodOptions
+  ): Promise<T>;
   json<T = unknown>(
     schemaExample?: T | T[] | null,
     schemaDescription?: SchemaDescription,
     options?: JsonMethodOptions
   ): Promise<T>;
   block(options?: BlockOptions): Promise<string>;
-  raw(): Promise<ModelMixResult>;
-  stream(callback: StreamCallback): Promise<ModelMixResult>;
+  raw(options?: CallOptions): Promise<ModelMixResult>;
+  stream(callback: StreamCallback, options?: StreamOptions): Promise<ModelMixResult>;
 
   assignKeyFromFile(key: string, filePath: string): this;
   groupByRoles(messages: ChatMessage[]): ChatMessage[];
   prepareMessages(): Promise<ChatMessage[]>;
   readFile(filePath: string, options?: { encoding?: BufferEncoding | null }): string | Buffer;
   execute(args?: CreateArgs): Promise<ModelMixResult>;
-  processToolCalls(toolCalls: ToolCall[]): Promise<
+  processToolCalls(toolCalls: ToolCall[], options?: SignalOptions): Promise<
     Array<{ name: string; tool_call_id: string; content: string }>
   >;
 
@@ -556,6 +1004,135 @@ export declare class ModelMix {
   listTools(): ListedTools;
 }
 
+export declare class AbortError extends Error {
+  name: 'AbortError';
+  code: 'ABORT_ERR';
+  /** The abort reason of the signal that cancelled the call. */
+  reason: unknown;
+  constructor(message?: string, options?: { reason?: unknown });
+}
+
+export type BudgetScope = 'call' | 'instance' | 'window';
+
+export declare class BudgetExceededError extends Error {
+  name: 'BudgetExceededError';
+  code: 'BUDGET_EXCEEDED';
+  scope: BudgetScope;
+  /** Amounts in USD. */
+  limit: number;
+  spent: number;
+  estimatedCost: number;
+  model: string;
+  /** True when earlier results already used the cap up, so no model fits. */
+  overrun: boolean;
+  constructor(details: { scope: BudgetScope; limit: number; spent: number; estimatedCost: number; model: string; overrun?: boolean });
+}
+
+export type JsonRepairKind =
+  | 'comment'
+  | 'trailing_comma'
+  | 'single_quotes'
+  | 'control_character'
+  | 'unterminated_string'
+  | 'missing_value'
+  | 'missing_bracket';
+
+export interface JsonViolation {
+  /** JSONPath-like location, e.g. `$.items[0].id`. */
+  path: string;
+  message: string;
+}
+
+export declare class JsonValidationError extends Error {
+  name: 'JsonValidationError';
+  code: 'JSON_SCHEMA_VIOLATION';
+  violations: JsonViolation[];
+  model: string;
+  repairs: number;
+  output: string | null;
+  constructor(violations: JsonViolation[], options?: { model?: string; repairs?: number; output?: string | null });
+}
+
+export interface FailedAttempt {
+  key: string;
+  /** Provider class name, e.g. 'MixAnthropic'. */
+  provider: string;
+  statusCode: number | null;
+  retries: number;
+  elapsedMs: number;
+  message: string;
+  details: unknown;
+  action: Exclude<FailureAction, 'retry'>;
+}
+
+export declare class ModelMixFallbackError extends Error {
+  name: 'ModelMixFallbackError';
+  attempts: FailedAttempt[];
+  /** Keys of models skipped by an open circuit breaker or the budget. */
+  skipped: string[];
+  /** True when the fallback policy aborted the chain before every model was tried. */
+  aborted: boolean;
+  statusCode: number | null;
+  details: unknown;
+  cause: unknown;
+}
+
+export declare class TimeoutError extends Error {
+  name: 'TimeoutError';
+  code: 'ETIMEDOUT';
+  scope: 'attempt' | 'deadline';
+  timeoutMs: number;
+  constructor(message: string, options?: { scope?: 'attempt' | 'deadline'; timeoutMs?: number });
+}
+
+export declare class MemoryCacheStore implements ResponseCacheStore {
+  constructor(options?: { maxEntries?: number });
+  maxEntries: number;
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class FileCacheStore implements ResponseCacheStore {
+  constructor(options: { dir: string });
+  dir: string;
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class UsageLedger {
+  record(entry: {
+    timestamp?: Date | string | number;
+    model: string;
+    provider: string;
+    executionId?: string | null;
+    parentExecutionId?: string | null;
+    source?: UsageLedgerEntry['source'];
+    tokens?: Partial<TokenUsage>;
+  }): UsageLedgerEntry;
+  entries(): UsageLedgerEntry[];
+  clear(): this;
+  summary(options?: { by?: 'model' | 'day' }): Record<string, UsageSummary>;
+  toCSV(): string;
+  toJSON(): UsageLedgerEntry[];
+}
+
+export declare class MetricsCollector {
+  static contentType: string;
+  constructor(options?: { prefix?: string; buckets?: number[] });
+  prefix: string;
+  buckets: number[];
+  attach(mix: ModelMix): this;
+  detach(mix: ModelMix): this;
+  recordSuccess(payload: Omit<ModelMixEvents['attempt:success'], keyof ModelMixEventBase>): void;
+  recordError(payload: { provider: string; model: string; statusCode?: number | null }): void;
+  reset(): this;
+  render(): string;
+}
+
 export declare class MixCustom {
   config: ModelMixConfig & { url?: string; apiKey?: string };
   options: ModelMixOptions;
@@ -595,6 +1172,7 @@ export declare class MixCustom {
   extractDelta(data: unknown): string;
   processResponse(response: { data: unknown }): ModelMixResult;
   getOptionsTools(tools: Record<string, ToolDefinition[]>): Partial<ModelMixOptions>;
+  supportsStructuredOutputs(model?: string): boolean;
 }
 
 export declare class MixOpenAI extends MixCustom {}
@@ -649,3 +1227,6 @@ export function applyUnifiedEffort(
 
 /** Resolve provider family from a Mix* instance. */
 export function resolveProviderFamily(providerInstance: MixCustom): ProviderFamily;
+
+/** Logger writing one JSON object per line (`console.log` by default). */
+export function createJsonLogger(options?: { write?: (line: string, level: 'debug' | 'info' | 'warn' | 'error') => void; name?: string }): ModelMixLogger;
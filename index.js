@@ -1,5 +1,6 @@
 const fs = require('fs');
 const { randomUUID } = require('crypto');
+const { EventEmitter } = require('events');
 const ejs = require('ejs');
 const fileType = require('file-type');
 const detectFileTypeFromBuffer = fileType.fileTypeFromBuffer || fileType.fromBuffer;
@@ -16,6 +17,88 @@ const { isPlainObject } = require('./lib/object-utils');
 const { normalizeContentCache } = require('./lib/content-cache');
 const tokenUsage = require('./lib/token-usage');
 const { parseChainModels } = require('./lib/model-chain');
+const {
+    DEFAULT_CIRCUIT_BREAKER,
+    createCircuitBreaker
+} = require('./lib/circuit-breaker');
+const {
+    AbortError,
+    TimeoutError,
+    createAbortError,
+    createLinkedController,
+    raceAbort,
+    sleep,
+    throwIfAborted,
+    validateSignal
+} = require('./lib/abort');
+const { ModelMixFallbackError, describeFailedAttempt } = require('./lib/fallback-error');
+const { computeRetryDelay } = require('./lib/retry-delay');
+const {
+    DEFAULT_FALLBACK_POLICY,
+    isCallerError,
+    resolveFailureAction,
+    resolveFallbackPolicy
+} = require('./lib/fallback-policy');
+const {
+    DEFAULT_ROUTING,
+    createModelStats,
+    orderByScore,
+    orderByWeights,
+    resolveRoutingConfig
+} = require('./lib/routing');
+const {
+    BudgetExceededError,
+    DEFAULT_BUDGET,
+    checkBudget,
+    createSpendTracker,
+    hasBudgetLimits,
+    resolveBudgetConfig
+} = require('./lib/budget');
+const {
+    DEFAULT_RESPONSE_CACHE,
+    FileCacheStore,
+    MemoryCacheStore,
+    buildCacheKey,
+    readCachedResult,
+    resolveResponseCacheConfig,
+    writeCachedResult
+} = require('./lib/response-cache');
+const { createRequestCoalescer } = require('./lib/request-coalescer');
+const {
+    DEFAULT_TPM,
+    getTokenBuckets,
+    reserveTokens,
+    resolveTpmConfig
+} = require('./lib/token-limiter');
+const {
+    DEFAULT_ADAPTIVE_LIMITER,
+    parseRateLimits,
+    resolveAdaptiveLimiterConfig
+} = require('./lib/rate-limits');
+const { findLimiterGroup, getLimiterGroup, resolveLimiterGroupName } = require('./lib/limiter-group');
+const { createJsonLogger, logEntry, resolveLogger, summarizeInput, summarizeOutput } = require('./lib/logger');
+const { MetricsCollector } = require('./lib/metrics');
+const { UsageLedger, resolveUsageLedger } = require('./lib/usage-ledger');
+const {
+    DEFAULT_JSON_VALIDATION,
+    JsonValidationError,
+    buildRepairMessages,
+    resolveJsonValidationConfig,
+    validateJsonSchema,
+    widenIntegers
+} = require('./lib/json-validation');
+const { TRUNCATION_REPAIRS, parseJsonTolerant } = require('./lib/json-repair');
+const { resolveJsonSchemaInput } = require('./lib/json-schema');
+const {
+    SPAN_KIND,
+    endSpan,
+    requestAttributes,
+    resolveTracer,
+    resultAttributes,
+    setSpanAttributes,
+    startSpan,
+    withSpan
+} = require('./lib/tracing');
 const {
     validateTemplateData,
     validateTemplateDataKey,
@@ -59,8 +142,67 @@ function getErrorStatusCode(error) {
     return error?.statusCode ?? error?.response?.status ?? error?.response?.statusCode ?? null;
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Token counts of a result that was not billed again (cache hit, coalesced request).
+function withoutCost(tokens) {
+    if (!tokens) return tokens;
+    return {
+        ...tokens,
+        cacheSavings: 0,
+        cacheWritePremium: 0,
+        cost: 0,
+        costBreakdown: tokenUsage.normalizeTokenUsage().costBreakdown
+    };
+}
+
+// Raw responses of OpenAI chat and Responses, Anthropic, and Gemini that ended at the output token limit.
+function stoppedAtTokenLimit(response) {
+    return response?.choices?.[0]?.finish_reason === 'length'
+        || response?.incomplete_details?.reason === 'max_output_tokens'
+        || response?.stop_reason === 'max_tokens'
+        || response?.candidates?.[0]?.finishReason === 'MAX_TOKENS';
+}
+
+function truncatedJsonError() {
+    return new SyntaxError('JSON output was cut off at the output token limit.');
+}
+
+function isBudgetSkip(error, config) {
+    // A used-up cap rejects every model, so there is nothing cheaper to fall back to.
+    return error instanceof BudgetExceededError && !error.overrun && resolveBudgetConfig(config.budget).onExceeded === 'fallback';
+}
+
+function getProviderName(provider) {
+    return provider.constructor.name.replace(/^Mix/, '').toLowerCase();
+}
+
+// Heaviest job weight and active throttle per limiter, shared by every instance queuing on it.
+const limiterLoads = new WeakMap();
+
+function getLimiterLoad(limiter) {
+    let load = limiterLoads.get(limiter);
+    if (!load) {
+        load = { heaviestWeight: 1, throttledTo: null };
+        limiterLoads.set(limiter, load);
+    }
+    return load;
+}
+
+function resolveJobOptions(priority, weight) {
+    if (!Number.isInteger(priority) || priority < 0 || priority > 9) {
+        throw new TypeError('priority must be an integer from 0 (highest) to 9 (lowest).');
+    }
+    if (!Number.isFinite(weight) || weight < 0) {
+        throw new TypeError('weight must be a non-negative number.');
+    }
+    return { priority, weight };
+}
+
+function resolveDurationMs(value, name) {
+    if (value === undefined || value === null) return 0;
+    if (!Number.isFinite(value) || value < 0) {
+        throw new TypeError(`config.${name} must be a non-negative number.`);
+    }
+    return value;
 }
 
 function clonePluginValue(value, seen = new WeakMap()) {
@@ -103,6 +245,15 @@ class ModelMix {
         this.mcp = {};
         this.mcpToolsManager = new MCPToolsManager();
         this.plugins = [];
+        this.circuitBreakers = new Map();
+        this.modelStats = new Map();
+        this.lastRouting = null;
+        this.spend = createSpendTracker();
+        this.usageLedger = new UsageLedger();
+        this.responseCacheStore = new MemoryCacheStore();
+        this.inFlightRequests = createRequestCoalescer();
+        this.rateLimits = new Map();
+        this.events = new EventEmitter();
         this.templateFileAssignments = new Map();
         this.messageTemplates = new WeakMap();
         this.lastRaw = null;
@@ -122,15 +273,35 @@ class ModelMix {
             system: 'You are an assistant.',
             max_history: 0, // 0=no history (stateless), N=keep last N messages, -1=unlimited
             debug: 0, // 0=silent, 1=minimal, 2=readable summary, 3=full (no truncate), 4=verbose (raw details)
+            logger: null, // null=JSON lines on stdout, or any { debug, info, warn, error } logger taking one object
             bottleneck: defaultBottleneckConfig,
+            limiterGroup: null, // null=own limiter, 'name'=queue on the process-wide limiter of that group
+            priority: 5, // Bottleneck job priority, 0=runs first ... 9=runs last
+            weight: 1, // Limiter capacity (maxConcurrent / reservoir) a call takes
             retry: {
                 enabled: false,
                 retries: 2,
                 baseDelayMs: 500,
                 maxDelayMs: 5000,
+                jitter: 0.2, // Up to 20% of random extra wait on top of each delay
                 retryableStatusCodes: [...DEFAULT_RETRYABLE_STATUS_CODES]
             },
             roundRobin: false, // false=fallback mode, true=round robin rotation
+            routing: { ...DEFAULT_ROUTING }, // strategy: fallback, round-robin, weighted (static weights), or score (moving averages)
+            budget: { ...DEFAULT_BUDGET }, // USD caps per call, per instance, and per sliding window
+            responseCache: { ...DEFAULT_RESPONSE_CACHE }, // Exact-match cache of provider results (opt-in)
+            dedupe: false, // true=concurrent identical requests share one provider call
+            tpm: { ...DEFAULT_TPM }, // Tokens-per-minute buckets by provider family and model, shared per API key
+            adaptiveLimiter: { ...DEFAULT_ADAPTIVE_LIMITER }, // Tune Bottleneck from provider rate-limit headers
+            tracer: null, // OpenTelemetry-compatible tracer: a span per execute(), attempt, retry, tool call, and plugin
+            usageLedger: null, // null=this instance's own ledger, or a UsageLedger shared by several instances
+            jsonValidation: { ...DEFAULT_JSON_VALIDATION }, // json() output checked against its schema, with repair turns
+            structuredOutputs: true, // json(): enforce the schema with the provider's native structured outputs where supported
+            hedgeAfterMs: 0, // 0=sequential fallback, N=start the next model in parallel after N ms without an answer
+            timeoutMs: 0, // 0=no limit, N=abort a single provider attempt after N ms and retry or fall back
+            deadlineMs: 0, // 0=no limit, N=fail the whole call (retries and fallbacks included) after N ms
+            circuitBreaker: { ...DEFAULT_CIRCUIT_BREAKER },
+            fallback: { ...DEFAULT_FALLBACK_POLICY }, // Which failures retry, fall through, or abort the chain
             ...config
         };
         this.systemTemplate = {
@@ -147,7 +318,15 @@ class ModelMix {
         const freeMix = { openrouter: true, cerebras: true, groq: true, together: false, lambda: false };
         this.mix = { ...freeMix, ...mix };
 
-        this.limiter = new Bottleneck(this.config.bottleneck);
+        const limiterGroup = resolveLimiterGroupName(this.config.limiterGroup);
+        if (limiterGroup) {
+            const group = getLimiterGroup(limiterGroup, this.config.bottleneck);
+            this.limiter = group.limiter;
+            this.limiterResets = group.resets;
+        } else {
+            this.limiter = new Bottleneck(this.config.bottleneck);
+            this.limiterResets = {};
+        }
 
     }
 
@@ -204,10 +383,44 @@ class ModelMix {
         return this;
     }
 
+    /**
+     * Lifecycle events (`attempt:start`, `attempt:retry`, `attempt:error`,
+     * `attempt:fallback`, `attempt:success`, `tool:call`, `tool:result`,
+     * `stream:delta`). Listeners are shared with instances created by `new()`.
+     */
+    on(event, listener) {
+        this.events.on(event, listener);
+        return this;
+    }
+
+    once(event, listener) {
+        this.events.once(event, listener);
+        return this;
+    }
+
+    off(event, listener) {
+        this.events.off(event, listener);
+        return this;
+    }
+
+    // A throwing listener is reported, never allowed to break the call.
+    _emit(event, payload) {
+        if (this.events.listenerCount(event) === 0) return;
+        try {
+            this.events.emit(event, { event, timestamp: Date.now(), ...payload });
+        } catch (error) {
+            log.warn(`Listener for ${event} failed: ${error.message}`);
+        }
+    }
+
     static new({ options = {}, config = {}, mix = {} } = {}) {
         return new ModelMix({ options, config, mix });
     }
 
+    static getLimiterGroup(name) {
+        return findLimiterGroup(name);
+    }
+
     new({ options = {}, config = {}, mix = {} } = {}) {
         const hasSystemOverride = Object.prototype.hasOwnProperty.call(config, 'system');
         const instance = new ModelMix({
@@ -224,6 +437,12 @@ class ModelMix {
             instance.templateFileAssignments.delete(key);
         }
         instance.models = this.models; // Share models array for round-robin rotation
+        instance.circuitBreakers = this.circuitBreakers;
+        instance.modelStats = this.modelStats;
+        instance.responseCacheStore = this.responseCacheStore;
+        instance.inFlightRequests = this.inFlightRequests;
+        instance.rateLimits = this.rateLimits;
+        instance.events = this.events;
         return instance;
     }
 
@@ -274,7 +493,8 @@ class ModelMix {
             mix = {},
             model = this,
             plugins = 'inherit',
-            outputMode = 'raw'
+            outputMode = 'raw',
+            signal = parentExecution.signal
         } = input;
         if (!Array.isArray(messages)) {
             throw new TypeError('Child invocation messages must be an array.');
@@ -299,6 +519,14 @@ class ModelMix {
             ? ModelMix.new({ options, config, mix })
             : model.new({ options, config, mix });
         child.models = model.models;
+        child.circuitBreakers = model.circuitBreakers;
+        child.modelStats = model.modelStats;
+        child.spend = this.spend;
+        child.usageLedger = this.usageLedger;
+        child.responseCacheStore = model.responseCacheStore;
+        child.inFlightRequests = model.inFlightRequests;
+        child.rateLimits = model.rateLimits;
+        child.events = this.events;
         child.plugins = this._pluginsForPolicy(plugins);
         if (assign !== undefined) child.assign(assign);
         if (system !== undefined) child.setSystem(system);
@@ -318,7 +546,9 @@ class ModelMix {
         };
         const result = await child.execute({
             outputMode,
-            _executionMetadata: execution
+            signal,
+            _executionMetadata: execution,
+            _traceSpan: parentExecution.traceSpan
         });
         return { ...result, execution };
     }
@@ -925,15 +1155,21 @@ class ModelMix {
         }
     }
 
-    async message() {
-        let raw = await this.execute({ options: { stream: false }, outputMode: 'message' });
+    async message({ signal, cache, priority, weight } = {}) {
+        let raw = await this.execute({
+            options: { stream: false },
+            config: this._callConfig({ cache, priority, weight }),
+            outputMode: 'message',
+            signal
+        });
         return raw.message;
     }
 
-    async json(schemaExample = null, schemaDescription = {}, { type = 'json_object', addExample = false, addSchema = true, addNote = false } = {}) {
+    async json(schemaExample = null, schemaDescription = {}, { type = 'json_object', addExample = false, addSchema = true, addNote = false, structured, validate, maxRepairs, signal, cache, priority, weight } = {}) {
 
-        let isArrayWrap = false;
-        if (Array.isArray(schemaExample)) {
+        const schemaInput = resolveJsonSchemaInput(schemaExample);
+        let isArrayWrap = Boolean(schemaInput?.wrapped);
+        if (!schemaInput && Array.isArray(schemaExample)) {
             isArrayWrap = true;
             schemaExample = { out: schemaExample };
             if (Array.isArray(schemaDescription)) {
@@ -946,24 +1182,38 @@ class ModelMix {
             stream: false,
         }
 
-        let config = {};
+        let config = this._callConfig({ cache, priority, weight });
+        if (structured !== undefined) config.structuredOutputs = structured;
+        if (validate !== undefined || maxRepairs !== undefined) {
+            config.jsonValidation = { ...this.config.jsonValidation };
+            if (validate !== undefined) config.jsonValidation.enabled = validate;
+            if (maxRepairs !== undefined) config.jsonValidation.maxRepairs = maxRepairs;
+        }
         let systemSuffix = '';
 
         if (schemaExample) {
-            config.schema = generateJsonSchema(schemaExample, schemaDescription);
+            config.schema = schemaInput ? schemaInput.schema : generateJsonSchema(schemaExample, schemaDescription);
+            if (schemaInput?.parse) config.schemaParser = schemaInput.parse;
+            if (!schemaInput) config.validationSchema = widenIntegers(config.schema);
 
-            if (addSchema) {
+            if (addSchema && config.schema) {
                 systemSuffix += "\n\nOutput JSON Schema: \n```\n" + JSON.stringify(config.schema) + "\n```";
             }
-            if (addExample) {
+            if (addExample && !schemaInput) {
                 systemSuffix += "\n\nOutput JSON Example: \n```\n" + JSON.stringify(schemaExample) + "\n```";
             }
             if (addNote) {
                 systemSuffix += "\n\nOutput JSON Escape: double quotes, backslashes, and control characters inside JSON strings.\nEnsure the output contains no comments.";
             }
         }
-        const { message } = await this.execute({ options, config, systemSuffix, outputMode: 'json' });
-        const parsed = JSON.parse(this._extractBlock(message));
+        const { message, jsonRepair } = await this.execute({ options, config, systemSuffix, outputMode: 'json', signal });
+        if (jsonRepair?.truncated) throw truncatedJsonError();
+        let { value: parsed } = parseJsonTolerant(this._extractBlock(message));
+        if (schemaInput?.parse) {
+            // The library's parsed value carries its defaults and transforms.
+            const checked = await schemaInput.parse(parsed);
+            if (checked.violations.length === 0) parsed = checked.value;
+        }
         return isArrayWrap ? parsed.out : parsed;
     }
 
@@ -972,25 +1222,77 @@ class ModelMix {
         return block ? block[1].trim() : response.trim();
     }
 
-    async block({ addSystemExtra = true } = {}) {
+    // json() output after the tolerant parse; `result.jsonRepair` records what had to be fixed.
+    _parseJsonResult(result) {
+        if (result.toolCalls?.length > 0) return null;
+        try {
+            const parsed = parseJsonTolerant(this._extractBlock(result.message || ''));
+            // Closing an answer the token limit cut off would invent its end, so it counts as invalid JSON.
+            const truncated = parsed.repairs.some(repair => TRUNCATION_REPAIRS.includes(repair)) && stoppedAtTokenLimit(result.response);
+            result.jsonRepair = { repaired: parsed.repaired, repairs: parsed.repairs, truncated };
+            return truncated ? { error: truncatedJsonError() } : parsed;
+        } catch (error) {
+            return { error };
+        }
+    }
+
+    // Unparseable output counts as a violation, so it is repaired like a schema mismatch.
+    async _jsonViolations(parsed, { schema, schemaParser, validationSchema }) {
+        if (parsed.error) return [{ path: '$', message: `not valid JSON (${parsed.error.message})` }];
+        if (schemaParser) return (await schemaParser(parsed.value)).violations;
+        return validateJsonSchema(validationSchema || schema, parsed.value);
+    }
+
+    async block({ addSystemExtra = true, signal, cache, priority, weight } = {}) {
         const systemSuffix = addSystemExtra
             ? "\nReturn the result of the task between triple backtick block code tags ```"
             : '';
         const { message } = await this.execute({
             options: { stream: false },
+            config: this._callConfig({ cache, priority, weight }),
             systemSuffix,
-            outputMode: 'block'
+            outputMode: 'block',
+            signal
         });
         return this._extractBlock(message);
     }
 
-    async raw() {
-        return this.execute({ options: { stream: false }, outputMode: 'raw' });
+    async raw({ signal, cache, priority, weight } = {}) {
+        return this.execute({
+            options: { stream: false },
+            config: this._callConfig({ cache, priority, weight }),
+            outputMode: 'raw',
+            signal
+        });
     }
 
-    async stream(callback) {
+    // Per-call settings travel in the execute() config, like their instance-wide defaults.
+    _callConfig({ cache, priority, weight } = {}) {
+        const config = this._responseCacheOverride(cache);
+        if (priority !== undefined) config.priority = priority;
+        if (weight !== undefined) config.weight = weight;
+        return config;
+    }
+
+    // Per-call cache flag: false skips the response cache, 'refresh' skips the read but stores the new result.
+    _responseCacheOverride(cache) {
+        if (cache === undefined || cache === true) return {};
+        if (cache !== false && cache !== 'refresh') {
+            throw new TypeError("cache must be true, false, or 'refresh'.");
+        }
+        return {
+            responseCache: { ...this.config.responseCache, read: false, write: cache === 'refresh' }
+        };
+    }
+
+    async stream(callback, { signal, priority, weight } = {}) {
         this.streamCallback = callback;
-        return this.execute({ options: { stream: true }, outputMode: 'stream' });
+        return this.execute({
+            options: { stream: true },
+            config: this._callConfig({ priority, weight }),
+            outputMode: 'stream',
+            signal
+        });
     }
 
     assignKeyFromFile(key, filePath) {
@@ -1246,9 +1548,13 @@ class ModelMix {
         options,
         systemSuffix,
         outputMode,
+        signal,
+        deadlineAt,
         templateContext,
         executionMetadata,
-        isRootExecution
+        budgetCall,
+        isRootExecution,
+        traceSpan
     }) {
         const preparedMessages = await this.prepareMessages(templateContext);
         this._requirePreparedMessages(preparedMessages);
@@ -1260,14 +1566,11 @@ class ModelMix {
             config: clonePluginValue(this._mergeRequestConfig(config)),
             outputMode
         };
-        const metadata = executionMetadata || {
-            executionId: randomUUID(),
-            parentExecutionId: null,
-            depth: 0
-        };
         let providerInvoked = false;
 
-        const dispatch = async index => {
+        // Each plugin span wraps the next one, so provider attempts nest under the innermost plugin.
+        const dispatch = async (index, parentSpan) => {
+            throwIfAborted(signal);
             if (index === this.plugins.length) {
                 providerInvoked = true;
                 return this.execute({
@@ -1275,32 +1578,41 @@ class ModelMix {
                     options,
                     systemSuffix,
                     outputMode,
+                    signal,
+                    _deadlineAt: deadlineAt,
                     _templateContext: templateContext,
                     _pluginRequest: request,
-                    _executionMetadata: metadata,
-                    _pluginsApplied: true
+                    _executionMetadata: executionMetadata,
+                    _pluginsApplied: true,
+                    _budgetCall: budgetCall,
+                    _traceSpan: parentSpan
                 });
             }
 
             const plugin = this.plugins[index];
+            const pluginSpan = startSpan(parentSpan?.tracer, `modelmix.plugin ${plugin.name}`, {
+                parent: parentSpan,
+                attributes: { 'modelmix.plugin.name': plugin.name, 'modelmix.execution.depth': executionMetadata.depth }
+            });
             let nextCalled = false;
             const next = () => {
                 if (nextCalled) {
                     throw new Error(`Plugin "${plugin.name}" called next() multiple times.`);
                 }
                 nextCalled = true;
-                return dispatch(index + 1);
+                return dispatch(index + 1, pluginSpan ?? parentSpan);
             };
             const context = {
                 request,
-                execution: Object.freeze({ ...metadata }),
-                invoke: input => this._invokeChild(input, metadata)
+                execution: Object.freeze({ ...executionMetadata }),
+                signal,
+                invoke: input => this._invokeChild(input, { ...executionMetadata, signal, traceSpan: pluginSpan ?? parentSpan })
             };
-            const result = await plugin.execute(context, next);
+            const result = await withSpan(pluginSpan, plugin.execute(context, next));
             return validatePluginResult(result, plugin.name);
         };
 
-        const result = await dispatch(0);
+        const result = await raceAbort(dispatch(0, traceSpan), signal);
         this.lastRaw = result;
         if (!providerInvoked) {
             if (this.config.max_history === 0) {
@@ -1373,56 +1685,123 @@ class ModelMix {
         return { provider, currentOptions, currentConfig, resolvedModelKey };
     }
 
-    _logProviderAttempt({ attempt, originalIndex, provider, currentConfig, resolvedModelKey, preparedMessages }) {
-        if (currentConfig.debug < 1) return;
-
-        const isPrimary = attempt === 0;
-        const prefix = isPrimary ? '→' : '↻';
-        const suffix = isPrimary
-            ? (currentConfig.roundRobin ? ` (round-robin #${originalIndex + 1})` : '')
-            : ' (fallback)';
-        const providerName = provider.constructor.name.replace(/^Mix/, '').toLowerCase();
-        const effort = currentConfig.effort === undefined ? '' : `@${currentConfig.effort}`;
-        const header = `\n${prefix} [${providerName}:${resolvedModelKey}${effort}] #${originalIndex + 1}${suffix}`;
-
-        if (currentConfig.debug >= 2) {
-            console.log(`${header}\n${ModelMix.formatInputSummary(preparedMessages, currentConfig.system, currentConfig.debug)}`);
-        } else {
-            console.log(header);
-        }
+    _logProviderAttempt({ attempt, originalIndex, hedged = false, provider, currentConfig, resolvedModelKey, preparedMessages }) {
+        if (!(currentConfig.debug >= 1)) return;
+        logEntry(currentConfig, 'info', 1, {
+            event: 'attempt.start',
+            provider: getProviderName(provider),
+            model: resolvedModelKey,
+            effort: currentConfig.effort,
+            index: originalIndex,
+            attempt,
+            kind: hedged ? 'hedge' : attempt === 0 ? 'primary' : 'fallback',
+            ...(currentConfig.debug >= 2 ? summarizeInput(preparedMessages, currentConfig.system, currentConfig.debug) : {})
+        });
     }
 
-    async _invokeProviderWithRetry(provider, currentOptions, currentConfig, resolvedModelKey) {
-        if (currentOptions.stream && this.streamCallback) {
-            provider.streamCallback = this.streamCallback;
+    async _invokeProviderWithRetry(provider, currentOptions, currentConfig, resolvedModelKey, { signal, deadlineAt, stats = {}, traceSpan = null } = {}) {
+        if (currentOptions.stream) {
+            const streamCallback = this.streamCallback;
+            provider.streamCallback = chunk => {
+                this._emit('stream:delta', {
+                    model: resolvedModelKey,
+                    provider: getProviderName(provider),
+                    delta: chunk.delta,
+                    message: chunk.message
+                });
+                if (streamCallback) streamCallback(chunk);
+            };
         }
 
         const retryConfig = currentConfig.retry || {};
         const retries = retryConfig.enabled ? Math.max(0, retryConfig.retries || 0) : 0;
         const baseDelayMs = Math.max(0, retryConfig.baseDelayMs || 0);
         const maxDelayMs = Math.max(baseDelayMs, retryConfig.maxDelayMs || baseDelayMs);
+        const jitter = Math.max(0, retryConfig.jitter || 0);
         const retryableStatusCodes = new Set(
             Array.isArray(retryConfig.retryableStatusCodes) && retryConfig.retryableStatusCodes.length > 0
                 ? retryConfig.retryableStatusCodes
                 : DEFAULT_RETRYABLE_STATUS_CODES
         );
+        const timeoutMs = resolveDurationMs(currentConfig.timeoutMs, 'timeoutMs');
 
         let attempt = 0;
         while (true) {
             const startTime = Date.now();
+            // Past the overall deadline the deadline timer fires first, so no attempt timer is needed.
+            const attemptTimeoutMs = timeoutMs > 0 && (!deadlineAt || startTime + timeoutMs < deadlineAt) ? timeoutMs : 0;
+            const attemptController = attemptTimeoutMs > 0 ? createLinkedController(signal) : null;
+            const attemptSignal = attemptController ? attemptController.signal : signal;
+            const timer = attemptController && setTimeout(() => attemptController.abort(new TimeoutError(
+                `Attempt on ${resolvedModelKey} timed out after ${attemptTimeoutMs}ms.`,
+                { scope: 'attempt', timeoutMs: attemptTimeoutMs }
+            )), attemptTimeoutMs);
+            const retrySpan = attempt > 0
+                ? startSpan(traceSpan?.tracer, `retry ${resolvedModelKey}`, {
+                    kind: SPAN_KIND.CLIENT,
+                    parent: traceSpan,
+                    attributes: { ...requestAttributes({ provider: getProviderName(provider), model: resolvedModelKey, options: currentOptions }), 'modelmix.retry': attempt }
+                })
+                : null;
             try {
-                const result = await provider.create({ options: currentOptions, config: currentConfig });
+                const result = await raceAbort(
+                    provider.create({ options: currentOptions, config: currentConfig, signal: attemptSignal }),
+                    attemptSignal
+                );
+                this._observeRateLimits(provider, resolvedModelKey, { headers: result.headers }, currentConfig);
+                endSpan(retrySpan, { attributes: resultAttributes(result) });
                 return { result, elapsedMs: Date.now() - startTime };
-            } catch (error) {
+            } catch (caught) {
+                const error = attemptController?.signal.aborted ? attemptController.signal.reason : caught;
+                endSpan(retrySpan, { error: signal?.aborted ? signal.reason : error });
+                throwIfAborted(signal);
+                this._observeRateLimits(provider, resolvedModelKey, error, currentConfig);
                 const statusCode = getErrorStatusCode(error);
-                if (attempt >= retries || !retryableStatusCodes.has(statusCode)) throw error;
-
-                if (currentConfig.debug >= 1) {
-                    console.log(`↺ Retrying [${resolvedModelKey}] due to status ${statusCode} (${attempt + 2}/${retries + 1})`);
-                }
-                const delay = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
-                await sleep(delay);
+                const timedOut = error instanceof TimeoutError;
+                if (timedOut) stats.timeouts = (stats.timeouts || 0) + 1;
+                stats.action = resolveFailureAction(error, currentConfig.fallback, {
+                    statusCode,
+                    retryable: timedOut || retryableStatusCodes.has(statusCode),
+                    context: {
+                        model: resolvedModelKey,
+                        provider: provider.constructor.name,
+                        statusCode,
+                        attempt,
+                        retriesLeft: retries - attempt
+                    }
+                });
+                if (stats.action !== 'retry') throw error;
+                stats.action = 'fallback';
+                if (attempt >= retries) throw error;
+
+                const delay = computeRetryDelay(error, attempt, { baseDelayMs, maxDelayMs, jitter });
+                if (deadlineAt && Date.now() + delay >= deadlineAt) throw error;
+                logEntry(currentConfig, 'info', 1, {
+                    event: 'attempt.retry',
+                    provider: getProviderName(provider),
+                    model: resolvedModelKey,
+                    cause: timedOut ? 'timeout' : 'status',
+                    statusCode,
+                    timeoutMs: timedOut ? attemptTimeoutMs : undefined,
+                    delayMs: delay,
+                    retry: attempt + 1,
+                    retries
+                });
+                this._emit('attempt:retry', {
+                    model: resolvedModelKey,
+                    provider: getProviderName(provider),
+                    retry: attempt + 1,
+                    delayMs: delay,
+                    elapsedMs: Date.now() - startTime,
+                    statusCode,
+                    error
+                });
+                await sleep(delay, signal);
                 attempt += 1;
+                stats.retries = attempt;
+            } finally {
+                clearTimeout(timer);
+                attemptController?.dispose();
             }
         }
     }
@@ -1444,7 +1823,7 @@ class ModelMix {
         result.tokens.speed = elapsedSec > 0 ? Math.round(result.tokens.output / elapsedSec) : 0;
     }
 
-    async _continueToolCalls(result, pluginRequest, execution) {
+    async _continueToolCalls(result, pluginRequest, requestedBy, execution) {
         const toolMessages = pluginRequest
             ? clonePluginValue(pluginRequest.messages)
             : this.messages;
@@ -1471,7 +1850,12 @@ class ModelMix {
         if (!result.assistantMessage) {
             toolMessages.push({ role: 'assistant', content: null, tool_calls: result.toolCalls });
         }
-        const toolResults = await this.processToolCalls(result.toolCalls);
+        const toolResults = await this.processToolCalls(result.toolCalls, {
+            signal: execution.signal,
+            traceSpan: execution._traceSpan,
+            requestedBy,
+            config: pluginRequest ? pluginRequest.config : this._mergeRequestConfig(execution.config)
+        });
         for (const toolResult of toolResults) {
             toolMessages.push({
                 role: 'tool',
@@ -1486,39 +1870,33 @@ class ModelMix {
             ...execution,
             _pluginRequest: pluginRequest
                 ? { ...pluginRequest, messages: toolMessages }
-                : null
+                : null,
+            _scheduled: true
         });
     }
 
-    _logProviderSuccess(result, currentConfig) {
-        if (currentConfig.debug === 1) console.log('✓ Success');
-
-        if (currentConfig.debug >= 2) {
-            const tokenInfo = result.tokens
-                ? ` ${result.tokens.input} → ${result.tokens.output} tok`
-                    + (result.tokens.cached ? ` (cached:${result.tokens.cached})` : '')
-                    + (result.tokens.speed ? ` | ${result.tokens.speed} t/s` : '')
-                    + (result.tokens.cost != null ? ` $${result.tokens.cost.toFixed(4)}` : '')
-                : '';
-            console.log(`✓${tokenInfo}\n${ModelMix.formatOutputSummary(result, currentConfig.debug).trim()}`);
-        }
-
-        if (currentConfig.debug >= 4) {
-            if (result.response) {
-                console.log('\n[RAW RESPONSE]');
-                console.log(ModelMix.formatJSON(result.response));
-            }
-            if (result.message) {
-                console.log('\n[FULL MESSAGE]');
-                console.log(ModelMix.formatMessage(result.message));
-            }
-            if (result.think) {
-                console.log('\n[FULL THINKING]');
-                console.log(result.think);
-            }
-        }
-
-        if (currentConfig.debug >= 1) console.log('');
+    _logProviderSuccess(result, { provider, currentConfig, resolvedModelKey }) {
+        const { debug } = currentConfig;
+        if (!(debug >= 1)) return;
+        const tokens = result.tokens;
+        logEntry(currentConfig, 'info', 1, {
+            event: 'attempt.success',
+            provider: getProviderName(provider),
+            model: resolvedModelKey,
+            ...(debug >= 2 && tokens ? {
+                tokens: { input: tokens.input, output: tokens.output, cached: tokens.cached, speed: tokens.speed },
+                cost: tokens.cost
+            } : {}),
+            ...(debug >= 2 ? summarizeOutput(result, debug) : {})
+        });
+        logEntry(currentConfig, 'debug', 4, {
+            event: 'attempt.response',
+            provider: getProviderName(provider),
+            model: resolvedModelKey,
+            response: result.response,
+            message: result.message,
+            think: result.think
+        });
     }
 
     _recordProviderResult(result) {
@@ -1546,17 +1924,162 @@ class ModelMix {
         }
     }
 
-    _logProviderFailure(error, currentModelKey, attempt, modelsToTry) {
-        log.warn(`Model ${currentModelKey} failed (Attempt #${attempt + 1}/${modelsToTry.length}).`);
-        if (error.message) log.warn(`Error: ${error.message}`);
-        if (error.statusCode) log.warn(`Status Code: ${error.statusCode}`);
-        if (error.details) log.warn(`Details:\n${ModelMix.formatJSON(error.details)}`);
+    _circuitBreakerFor(model, breakerConfig) {
+        if (!breakerConfig?.enabled) return null;
+        let breaker = this.circuitBreakers.get(model);
+        if (!breaker) {
+            breaker = createCircuitBreaker(breakerConfig);
+            this.circuitBreakers.set(model, breaker);
+        }
+        return breaker;
+    }
 
-        if (attempt === modelsToTry.length - 1) {
-            console.error(`All ${modelsToTry.length} model(s) failed. Throwing last error from ${currentModelKey}.`);
-            throw error;
+    _logCircuitSkip(model, breaker, config) {
+        const { state, retryAt } = breaker.snapshot();
+        logEntry(config, 'info', 1, {
+            event: 'circuit.skip',
+            provider: getProviderName(model.provider),
+            model: model.key,
+            state,
+            retryInMs: retryAt ? Math.max(0, retryAt - Date.now()) : null
+        });
+    }
+
+    _recordCircuitSuccess(model, breaker, config) {
+        if (!breaker) return;
+        const previous = breaker.recordSuccess();
+        if (previous !== 'closed') {
+            logEntry(config, 'info', 1, { event: 'circuit.close', provider: getProviderName(model.provider), model: model.key });
+        }
+    }
+
+    _recordCircuitFailure(model, breaker, config) {
+        if (!breaker) return;
+        breaker.recordFailure();
+        const { state, failures, retryAt } = breaker.snapshot();
+        if (state === 'open') {
+            logEntry(config, 'warn', 1, {
+                event: 'circuit.open',
+                provider: getProviderName(model.provider),
+                model: model.key,
+                failures,
+                cooldownMs: Math.max(0, retryAt - Date.now())
+            });
+        }
+    }
+
+    _modelStatsFor(model) {
+        let stats = this.modelStats.get(model);
+        if (!stats) {
+            stats = createModelStats();
+            this.modelStats.set(model, stats);
+        }
+        return stats;
+    }
+
+    _routeModels(routing, config) {
+        const candidates = this.models.map((model, index) => ({ model, index }));
+        let modelsToTry = candidates;
+        if (routing.strategy === 'round-robin') {
+            if (this.models.length > 1) this.models.push(this.models.shift());
+        } else if (routing.strategy === 'weighted') {
+            modelsToTry = orderByWeights(candidates, routing.weights);
+        } else if (routing.strategy === 'score') {
+            modelsToTry = orderByScore(candidates, model => this._modelStatsFor(model).snapshot(), routing.score);
         }
-        log.info(`-> Proceeding to next model: ${modelsToTry[attempt + 1].model.key}`);
+
+        this.lastRouting = {
+            strategy: routing.strategy,
+            order: modelsToTry.map(({ model, index, weight, score }) => ({
+                index,
+                key: model.key,
+                ...(weight === undefined ? {} : { weight }),
+                ...(score === undefined ? {} : { score })
+            }))
+        };
+        if (routing.strategy === 'weighted' || routing.strategy === 'score') {
+            logEntry(config, 'info', 1, { event: 'routing', ...this.lastRouting });
+        }
+        return modelsToTry;
+    }
+
+    getRoutingState() {
+        return {
+            ...(this.lastRouting || { strategy: null, order: [] }),
+            models: this.models.map((model, index) => ({
+                index,
+                key: model.key,
+                provider: getProviderName(model.provider),
+                ...this._modelStatsFor(model).snapshot()
+            }))
+        };
+    }
+
+    _chargeBudget(budgetCall, cost) {
+        if (!Number.isFinite(cost) || cost <= 0) return;
+        budgetCall.spent += cost;
+        this.spend.charge(cost);
+    }
+
+    _logBudgetExceeded(error, budget, config) {
+        logEntry(config, 'warn', 1, {
+            event: 'budget.exceeded',
+            model: error.model,
+            scope: error.scope,
+            limit: error.limit,
+            spent: error.spent,
+            estimatedCost: error.estimatedCost,
+            action: budget.onExceeded === 'fallback' ? 'skip' : 'stop'
+        });
+    }
+
+    getUsageLedger() {
+        return resolveUsageLedger(this.config.usageLedger) ?? this.usageLedger;
+    }
+
+    getBudgetState() {
+        const budget = resolveBudgetConfig(this.config.budget);
+        return {
+            ...budget,
+            spent: {
+                instance: this.spend.total(),
+                window: this.spend.windowTotal(budget.windowMs)
+            }
+        };
+    }
+
+    /**
+     * Circuit breaker state for each attached model, in chain order.
+     * Models without recorded traffic (or with the breaker disabled) report "closed".
+     */
+    getCircuitBreakerState() {
+        return this.models.map((model, index) => {
+            const breaker = this.circuitBreakers.get(model);
+            return {
+                index,
+                key: model.key,
+                provider: getProviderName(model.provider),
+                ...(breaker
+                    ? breaker.snapshot()
+                    : { state: 'closed', failures: 0, trips: 0, openedAt: null, lastFailureAt: null, retryAt: null })
+            };
+        });
+    }
+
+    _logProviderFailure(error, currentModel, attempt, modelsToTry, action, config) {
+        const next = action !== 'abort' && attempt < modelsToTry.length - 1 ? modelsToTry[attempt + 1].model.key : null;
+        logEntry(config, 'warn', 1, {
+            event: 'attempt.failure',
+            provider: getProviderName(currentModel.provider),
+            model: currentModel.key,
+            attempt,
+            attempts: modelsToTry.length,
+            message: error.message,
+            statusCode: error.statusCode,
+            details: error.details,
+            action,
+            next
+        }, currentModel.provider.config?.apiKey);
     }
 
     async _executeProviderChain({
@@ -1564,74 +2087,705 @@ class ModelMix {
         options,
         systemSuffix,
         outputMode,
+        signal,
+        deadlineAt,
         templateContext,
         pluginRequest,
         executionMetadata,
-        pluginsApplied
+        pluginsApplied,
+        budgetCall,
+        traceSpan,
+        admission = null,
+        startedAt = Date.now()
     }) {
+        throwIfAborted(signal);
         const preparedMessages = pluginRequest
             ? pluginRequest.messages
-            : await this.prepareMessages(templateContext);
+            : admission?.preparedMessages ?? await this.prepareMessages(templateContext);
         this._requirePreparedMessages(preparedMessages);
 
         const finalConfig = pluginRequest ? pluginRequest.config : this._mergeRequestConfig(config);
-        const modelsToTry = this.models.map((model, index) => ({ model, index }));
-        if (finalConfig.roundRobin && this.models.length > 1) {
-            this.models.push(this.models.shift());
-        }
+        resolveDurationMs(finalConfig.timeoutMs, 'timeoutMs');
+        resolveFallbackPolicy(finalConfig.fallback);
+        const budget = resolveBudgetConfig(finalConfig.budget);
+        const responseCache = resolveResponseCacheConfig(finalConfig.responseCache);
+        resolveTpmConfig(finalConfig.tpm);
+        resolveAdaptiveLimiterConfig(finalConfig.adaptiveLimiter);
+        resolveLogger(finalConfig.logger);
+        const usageLedger = resolveUsageLedger(finalConfig.usageLedger) ?? this.usageLedger;
+        const jsonValidation = resolveJsonValidationConfig(finalConfig.jsonValidation);
+        const validateJson = outputMode === 'json' && Boolean(finalConfig.schema || finalConfig.schemaParser) && jsonValidation.enabled;
+        const routing = resolveRoutingConfig(finalConfig.routing, finalConfig.roundRobin);
+        const modelsToTry = this._routeModels(routing, finalConfig);
+
+        const failedAttempts = [];
+        const runAttempt = async ({ model: currentModel, index: originalIndex }, attempt, { signal: attemptSignal = signal, hedged = false } = {}) => {
+            const startedAt = Date.now();
+            const stats = { retries: 0, timeouts: 0, action: 'fallback' };
+            const modelStats = this._modelStatsFor(currentModel);
+            const attemptSpan = startSpan(traceSpan?.tracer, `chat ${currentModel.key}`, {
+                kind: SPAN_KIND.CLIENT,
+                parent: traceSpan,
+                attributes: {
+                    ...requestAttributes({ provider: getProviderName(currentModel.provider), model: currentModel.key }),
+                    'modelmix.attempt': attempt,
+                    'modelmix.hedged': hedged
+                }
+            });
+            try {
+                // json() output that breaks the schema is sent back to the same model before falling back.
+                let attemptMessages = preparedMessages;
+                for (let repair = 0; ; repair++) {
+                    const outcome = await this._runProviderAttempt({
+                        currentModel,
+                        originalIndex,
+                        attempt,
+                        hedged,
+                        signal: attemptSignal,
+                        deadlineAt,
+                        stats,
+                        attemptSpan,
+                        budget,
+                        budgetCall,
+                        responseCache,
+                        preparedMessages: attemptMessages,
+                        admission,
+                        callStartedAt: startedAt,
+                        config,
+                        options,
+                        finalConfig,
+                        pluginRequest,
+                        systemSuffix,
+                        templateContext
+                    });
+                    if (!outcome.cached && !outcome.deduped) {
+                        modelStats.recordSuccess({
+                            latencyMs: outcome.elapsedMs,
+                            cost: outcome.result.tokens?.cost
+                        }, routing.smoothing);
+                    }
+                    this._chargeBudget(budgetCall, outcome.result.tokens?.cost);
+                    this._emit('attempt:success', {
+                        model: currentModel.key,
+                        provider: getProviderName(currentModel.provider),
+                        attempt,
+                        hedged,
+                        elapsedMs: outcome.elapsedMs,
+                        retries: stats.retries,
+                        tokens: outcome.result.tokens ?? null,
+                        cost: outcome.result.tokens?.cost ?? 0,
+                        cached: Boolean(outcome.cached),
+                        deduped: Boolean(outcome.deduped)
+                    });
+                    usageLedger.record({
+                        model: currentModel.key,
+                        provider: getProviderName(currentModel.provider),
+                        executionId: executionMetadata?.executionId ?? null,
+                        parentExecutionId: executionMetadata?.parentExecutionId ?? null,
+                        source: outcome.cached ? 'cache' : outcome.deduped ? 'dedupe' : 'provider',
+                        tokens: outcome.result.tokens ?? {}
+                    });
+                    const parsedJson = outputMode === 'json' ? this._parseJsonResult(outcome.result) : null;
+                    if (parsedJson?.repaired) {
+                        logEntry(finalConfig, 'info', 1, {
+                            event: 'json.repaired',
+                            provider: getProviderName(currentModel.provider),
+                            model: currentModel.key,
+                            repairs: parsedJson.repairs
+                        });
+                        this._emit('json:repaired', {
+                            model: currentModel.key,
+                            provider: getProviderName(currentModel.provider),
+                            attempt,
+                            repairs: parsedJson.repairs
+                        });
+                    }
+                    const violations = validateJson && parsedJson ? await this._jsonViolations(parsedJson, finalConfig) : [];
+                    if (violations.length === 0) {
+                        endSpan(attemptSpan, { attributes: { ...resultAttributes(outcome.result), 'modelmix.retries': stats.retries } });
+                        return { ...outcome, model: currentModel };
+                    }
+                    if (repair >= jsonValidation.maxRepairs) {
+                        throw new JsonValidationError(violations, { model: currentModel.key, repairs: repair, output: outcome.result.message });
+                    }
+                    logEntry(finalConfig, 'warn', 1, {
+                        event: 'json.repair',
+                        provider: getProviderName(currentModel.provider),
+                        model: currentModel.key,
+                        repair: repair + 1,
+                        violations
+                    });
+                    this._emit('attempt:repair', {
+                        model: currentModel.key,
+                        provider: getProviderName(currentModel.provider),
+                        attempt,
+                        repair: repair + 1,
+                        violations
+                    });
+                    attemptMessages = [...attemptMessages, ...buildRepairMessages(outcome.result.message ?? '', violations)];
+                }
+            } catch (error) {
+                endSpan(attemptSpan, { error, attributes: { 'modelmix.retries': stats.retries } });
+                // Cancelled attempts (caller abort, deadline, lost hedge) and the caller's own errors are not model failures.
+                if (attemptSignal?.aborted || isCallerError(error)) throw error;
+                if (error instanceof BudgetExceededError) {
+                    this._logBudgetExceeded(error, budget, finalConfig);
+                    throw error;
+                }
+                if (stats.action !== 'abort') modelStats.recordFailure(routing.smoothing);
+                const failure = describeFailedAttempt(currentModel, error, {
+                    retries: stats.retries,
+                    elapsedMs: Date.now() - startedAt,
+                    action: stats.action
+                });
+                failedAttempts.push(failure);
+                this._logProviderFailure(error, currentModel, attempt, modelsToTry, stats.action, finalConfig);
+                this._emit('attempt:error', {
+                    model: currentModel.key,
+                    provider: getProviderName(currentModel.provider),
+                    attempt,
+                    hedged,
+                    elapsedMs: failure.elapsedMs,
+                    retries: failure.retries,
+                    action: failure.action,
+                    statusCode: failure.statusCode,
+                    message: failure.message,
+                    error
+                });
+                if (stats.action === 'fallback' && attempt < modelsToTry.length - 1) {
+                    this._emit('attempt:fallback', {
+                        model: currentModel.key,
+                        next: modelsToTry[attempt + 1].model.key,
+                        attempt
+                    });
+                }
+                if (stats.action === 'abort') {
+                    throw new ModelMixFallbackError(failedAttempts, { aborted: true });
+                }
+                throw error;
+            }
+        };
+        const streaming = Boolean(pluginRequest ? pluginRequest.options.stream : options.stream);
+        const chain = { signal, failedAttempts, preparedMessages, budgetCall };
+        const { result, providerAttempt, model, elapsedMs } = finalConfig.hedgeAfterMs > 0 && !streaming && modelsToTry.length > 1
+            ? await this._executeHedgedAttempts(modelsToTry, runAttempt, finalConfig, chain)
+            : await this._executeSequentialAttempts(modelsToTry, runAttempt, finalConfig, chain);
 
-        let lastError = null;
-        for (let attempt = 0; attempt < modelsToTry.length; attempt++) {
-            const { model: currentModel, index: originalIndex } = modelsToTry[attempt];
-            const providerAttempt = this._createProviderAttempt({
-                currentModel,
-                preparedMessages,
-                config,
+        if (result.toolCalls && result.toolCalls.length > 0) {
+            const requestedBy = { model: model.key, elapsedMs, tokens: result.tokens ?? null, cost: result.tokens?.cost ?? 0 };
+            return this._continueToolCalls(result, pluginRequest, requestedBy, {
                 options,
-                finalConfig,
-                pluginRequest,
+                config,
                 systemSuffix,
-                templateContext
+                outputMode,
+                signal,
+                _deadlineAt: deadlineAt,
+                _templateContext: templateContext,
+                _executionMetadata: executionMetadata,
+                _pluginsApplied: pluginsApplied,
+                _budgetCall: budgetCall,
+                _traceSpan: traceSpan,
+                _startedAt: startedAt
+            });
+        }
+
+        this._logProviderSuccess(result, providerAttempt);
+        this._recordProviderResult(result);
+        return result;
+    }
+
+    async _runProviderAttempt({ currentModel, originalIndex, attempt, hedged, signal, deadlineAt, stats, attemptSpan, budget, budgetCall, responseCache, preparedMessages, admission, callStartedAt, ...attemptInput }) {
+        const providerAttempt = this._createProviderAttempt({
+            currentModel,
+            preparedMessages,
+            ...attemptInput
+        });
+        setSpanAttributes(attemptSpan, requestAttributes({
+            provider: getProviderName(providerAttempt.provider),
+            model: providerAttempt.resolvedModelKey,
+            options: providerAttempt.currentOptions
+        }));
+        const dedupe = Boolean(providerAttempt.currentConfig.dedupe);
+        const requestKey = (responseCache.enabled || dedupe) && !providerAttempt.currentOptions.stream
+            ? buildCacheKey({
+                provider: getProviderName(providerAttempt.provider),
+                model: providerAttempt.resolvedModelKey,
+                system: providerAttempt.currentConfig.system,
+                options: providerAttempt.currentOptions,
+                schema: providerAttempt.currentConfig.schema,
+                effort: providerAttempt.currentConfig.effort
+            })
+            : null;
+        const cacheKey = responseCache.enabled ? requestKey : null;
+        if (cacheKey && responseCache.read) {
+            const cached = await this._readResponseCache(responseCache, cacheKey, providerAttempt);
+            if (cached) return cached;
+        }
+        const dedupeKey = dedupe ? requestKey : null;
+        // Joining an identical request in flight costs nothing, so only the leader is budget-checked.
+        const joining = dedupeKey !== null && this.inFlightRequests.has(dedupeKey);
+        const estimateCost = () => tokenUsage.calculateCost(providerAttempt.resolvedModelKey, {
+            input: tokenUsage.estimateInputTokens(preparedMessages, providerAttempt.currentConfig.system)
+        }) ?? 0;
+        if (!joining && hasBudgetLimits(budget)) {
+            checkBudget(budget, {
+                callSpent: budgetCall.spent,
+                tracker: this.spend,
+                estimatedCost: estimateCost(),
+                model: currentModel.key
             });
+        }
+        if (joining) {
+            logEntry(providerAttempt.currentConfig, 'info', 1, {
+                event: 'dedupe.join',
+                provider: getProviderName(providerAttempt.provider),
+                model: providerAttempt.resolvedModelKey
+            });
+        } else {
             this._logProviderAttempt({
                 attempt,
                 originalIndex,
+                hedged,
                 preparedMessages,
                 ...providerAttempt
             });
+            this._emit('attempt:start', {
+                model: currentModel.key,
+                provider: getProviderName(providerAttempt.provider),
+                attempt,
+                index: originalIndex,
+                hedged,
+                callElapsedMs: Date.now() - callStartedAt
+            });
+        }
 
+        const invoke = async invokeSignal => {
+            const reservation = admission?.claim(currentModel, preparedMessages)
+                ?? await this._reserveTokens(providerAttempt, preparedMessages, invokeSignal);
+            const timeoutsBefore = stats.timeouts;
             try {
-                const { result, elapsedMs } = await this._invokeProviderWithRetry(
+                const outcome = await this._invokeProviderWithRetry(
                     providerAttempt.provider,
                     providerAttempt.currentOptions,
                     providerAttempt.currentConfig,
-                    providerAttempt.resolvedModelKey
+                    providerAttempt.resolvedModelKey,
+                    { signal: invokeSignal, deadlineAt, stats, traceSpan: attemptSpan }
                 );
-                this._enrichResultTokens(result, providerAttempt.resolvedModelKey, elapsedMs);
+                reservation?.settle(outcome.result.tokens?.total);
+                return outcome;
+            } catch (error) {
+                reservation?.release();
+                throw error;
+            } finally {
+                // A timed-out request was already sent, so its prompt may still be billed.
+                const timeouts = stats.timeouts - timeoutsBefore;
+                if (timeouts > 0) this._chargeBudget(budgetCall, timeouts * estimateCost());
+            }
+        };
+        if (!dedupeKey) {
+            const { result, elapsedMs } = await invoke(signal);
+            this._enrichResultTokens(result, providerAttempt.resolvedModelKey, elapsedMs);
+            if (cacheKey && responseCache.write) {
+                await this._writeResponseCache(responseCache, cacheKey, result, providerAttempt.currentConfig);
+            }
+            return { result, providerAttempt, elapsedMs };
+        }
 
-                if (result.toolCalls && result.toolCalls.length > 0) {
-                    return this._continueToolCalls(result, pluginRequest, {
-                        options,
-                        config,
-                        systemSuffix,
-                        outputMode,
-                        _templateContext: templateContext,
-                        _executionMetadata: executionMetadata,
-                        _pluginsApplied: pluginsApplied
-                    });
-                }
+        const { value, leader } = await this.inFlightRequests.run(dedupeKey, invoke, { signal, context: stats });
+        // Every caller continues (tool loop, history) on its own copy of the shared result.
+        const result = structuredClone(value.result);
+        this._enrichResultTokens(result, providerAttempt.resolvedModelKey, value.elapsedMs);
+        if (!leader) {
+            result.deduped = true;
+            result.tokens = withoutCost(result.tokens);
+            return { result, providerAttempt, elapsedMs: value.elapsedMs, deduped: true };
+        }
+        if (cacheKey && responseCache.write) {
+            await this._writeResponseCache(responseCache, cacheKey, result, providerAttempt.currentConfig);
+        }
+        return { result, providerAttempt, elapsedMs: value.elapsedMs };
+    }
+
+    /**
+     * Reserves the TPM tokens of the first model before the call is queued, so
+     * waiting for a refill does not hold a limiter slot that calls to other
+     * providers could use. The first attempt on that model takes the
+     * reservation over; `release()` returns it when no attempt did.
+     */
+    async _admitTokens({ config, options, systemSuffix, templateContext, pluginRequest, signal }) {
+        const [currentModel] = this.models;
+        const finalConfig = pluginRequest ? pluginRequest.config : this._mergeRequestConfig(config);
+        const tpm = resolveTpmConfig({ ...finalConfig, ...currentModel.provider.config, ...config }.tpm);
+        if (this._tokenBucketsFor(currentModel.provider, currentModel.key, tpm).length === 0) return null;
+
+        const preparedMessages = pluginRequest ? pluginRequest.messages : await this.prepareMessages(templateContext);
+        this._requirePreparedMessages(preparedMessages);
+        const providerAttempt = this._createProviderAttempt({
+            currentModel,
+            preparedMessages,
+            config,
+            options,
+            finalConfig,
+            pluginRequest,
+            systemSuffix,
+            templateContext
+        });
+        const reservation = await this._reserveTokens(providerAttempt, preparedMessages, signal);
+        if (!reservation) return null;
+
+        let claimed = false;
+        return {
+            preparedMessages,
+            claim(model, messages) {
+                if (claimed || model !== currentModel || messages !== preparedMessages) return null;
+                claimed = true;
+                return reservation;
+            },
+            release() {
+                if (claimed) return;
+                claimed = true;
+                reservation.release();
+            }
+        };
+    }
+
+    /**
+     * Reserves the estimated tokens (prompt, plus max_tokens with `reserveOutput`)
+     * on the TPM buckets of this provider family and model, waiting for the
+     * refill when they are short. Returns null when no bucket applies.
+     */
+    async _reserveTokens({ provider, currentOptions, currentConfig, resolvedModelKey }, preparedMessages, signal) {
+        const tpm = resolveTpmConfig(currentConfig.tpm);
+        const buckets = this._tokenBucketsFor(provider, resolvedModelKey, tpm);
+        if (buckets.length === 0) return null;
+
+        const estimatedTokens = tokenUsage.estimateInputTokens(preparedMessages, currentConfig.system)
+            + (tpm.reserveOutput ? Math.max(0, currentOptions.max_tokens || 0) : 0);
+        const reservation = reserveTokens(buckets, estimatedTokens);
+        if (reservation.waitMs > 0) {
+            logEntry(currentConfig, 'info', 1, {
+                event: 'tpm.wait',
+                provider: getProviderName(provider),
+                model: resolvedModelKey,
+                waitMs: reservation.waitMs,
+                tokens: estimatedTokens
+            });
+            try {
+                await sleep(reservation.waitMs, signal);
+            } catch (error) {
+                reservation.release();
+                throw error;
+            }
+        }
+        return reservation;
+    }
+
+    _observeRateLimits(provider, modelKey, { headers, details } = {}, config) {
+        const quotas = parseRateLimits({ headers, details });
+        if (!quotas) return;
+        const providerName = getProviderName(provider);
+        const snapshot = { provider: providerName, model: modelKey, updatedAt: Date.now(), ...quotas };
+        this.rateLimits.set(providerName, snapshot);
+        this._adaptLimiter(snapshot, config);
+    }
+
+    /**
+     * Follows the provider's own counters: the reservoir mirrors the remaining
+     * requests until their reset, and a token quota below `tokenThreshold`
+     * drops the limiter to one call at a time until the tokens reset. One call
+     * keeps the capacity its weight needs, so the heaviest job still runs.
+     * A reservoir configured by the user is left alone.
+     */
+    _adaptLimiter(snapshot, config) {
+        const adaptive = resolveAdaptiveLimiterConfig(config.adaptiveLimiter);
+        if (!adaptive.enabled) return;
+        const bottleneck = this.config.bottleneck || {};
+
+        const { requests } = snapshot;
+        if (Number.isFinite(requests?.remaining) && bottleneck.reservoir === undefined) {
+            this.limiter.updateSettings({ reservoir: Math.max(0, requests.remaining) });
+            this._scheduleLimiterReset('reservoir', requests.resetAt, { reservoir: null });
+        }
+
+        const tokens = snapshot.tokens || snapshot.inputTokens;
+        if (tokens?.limit > 0 && Number.isFinite(tokens.remaining) && tokens.remaining / tokens.limit < adaptive.tokenThreshold) {
+            const load = getLimiterLoad(this.limiter);
+            load.throttledTo = Math.min(load.heaviestWeight, bottleneck.maxConcurrent ?? Infinity);
+            this.limiter.updateSettings({ maxConcurrent: load.throttledTo });
+            this._scheduleLimiterReset('concurrency', tokens.resetAt, { maxConcurrent: bottleneck.maxConcurrent ?? null }, () => {
+                load.throttledTo = null;
+            });
+            logEntry(config, 'info', 1, {
+                event: 'limiter.throttle',
+                provider: snapshot.provider,
+                remaining: tokens.remaining,
+                limit: tokens.limit,
+                resetAt: tokens.resetAt
+            });
+        }
+    }
+
+    _scheduleLimiterReset(name, resetAt, settings, onReset) {
+        clearTimeout(this.limiterResets[name]);
+        // Without a reset time, re-check after a minute rather than hold the limiter forever.
+        const delay = Number.isFinite(resetAt) ? Math.max(0, resetAt - Date.now()) : 60000;
+        const timer = setTimeout(() => {
+            onReset?.();
+            this.limiter.updateSettings(settings);
+        }, delay);
+        timer.unref?.();
+        this.limiterResets[name] = timer;
+    }
+
+    // A call heavier than the active throttle widens it instead of being rejected or queued until the reset.
+    _fitLimiterThrottle(weight) {
+        const load = getLimiterLoad(this.limiter);
+        load.heaviestWeight = Math.max(load.heaviestWeight, weight);
+        if (load.throttledTo !== null && weight > load.throttledTo) {
+            load.throttledTo = Math.min(weight, this.config.bottleneck?.maxConcurrent ?? Infinity);
+            this.limiter.updateSettings({ maxConcurrent: load.throttledTo });
+        }
+    }
+
+    getQueueState() {
+        const counts = this.limiter.counts();
+        return {
+            queued: counts.QUEUED,
+            running: counts.RUNNING + counts.EXECUTING,
+            byPriority: Array.from({ length: 10 }, (_, priority) => this.limiter.queued(priority))
+        };
+    }
+
+    getRateLimitState() {
+        return Object.fromEntries(this.rateLimits);
+    }
+
+    _tokenBucketsFor(provider, modelKey, tpm) {
+        return getTokenBuckets(tpm, {
+            apiKey: provider.config?.apiKey,
+            family: resolveProviderFamily(provider) || getProviderName(provider),
+            model: modelKey
+        });
+    }
+
+    getTokenLimiterState() {
+        const tpm = resolveTpmConfig(this.config.tpm);
+        return this.models.map((model, index) => ({
+            index,
+            key: model.key,
+            provider: getProviderName(model.provider),
+            buckets: this._tokenBucketsFor(model.provider, model.key, tpm)
+                .map(({ scope, name, bucket }) => ({ scope, name, ...bucket.snapshot() }))
+        }));
+    }
+
+    _responseCacheStoreFor(responseCache) {
+        return responseCache.store || this.responseCacheStore;
+    }
 
-                this._logProviderSuccess(result, providerAttempt.currentConfig);
-                this._recordProviderResult(result);
-                return result;
+    async _readResponseCache(responseCache, cacheKey, providerAttempt) {
+        const startedAt = Date.now();
+        let entry = null;
+        try {
+            entry = await readCachedResult(this._responseCacheStoreFor(responseCache), cacheKey);
+        } catch (error) {
+            // A broken store degrades to a miss instead of failing the call.
+            logEntry(providerAttempt.currentConfig, 'warn', 1, { event: 'cache.failure', operation: 'read', message: error.message });
+        }
+        if (!entry) return null;
+
+        // The store may hand out its own object; hits are changed below and by the caller.
+        const result = structuredClone(entry.result);
+        result.cached = true;
+        result.tokens = withoutCost(result.tokens);
+        logEntry(providerAttempt.currentConfig, 'info', 1, {
+            event: 'cache.hit',
+            provider: getProviderName(providerAttempt.provider),
+            model: providerAttempt.resolvedModelKey
+        });
+        return { result, providerAttempt, elapsedMs: Date.now() - startedAt, cached: true };
+    }
+
+    async _writeResponseCache(responseCache, cacheKey, result, config) {
+        try {
+            await writeCachedResult(this._responseCacheStoreFor(responseCache), cacheKey, result, responseCache.ttlMs);
+        } catch (error) {
+            logEntry(config, 'warn', 1, { event: 'cache.failure', operation: 'write', message: error.message });
+        }
+    }
+
+    _throwChainExhausted(modelsToTry, skippedModels, failedAttempts, budgetErrors, config) {
+        if (failedAttempts.length === 0 && budgetErrors.length > 0) {
+            throw budgetErrors[budgetErrors.length - 1];
+        }
+        if (skippedModels.length === modelsToTry.length) {
+            const keys = skippedModels.map(model => model.key).join(', ');
+            throw new Error(`All ${modelsToTry.length} model(s) skipped: circuit breaker open for ${keys}.`);
+        }
+        if (failedAttempts.length > 0) {
+            const error = new ModelMixFallbackError(failedAttempts, {
+                skipped: skippedModels.map(model => model.key)
+            });
+            logEntry(config, 'error', 0, { event: 'chain.failure', attempts: failedAttempts.length, message: error.message });
+            throw error;
+        }
+        logEntry(config, 'error', 0, { event: 'chain.failure', attempts: 0, message: 'Fallback logic completed without success or throwing the final error.' });
+        throw new Error('Failed to get response from any model, and no specific error was caught.');
+    }
+
+    async _executeSequentialAttempts(modelsToTry, runAttempt, finalConfig, { signal, failedAttempts }) {
+        const skippedModels = [];
+        const budgetErrors = [];
+        for (let attempt = 0; attempt < modelsToTry.length; attempt++) {
+            const { model: currentModel } = modelsToTry[attempt];
+            const breaker = this._circuitBreakerFor(currentModel, finalConfig.circuitBreaker);
+            if (breaker && !breaker.tryAcquire()) {
+                skippedModels.push(currentModel);
+                this._logCircuitSkip(currentModel, breaker, finalConfig);
+                continue;
+            }
+
+            try {
+                const outcome = await runAttempt(modelsToTry[attempt], attempt);
+                this._recordCircuitSuccess(currentModel, breaker, finalConfig);
+                return outcome;
             } catch (error) {
-                lastError = error;
-                this._logProviderFailure(error, currentModel.key, attempt, modelsToTry);
+                // Over-budget models were never called: skip them when the budget allows fallback.
+                if (isBudgetSkip(error, finalConfig)) {
+                    breaker?.release();
+                    skippedModels.push(currentModel);
+                    budgetErrors.push(error);
+                    continue;
+                }
+                // Caller aborts and errors, budget and fallback policy aborts end the chain without blaming the model.
+                if (signal?.aborted || isCallerError(error) || error instanceof ModelMixFallbackError || error instanceof BudgetExceededError) {
+                    breaker?.release();
+                    throw error;
+                }
+                this._recordCircuitFailure(currentModel, breaker, finalConfig);
+            }
+        }
+
+        this._throwChainExhausted(modelsToTry, skippedModels, failedAttempts, budgetErrors, finalConfig);
+    }
+
+    /**
+     * Hedged fallback: when the running attempt has not answered within
+     * `hedgeAfterMs`, the next model starts in parallel (at most two in flight).
+     * The first success wins and every other in-flight attempt is aborted.
+     * A failure starts the next model right away, as sequential fallback does.
+     */
+    async _executeHedgedAttempts(modelsToTry, runAttempt, finalConfig, { signal, failedAttempts, preparedMessages, budgetCall }) {
+        const hedgeAfterMs = finalConfig.hedgeAfterMs;
+        const inFlight = new Set();
+        const skippedModels = [];
+        const budgetErrors = [];
+        const losers = [];
+        let nextAttempt = 0;
+        let hedgeFired = false;
+
+        const launch = hedged => {
+            while (nextAttempt < modelsToTry.length) {
+                const attempt = nextAttempt++;
+                const candidate = modelsToTry[attempt];
+                const breaker = this._circuitBreakerFor(candidate.model, finalConfig.circuitBreaker);
+                if (breaker && !breaker.tryAcquire()) {
+                    skippedModels.push(candidate.model);
+                    this._logCircuitSkip(candidate.model, breaker, finalConfig);
+                    continue;
+                }
+
+                const controller = createLinkedController(signal);
+                const entry = { candidate, attempt, breaker, controller, startedAt: Date.now() };
+                entry.settled = runAttempt(candidate, attempt, { signal: controller.signal, hedged }).then(
+                    outcome => ({ entry, outcome }),
+                    error => ({ entry, error })
+                ).finally(controller.dispose);
+                inFlight.add(entry);
+                hedgeFired = hedgeFired || hedged;
+                return true;
+            }
+            return false;
+        };
+
+        launch(false);
+        while (inFlight.size > 0) {
+            const waiting = [...inFlight].map(entry => entry.settled);
+            let hedgeTimer = null;
+            if (inFlight.size === 1 && nextAttempt < modelsToTry.length) {
+                const [running] = inFlight;
+                const delay = Math.max(0, running.startedAt + hedgeAfterMs - Date.now());
+                waiting.push(new Promise(resolve => {
+                    hedgeTimer = setTimeout(() => resolve(null), delay);
+                }));
+            }
+            const settled = await Promise.race(waiting);
+            clearTimeout(hedgeTimer);
+
+            if (settled === null) {
+                launch(true);
+                continue;
+            }
+
+            const { entry, outcome, error } = settled;
+            inFlight.delete(entry);
+            if (isBudgetSkip(error, finalConfig)) {
+                entry.breaker?.release();
+                skippedModels.push(entry.candidate.model);
+                budgetErrors.push(error);
+                if (inFlight.size === 0) launch(false);
+                continue;
+            }
+            if (signal?.aborted || isCallerError(error) || error instanceof ModelMixFallbackError || error instanceof BudgetExceededError) {
+                for (const running of [entry, ...inFlight]) {
+                    running.controller.abort(signal?.reason);
+                    running.breaker?.release();
+                }
+                throw error;
             }
+            if (!error) {
+                this._recordCircuitSuccess(entry.candidate.model, entry.breaker, finalConfig);
+                for (const loser of inFlight) {
+                    loser.controller.abort();
+                    loser.breaker?.release();
+                    const described = this._describeHedgeLoser(loser, 'aborted', preparedMessages, outcome);
+                    this._chargeBudget(budgetCall, described.estimatedCost);
+                    losers.push(described);
+                }
+                inFlight.clear();
+                if (hedgeFired) {
+                    outcome.result.hedge = {
+                        winner: entry.candidate.model.key,
+                        elapsedMs: outcome.elapsedMs,
+                        losers
+                    };
+                }
+                return outcome;
+            }
+
+            this._recordCircuitFailure(entry.candidate.model, entry.breaker, finalConfig);
+            losers.push(this._describeHedgeLoser(entry, 'failed', preparedMessages));
+            if (inFlight.size === 0) launch(false);
         }
 
-        log.error('Fallback logic completed without success or throwing the final error.');
-        throw lastError || new Error('Failed to get response from any model, and no specific error was caught.');
+        this._throwChainExhausted(modelsToTry, skippedModels, failedAttempts, budgetErrors, finalConfig);
+    }
+
+    _describeHedgeLoser(entry, status, preparedMessages, winner = null) {
+        const { key } = entry.candidate.model;
+        if (status !== 'aborted') {
+            return { key, status, elapsedMs: Date.now() - entry.startedAt, estimatedInputTokens: 0, estimatedCost: 0 };
+        }
+        // An aborted request may still be billed for the prompt the provider already read.
+        const system = winner?.providerAttempt.currentConfig.system || '';
+        const estimatedInputTokens = tokenUsage.estimateInputTokens(preparedMessages, system);
+        return {
+            key,
+            status,
+            elapsedMs: Date.now() - entry.startedAt,
+            estimatedInputTokens,
+            estimatedCost: tokenUsage.calculateCost(key, { input: estimatedInputTokens }) ?? 0
+        };
     }
 
     async execute({
@@ -1639,53 +2793,134 @@ class ModelMix {
         options = {},
         systemSuffix = '',
         outputMode = 'raw',
+        signal,
+        _deadlineAt = null,
         _templateContext = null,
         _pluginRequest = null,
         _executionMetadata = null,
-        _pluginsApplied = false
+        _pluginsApplied = false,
+        _budgetCall = null,
+        _traceSpan = null,
+        _scheduled = false,
+        _startedAt = Date.now()
     } = {}) {
+        validateSignal(signal);
+        throwIfAborted(signal);
         const isRootExecution = _templateContext === null;
+        if (isRootExecution && _deadlineAt === null) {
+            const deadlineMs = resolveDurationMs(config.deadlineMs ?? this.config.deadlineMs, 'deadlineMs');
+            if (deadlineMs > 0) {
+                return this._executeWithDeadline(deadlineMs, { config, options, systemSuffix, outputMode, signal, _traceSpan });
+            }
+        }
         const templateContext = _templateContext || createTemplateRenderContext(() => this._choiceRandom());
+        const budgetCall = _budgetCall || { spent: 0 };
+        const executionMetadata = _executionMetadata || {
+            executionId: randomUUID(),
+            parentExecutionId: null,
+            depth: 0
+        };
 
         if (!_pluginsApplied && this.plugins.length > 0) {
-            return this._executePlugins({
+            const traceSpan = isRootExecution ? this._startExecuteSpan(outputMode, _traceSpan) : _traceSpan;
+            const execution = this._executePlugins({
                 config,
                 options,
                 systemSuffix,
                 outputMode,
+                signal,
+                deadlineAt: _deadlineAt,
                 templateContext,
-                executionMetadata: _executionMetadata,
-                isRootExecution
+                executionMetadata,
+                budgetCall,
+                isRootExecution,
+                traceSpan
             });
+            return isRootExecution ? withSpan(traceSpan, execution, resultAttributes) : execution;
         }
 
         if (!this.models || this.models.length === 0) {
             throw new Error('No models specified. Use methods like .gpt5(), .sonnet46() first.');
         }
 
-        const execution = this.limiter.schedule(() => this._executeProviderChain({
+        // A job aborted while queued in Bottleneck rejects right away and frees its slot on start.
+        const job = resolveJobOptions(config.priority ?? this.config.priority, config.weight ?? this.config.weight);
+        if (!_scheduled) this._fitLimiterThrottle(job.weight);
+        const admission = _scheduled
+            ? null
+            : await this._admitTokens({ config, options, systemSuffix, templateContext, pluginRequest: _pluginRequest, signal });
+        const traceSpan = isRootExecution ? this._startExecuteSpan(outputMode, _traceSpan) : _traceSpan;
+        const runChain = () => this._executeProviderChain({
             config,
             options,
             systemSuffix,
             outputMode,
+            signal,
+            deadlineAt: _deadlineAt,
             templateContext,
             pluginRequest: _pluginRequest,
-            executionMetadata: _executionMetadata,
-            pluginsApplied: _pluginsApplied
-        }));
+            executionMetadata,
+            pluginsApplied: _pluginsApplied,
+            budgetCall,
+            traceSpan,
+            admission,
+            startedAt: _startedAt
+        });
+        // A tool round runs in the job of its call; a job of its own would wait for the slots that call holds.
+        const scheduled = _scheduled ? runChain() : raceAbort(this.limiter.schedule(job, runChain), signal);
+        const execution = admission ? scheduled.finally(admission.release) : scheduled;
 
         if (!isRootExecution) return execution;
 
-        const result = await execution;
+        const result = await withSpan(traceSpan, execution, resultAttributes);
         this._commitTemplateRenderContext(templateContext);
         return result;
     }
-    async processToolCalls(toolCalls) {
+    // Root span of a call; a child invocation's tracer defaults to the one of its parent span.
+    _startExecuteSpan(outputMode, parent) {
+        const tracer = resolveTracer(this.config.tracer) ?? parent?.tracer ?? null;
+        return startSpan(tracer, 'modelmix.execute', {
+            parent,
+            attributes: {
+                'modelmix.output_mode': outputMode,
+                'modelmix.models': this.models.map(model => model.key)
+            }
+        });
+    }
+
+    async _executeWithDeadline(deadlineMs, { signal, ...execution }) {
+        const controller = createLinkedController(signal);
+        const timer = setTimeout(() => controller.abort(new TimeoutError(
+            `Call exceeded its deadline of ${deadlineMs}ms.`,
+            { scope: 'deadline', timeoutMs: deadlineMs }
+        )), deadlineMs);
+        try {
+            return await this.execute({
+                ...execution,
+                signal: controller.signal,
+                _deadlineAt: Date.now() + deadlineMs
+            });
+        } finally {
+            clearTimeout(timer);
+            controller.dispose();
+        }
+    }
+
+    async processToolCalls(toolCalls, { signal, traceSpan = null, config = this.config, requestedBy = null } = {}) {
         const result = []
+        // The attempt whose answer asked for the tools: its model, duration, tokens, and cost.
+        const origin = {
+            model: requestedBy?.model ?? null,
+            attemptElapsedMs: requestedBy?.elapsedMs ?? null,
+            tokens: requestedBy?.tokens ?? null,
+            cost: requestedBy?.cost ?? 0
+        };
 
         for (const toolCall of toolCalls) {
+            throwIfAborted(signal);
             // Handle different tool call formats more robustly
-            let toolName, toolArgs, toolId;
+            let toolName, toolArgs, toolId, toolSpan = null;
+            const startedAt = Date.now();
 
             try {
                 if (toolCall.function) {
@@ -1711,14 +2946,20 @@ class ModelMix {
                     continue;
                 }
 
+                this._emit('tool:call', { ...origin, name: toolName, id: toolId, arguments: toolArgs });
+                toolSpan = startSpan(traceSpan?.tracer, `execute_tool ${toolName}`, {
+                    parent: traceSpan,
+                    attributes: {
+                        'gen_ai.operation.name': 'execute_tool',
+                        'gen_ai.tool.name': toolName,
+                        'gen_ai.tool.call.id': toolId
+                    }
+                });
+
                 // Verificar si es una herramienta local registrada
+                let response;
                 if (this.mcpToolsManager.hasTool(toolName)) {
-                    const response = await this.mcpToolsManager.executeTool(toolName, toolArgs);
-                    result.push({
-                        name: toolName,
-                        tool_call_id: toolId,
-                        content: response.content.map(item => item.text).join("\n")
-                    });
+                    response = await raceAbort(this.mcpToolsManager.executeTool(toolName, toolArgs, { signal }), signal);
                 } else {
                     // Usar el cliente MCP externo
                     const client = this.toolClient[toolName];
@@ -1726,24 +2967,37 @@ class ModelMix {
                         throw new Error(`No client found for tool: ${toolName}`);
                     }
 
-                    const response = await client.callTool({
+                    response = await client.callTool({
                         name: toolName,
                         arguments: toolArgs
-                    });
-
-                    result.push({
-                        name: toolName,
-                        tool_call_id: toolId,
-                        content: response.content.map(item => item.text).join("\n")
-                    });
+                    }, undefined, { signal });
                 }
+
+                const content = response.content.map(item => item.text).join("\n");
+                result.push({
+                    name: toolName,
+                    tool_call_id: toolId,
+                    content
+                });
+                this._emit('tool:result', { ...origin, name: toolName, id: toolId, content, elapsedMs: Date.now() - startedAt });
+                endSpan(toolSpan);
             } catch (error) {
-                console.error(`Error processing tool call ${toolName}:`, error);
+                endSpan(toolSpan, { error });
+                if (signal?.aborted) throw createAbortError(signal);
+                logEntry(config, 'error', 1, { event: 'tool.failure', name: toolName || 'unknown', error });
                 result.push({
                     name: toolName || 'unknown',
                     tool_call_id: toolId || 'unknown',
                     content: `Error: ${error.message}`
                 });
+                this._emit('tool:result', {
+                    ...origin,
+                    name: toolName || 'unknown',
+                    id: toolId || 'unknown',
+                    content: `Error: ${error.message}`,
+                    elapsedMs: Date.now() - startedAt,
+                    error
+                });
             }
         }
         return result;
@@ -1872,4 +3126,4 @@ class ModelMix {
     log
 }));
 
-module.exports = { MixCustom, ModelMix, ModerationMix, MixModeration, MixAnthropic, MixKimi, MixMiniMax, MixMiMo, MixOpenAI, MixOpenAIResponses, MixOpenAIModeration, MixOpenAIWebSocket, MixOpenRouter, MixPerplexity, MixOllama, MixLMStudio, MixGroq, MixTogether, MixGrok, MixCerebras, MixGoogle, MixFireworks, MixNVIDIA, normalizeEffort, applyUnifiedEffort, resolveProviderFamily };
+module.exports = { AbortError, BudgetExceededError, FileCacheStore, MemoryCacheStore, TimeoutError, MixCustom, ModelMix, ModelMixFallbackError, ModerationMix, MixModeration, MixAnthropic, MixKimi, MixMiniMax, MixMiMo, MixOpenAI, MixOpenAIResponses, MixOpenAIModeration, MixOpenAIWebSocket, MixOpenRouter, MixPerplexity, MixOllama, MixLMStudio, MixGroq, MixTogether, MixGrok, MixCerebras, MixGoogle, MixFireworks, MixNVIDIA, normalizeEffort, applyUnifiedEffort, resolveProviderFamily, createJsonLogger, MetricsCollector, UsageLedger, JsonValidationError };
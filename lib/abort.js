@@ -0,0 +1,108 @@
+class AbortError extends Error {
+    constructor(message = 'The operation was aborted.', { reason } = {}) {
+        super(message);
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+        this.reason = reason;
+    }
+}
+
+/**
+ * `scope: 'attempt'` is a single provider call exceeding `timeoutMs` (retried
+ * or fallen back like any transient failure); `scope: 'deadline'` is the whole
+ * call exceeding `deadlineMs` and ends it.
+ */
+class TimeoutError extends Error {
+    constructor(message, { scope, timeoutMs } = {}) {
+        super(message);
+        this.name = 'TimeoutError';
+        this.code = 'ETIMEDOUT';
+        this.scope = scope;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+function createAbortError(signal) {
+    const reason = signal?.reason;
+    if (reason instanceof AbortError || reason instanceof TimeoutError) return reason;
+    const detail = reason instanceof Error && reason.name !== 'AbortError' ? `: ${reason.message}` : '';
+    return new AbortError(`The operation was aborted${detail}.`, { reason });
+}
+
+function validateSignal(signal) {
+    if (signal === undefined || signal === null) return null;
+    if (typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function') {
+        throw new TypeError('signal must be an AbortSignal.');
+    }
+    return signal;
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) throw createAbortError(signal);
+}
+
+/**
+ * Settles with `promise`, or rejects with an AbortError as soon as `signal`
+ * aborts. The underlying work is not cancelled, only no longer awaited.
+ */
+function raceAbort(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(createAbortError(signal));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createAbortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
+
+function sleep(ms, signal) {
+    return raceAbort(new Promise(resolve => {
+        const onAbort = () => clearTimeout(timer);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }), signal);
+}
+
+/**
+ * AbortController that also aborts when `parent` does. `dispose()` unlinks it
+ * once the work is done, so a long-lived parent does not collect a listener
+ * per call.
+ */
+function createLinkedController(parent) {
+    const controller = new AbortController();
+    controller.dispose = () => {};
+    if (!parent) return controller;
+    if (parent.aborted) {
+        controller.abort(parent.reason);
+        return controller;
+    }
+    const onAbort = () => controller.abort(parent.reason);
+    parent.addEventListener('abort', onAbort, { once: true });
+    controller.dispose = () => parent.removeEventListener('abort', onAbort);
+    controller.signal.addEventListener('abort', controller.dispose, { once: true });
+    return controller;
+}
+
+module.exports = {
+    AbortError,
+    TimeoutError,
+    createAbortError,
+    createLinkedController,
+    raceAbort,
+    sleep,
+    throwIfAborted,
+    validateSignal
+};
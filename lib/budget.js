@@ -0,0 +1,107 @@
+const BUDGET_ACTIONS = ['throw', 'fallback'];
+
+const DEFAULT_BUDGET = Object.freeze({
+    perCall: null, // USD per call, tool rounds included
+    perInstance: null, // USD over the lifetime of the instance
+    perWindow: null, // USD within the sliding window below
+    windowMs: 3600000,
+    onExceeded: 'throw' // 'fallback' = skip to the next model in the chain that fits
+});
+
+/**
+ * Thrown when an attempt would exceed a spend cap, or with `overrun` when
+ * earlier results already used the cap up. `scope` names the cap (`call`,
+ * `instance`, or `window`); amounts are in USD.
+ */
+class BudgetExceededError extends Error {
+    constructor({ scope, limit, spent, estimatedCost, model, overrun = false }) {
+        super(overrun
+            ? `Budget exceeded: the ${scope} limit of $${limit} is used up ($${spent.toFixed(6)} spent), so ${model} was not called.`
+            : `Budget exceeded: ${model} would spend ~$${estimatedCost.toFixed(6)} on top of $${spent.toFixed(6)} `
+                + `against the ${scope} limit of $${limit}.`);
+        this.name = 'BudgetExceededError';
+        this.code = 'BUDGET_EXCEEDED';
+        this.scope = scope;
+        this.limit = limit;
+        this.spent = spent;
+        this.estimatedCost = estimatedCost;
+        this.model = model;
+        this.overrun = overrun;
+    }
+}
+
+function validateLimit(value, name) {
+    if (value === null || value === undefined) return null;
+    if (!Number.isFinite(value) || value < 0) {
+        throw new TypeError(`budget.${name} must be a non-negative number or null.`);
+    }
+    return value;
+}
+
+function resolveBudgetConfig(budget = {}) {
+    const resolved = { ...DEFAULT_BUDGET, ...(budget || {}) };
+    resolved.perCall = validateLimit(resolved.perCall, 'perCall');
+    resolved.perInstance = validateLimit(resolved.perInstance, 'perInstance');
+    resolved.perWindow = validateLimit(resolved.perWindow, 'perWindow');
+    if (!Number.isFinite(resolved.windowMs) || resolved.windowMs <= 0) {
+        throw new TypeError('budget.windowMs must be a positive number.');
+    }
+    if (!BUDGET_ACTIONS.includes(resolved.onExceeded)) {
+        throw new TypeError(`budget.onExceeded must be one of: ${BUDGET_ACTIONS.join(', ')}.`);
+    }
+    return resolved;
+}
+
+function hasBudgetLimits(budget) {
+    return budget.perCall !== null || budget.perInstance !== null || budget.perWindow !== null;
+}
+
+/** Running spend of one instance: a lifetime total plus timestamped charges for the window. */
+function createSpendTracker() {
+    let total = 0;
+    let charges = [];
+
+    return {
+        charge(cost, now = Date.now()) {
+            if (!Number.isFinite(cost) || cost <= 0) return;
+            total += cost;
+            charges.push({ at: now, cost });
+        },
+        total() {
+            return total;
+        },
+        windowTotal(windowMs, now = Date.now()) {
+            charges = charges.filter(entry => entry.at > now - windowMs);
+            return charges.reduce((sum, entry) => sum + entry.cost, 0);
+        }
+    };
+}
+
+/**
+ * Throws when `estimatedCost` on top of what was already spent would go over
+ * any cap. A cap that is already used up, typically by a result that cost
+ * more than its estimate, rejects even a zero estimate and flags `overrun`.
+ */
+function checkBudget(budget, { callSpent, tracker, estimatedCost, model, now = Date.now() }) {
+    const scopes = [
+        ['call', budget.perCall, () => callSpent],
+        ['instance', budget.perInstance, () => tracker.total()],
+        ['window', budget.perWindow, () => tracker.windowTotal(budget.windowMs, now)]
+    ];
+    for (const [scope, limit, spentFor] of scopes) {
+        if (limit === null) continue;
+        const spent = spentFor();
+        if (spent >= limit || spent + estimatedCost > limit) {
+            throw new BudgetExceededError({ scope, limit, spent, estimatedCost, model, overrun: spent >= limit });
+        }
+    }
+}
+
+module.exports = {
+    BudgetExceededError,
+    DEFAULT_BUDGET,
+    checkBudget,
+    createSpendTracker,
+    hasBudgetLimits,
+    resolveBudgetConfig
+};
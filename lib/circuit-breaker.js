@@ -0,0 +1,84 @@
+const DEFAULT_CIRCUIT_BREAKER = Object.freeze({
+    enabled: false,
+    failureThreshold: 5,
+    cooldownMs: 30000
+});
+
+function resolveCircuitBreakerConfig(config = {}) {
+    const resolved = { ...DEFAULT_CIRCUIT_BREAKER, ...(config || {}) };
+    if (!Number.isInteger(resolved.failureThreshold) || resolved.failureThreshold <= 0) {
+        throw new TypeError('circuitBreaker.failureThreshold must be a positive integer.');
+    }
+    if (!Number.isFinite(resolved.cooldownMs) || resolved.cooldownMs < 0) {
+        throw new TypeError('circuitBreaker.cooldownMs must be a non-negative number.');
+    }
+    return resolved;
+}
+
+/**
+ * Consecutive-failure breaker for one attached model.
+ * closed → open after `failureThreshold` failures, open → half-open once
+ * `cooldownMs` elapses (a single probe is let through), half-open → closed on
+ * success or back to open on failure.
+ */
+function createCircuitBreaker(config = {}, now = Date.now) {
+    const { failureThreshold, cooldownMs } = resolveCircuitBreakerConfig(config);
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = null;
+    let probing = false;
+    let trips = 0;
+    let lastFailureAt = null;
+
+    const cooledDown = () => state === 'open' && now() - openedAt >= cooldownMs;
+
+    return {
+        tryAcquire() {
+            if (state === 'closed') return true;
+            if (cooledDown()) state = 'half-open';
+            if (state !== 'half-open' || probing) return false;
+            probing = true;
+            return true;
+        },
+        release() {
+            probing = false;
+        },
+        recordSuccess() {
+            const previous = state;
+            state = 'closed';
+            failures = 0;
+            openedAt = null;
+            probing = false;
+            return previous;
+        },
+        recordFailure() {
+            const previous = state;
+            failures += 1;
+            lastFailureAt = now();
+            probing = false;
+            if (state === 'half-open' || (state === 'closed' && failures >= failureThreshold)) {
+                state = 'open';
+                openedAt = now();
+                trips += 1;
+            }
+            return previous;
+        },
+        snapshot() {
+            if (cooledDown()) state = 'half-open';
+            return {
+                state,
+                failures,
+                trips,
+                openedAt,
+                lastFailureAt,
+                retryAt: state === 'open' ? openedAt + cooldownMs : null
+            };
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_CIRCUIT_BREAKER,
+    createCircuitBreaker,
+    resolveCircuitBreakerConfig
+};
@@ -0,0 +1,49 @@
+/**
+ * Thrown when every attached model failed, or when the fallback policy
+ * aborted the chain early (`aborted: true`). `attempts` keeps one entry per
+ * failed model in the order they were tried; `statusCode` and `details`
+ * mirror the last failure so existing handlers keep working.
+ */
+class ModelMixFallbackError extends Error {
+    constructor(attempts, { skipped = [], aborted = false } = {}) {
+        const last = attempts[attempts.length - 1];
+        super(
+            aborted
+                ? `Fallback chain aborted by policy after ${last.key} failed: ${last.message}`
+                : `All ${attempts.length + skipped.length} model(s) failed. Last error from ${last.key}: ${last.message}`,
+            { cause: last.error }
+        );
+        this.name = 'ModelMixFallbackError';
+        this.attempts = attempts.map(({ error, ...attempt }) => attempt);
+        this.skipped = skipped;
+        this.aborted = aborted;
+        this.statusCode = last.statusCode;
+        this.details = last.details;
+    }
+}
+
+/**
+ * Failure entry for one model. Details go through the provider's
+ * `handleError` so API keys are redacted the same way provider errors are.
+ */
+function describeFailedAttempt(model, error, { retries = 0, elapsedMs = 0, action = 'fallback' } = {}) {
+    const formatted = typeof model.provider.handleError === 'function'
+        ? model.provider.handleError(error)
+        : error;
+    return {
+        key: model.key,
+        provider: model.provider.constructor.name,
+        statusCode: formatted?.statusCode ?? null,
+        retries,
+        elapsedMs,
+        message: formatted?.message || String(error),
+        details: formatted?.details ?? null,
+        action,
+        error
+    };
+}
+
+module.exports = {
+    ModelMixFallbackError,
+    describeFailedAttempt
+};
@@ -0,0 +1,96 @@
+const FAILURE_ACTIONS = ['retry', 'fallback', 'abort'];
+
+const DEFAULT_FALLBACK_POLICY = Object.freeze({
+    abortOn: [],
+    retryOn: [],
+    decide: null
+});
+
+function validateRules(rules, name) {
+    if (!Array.isArray(rules)) {
+        throw new TypeError(`fallback.${name} must be an array.`);
+    }
+    for (const rule of rules) {
+        if (!['number', 'string', 'function'].includes(typeof rule)) {
+            throw new TypeError(`fallback.${name} entries must be status codes, error names, or error classes.`);
+        }
+    }
+    return rules;
+}
+
+function resolveFallbackPolicy(policy = {}) {
+    const resolved = { ...DEFAULT_FALLBACK_POLICY, ...(policy || {}) };
+    validateRules(resolved.abortOn, 'abortOn');
+    validateRules(resolved.retryOn, 'retryOn');
+    if (resolved.decide !== null && typeof resolved.decide !== 'function') {
+        throw new TypeError('fallback.decide must be a function.');
+    }
+    return resolved;
+}
+
+// Errors raised by the caller's own code, such as a throwing decide(), end the chain as they are.
+const callerErrors = new WeakSet();
+
+function markCallerError(error) {
+    if (error && typeof error === 'object') callerErrors.add(error);
+    return error;
+}
+
+function isCallerError(error) {
+    return callerErrors.has(error);
+}
+
+/**
+ * A rule is a status code, an error name or code, or an error class.
+ * Provider failures arrive as the plain object built by `handleError`, so
+ * names, codes and classes are also checked on the original error (`cause`),
+ * and strings on the provider's error body (`details.error.type` / `.code`).
+ */
+function matchesRule(rules, error, statusCode) {
+    const candidates = [error, error?.cause].filter(Boolean);
+    const providerError = error?.details?.error;
+    return rules.some(rule => {
+        if (typeof rule === 'number') return rule === statusCode;
+        if (typeof rule === 'string') {
+            return candidates.some(candidate => candidate.name === rule || candidate.code === rule)
+                || providerError?.type === rule
+                || providerError?.code === rule;
+        }
+        return candidates.some(candidate => candidate instanceof rule);
+    });
+}
+
+/**
+ * What to do after a failed provider call: `decide()` wins when it returns an
+ * action, then `abortOn`, then the retry rules (`retryable` from the retry
+ * config, plus `retryOn`). Anything else falls through to the next model.
+ * The caller downgrades `retry` to `fallback` once no retry is left.
+ */
+function resolveFailureAction(error, policy, { statusCode, retryable, context }) {
+    const { abortOn, retryOn, decide } = resolveFallbackPolicy(policy);
+    if (decide) {
+        let action;
+        try {
+            action = decide(error, context);
+        } catch (decideError) {
+            throw markCallerError(decideError);
+        }
+        if (action !== undefined && action !== null) {
+            if (!FAILURE_ACTIONS.includes(action)) {
+                throw markCallerError(new TypeError(`fallback.decide must return one of: ${FAILURE_ACTIONS.join(', ')}.`));
+            }
+            return action;
+        }
+    }
+    if (matchesRule(abortOn, error, statusCode)) return 'abort';
+    if (retryable || matchesRule(retryOn, error, statusCode)) return 'retry';
+    return 'fallback';
+}
+
+module.exports = {
+    DEFAULT_FALLBACK_POLICY,
+    isCallerError,
+    markCallerError,
+    resolveFailureAction,
+    resolveFallbackPolicy
+};
@@ -0,0 +1,136 @@
+const CLOSERS = { '{': '}', '[': ']' };
+
+// Repairs that complete output cut off at its end rather than fix a defect inside it.
+const TRUNCATION_REPAIRS = ['unterminated_string', 'missing_value', 'missing_bracket'];
+
+const CONTROL_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '\b': '\\b', '\f': '\\f' };
+
+function escapeControl(char) {
+    return CONTROL_ESCAPES[char] ?? `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+}
+
+/**
+ * Fixes the JSON defects models commonly produce: comments, trailing commas,
+ * single-quoted strings, raw control characters inside strings, and output
+ * cut off before its closing quotes and brackets. Returns the rewritten text
+ * and the kinds of repairs applied (empty when nothing was changed).
+ */
+function repairJson(input) {
+    const repairs = new Set();
+    const stack = [];
+    let out = '';
+    let lastSignificant = '';
+    let quote = null;
+    let isKey = false;
+    let awaitingColon = false;
+
+    const dropTrailingComma = () => {
+        if (lastSignificant !== ',') return;
+        const index = out.lastIndexOf(',');
+        out = out.slice(0, index) + out.slice(index + 1);
+        repairs.add('trailing_comma');
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quote) {
+            if (char === '\\') {
+                const next = input[i + 1];
+                if (next === undefined) break;
+                out += quote === "'" && next === "'" ? "'" : `\\${next}`;
+                i++;
+            } else if (char === quote) {
+                out += '"';
+                quote = null;
+                lastSignificant = '"';
+                if (isKey) awaitingColon = true;
+            } else if (char === '"') {
+                out += '\\"';
+            } else if (char < ' ') {
+                out += escapeControl(char);
+                repairs.add('control_character');
+            } else {
+                out += char;
+            }
+            continue;
+        }
+
+        if (char === '/' && (input[i + 1] === '/' || input[i + 1] === '*')) {
+            const end = input[i + 1] === '/' ? input.indexOf('\n', i) : input.indexOf('*/', i + 2);
+            i = end === -1 ? input.length : (input[i + 1] === '/' ? end - 1 : end + 1);
+            repairs.add('comment');
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            if (char === "'") repairs.add('single_quotes');
+            quote = char;
+            isKey = stack[stack.length - 1] === '{' && (lastSignificant === '{' || lastSignificant === ',');
+            out += '"';
+            continue;
+        }
+
+        if (char === '}' || char === ']') {
+            const opener = char === '}' ? '{' : '[';
+            if (!stack.includes(opener)) continue; // a stray closer has nothing to close
+            dropTrailingComma();
+            while (stack[stack.length - 1] !== opener) {
+                out += CLOSERS[stack.pop()];
+                repairs.add('missing_bracket');
+            }
+            stack.pop();
+        } else if (char === '{' || char === '[') {
+            stack.push(char);
+        } else if (char === ':') {
+            awaitingColon = false;
+        }
+
+        out += char;
+        if (!/\s/.test(char)) lastSignificant = char;
+    }
+
+    // Truncated output: close the open string, then complete the dangling member and the brackets.
+    if (quote) {
+        out += '"';
+        lastSignificant = '"';
+        if (isKey) awaitingColon = true;
+        repairs.add('unterminated_string');
+    }
+    out = out.trimEnd();
+    dropTrailingComma();
+    if (awaitingColon) {
+        out += ': null';
+        repairs.add('missing_value');
+    } else if (lastSignificant === ':') {
+        out += ' null';
+        repairs.add('missing_value');
+    }
+    while (stack.length > 0) {
+        out += CLOSERS[stack.pop()];
+        repairs.add('missing_bracket');
+    }
+
+    return { text: out, repairs: [...repairs] };
+}
+
+/**
+ * `JSON.parse` that falls back to `repairJson` when the text is not valid
+ * JSON. `repaired` tells whether the value came from the rewritten text;
+ * the original SyntaxError is thrown when the repair does not help.
+ */
+function parseJsonTolerant(text) {
+    try {
+        return { value: JSON.parse(text), repaired: false, repairs: [] };
+    } catch (error) {
+        const { text: repairedText, repairs } = repairJson(text);
+        if (repairs.length === 0) throw error;
+        try {
+            return { value: JSON.parse(repairedText), repaired: true, repairs };
+        } catch {
+            throw error;
+        }
+    }
+}
+
+module.exports = { TRUNCATION_REPAIRS, parseJsonTolerant, repairJson };
@@ -0,0 +1,132 @@
+const { markCallerError } = require('./fallback-policy');
+const { formatPath } = require('./json-validation');
+
+const JSON_SCHEMA_TYPES = new Set(['object', 'array', 'string', 'number', 'integer', 'boolean', 'null']);
+
+// Keywords that only annotate; a root made of `type` plus these could just as well be an example.
+const ANNOTATION_KEYWORDS = new Set(['type', 'title', 'description', 'default', 'examples', 'format', 'nullable', '$id', '$comment']);
+
+const STRUCTURAL_KEYWORDS = new Set([
+    '$schema', '$ref', '$defs', 'definitions',
+    'properties', 'required', 'additionalProperties', 'patternProperties', 'minProperties', 'maxProperties',
+    'items', 'prefixItems', 'additionalItems', 'minItems', 'maxItems', 'uniqueItems',
+    'enum', 'const', 'anyOf', 'oneOf', 'allOf', 'not',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+    'minLength', 'maxLength', 'pattern'
+]);
+
+/**
+ * A plain JSON Schema rather than an example object: every root key is a
+ * JSON Schema keyword, and there is a `$schema`, a `$ref` or combinator, or
+ * a valid `type` with at least one structural keyword. An example such as
+ * `{ type: 'cat' }` stays an example; add `$schema` to settle other cases.
+ */
+function isJsonSchema(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    if (keys.length === 0 || !keys.every(key => ANNOTATION_KEYWORDS.has(key) || STRUCTURAL_KEYWORDS.has(key))) return false;
+    if (['$schema', '$ref', 'anyOf', 'oneOf', 'allOf'].some(key => key in value)) return true;
+    const types = [].concat(value.type ?? []);
+    return types.length > 0
+        && types.every(type => JSON_SCHEMA_TYPES.has(type))
+        && keys.some(key => STRUCTURAL_KEYWORDS.has(key));
+}
+
+/** A Zod-like (`safeParse`, `toJSONSchema`) or Standard Schema validator object. */
+function isSchemaLibraryObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    return typeof value.safeParse === 'function'
+        || typeof value.toJSONSchema === 'function'
+        || typeof value['~standard']?.validate === 'function';
+}
+
+// Null when the library cannot describe its output, e.g. a Zod v3 schema.
+function toJsonSchema(input) {
+    if (typeof input.toJSONSchema === 'function') return input.toJSONSchema();
+    const jsonSchema = input['~standard']?.jsonSchema;
+    if (typeof jsonSchema?.output === 'function') return jsonSchema.output({ target: 'draft-2020-12' });
+    return null;
+}
+
+function issueViolations(issues = [], prefix) {
+    return issues.map(issue => ({
+        path: formatPath([...prefix, ...(issue.path || []).map(segment => (segment && typeof segment === 'object' ? segment.key : segment))]),
+        message: issue.message
+    }));
+}
+
+// A validator that throws is misconfigured, not a model failure, so the error reaches the caller.
+async function runValidator(validate, value) {
+    try {
+        return await validate(value);
+    } catch (error) {
+        throw markCallerError(new TypeError(`json() schema threw while validating the output: ${error.message}`, { cause: error }));
+    }
+}
+
+// The library's own check, so refinements and transforms the JSON Schema cannot express still apply.
+function libraryParser(input, wrapped) {
+    const prefix = wrapped ? ['out'] : [];
+    const rewrap = value => (wrapped ? { out: value } : value);
+    if (typeof input['~standard']?.validate === 'function') {
+        return async output => {
+            const result = await runValidator(value => input['~standard'].validate(value), wrapped ? output?.out : output);
+            return result.issues
+                ? { violations: issueViolations(result.issues, prefix), value: output }
+                : { violations: [], value: rewrap(result.value) };
+        };
+    }
+    if (typeof input.safeParse === 'function') {
+        // Zod only runs async refinements and transforms in safeParseAsync.
+        const safeParse = typeof input.safeParseAsync === 'function'
+            ? value => input.safeParseAsync(value)
+            : value => input.safeParse(value);
+        return async output => {
+            const result = await runValidator(safeParse, wrapped ? output?.out : output);
+            return result.success
+                ? { violations: [], value: rewrap(result.data) }
+                : { violations: issueViolations(result.error?.issues, prefix), value: output };
+        };
+    }
+    return null;
+}
+
+// Structured outputs need an object root, so anything else is wrapped as `{ out }` like array examples.
+function wrapSchema(schema) {
+    const { $defs, definitions, ...rest } = schema;
+    const wrapper = { type: 'object', properties: { out: rest }, required: ['out'], additionalProperties: false };
+    if ($defs) wrapper.$defs = $defs;
+    if (definitions) wrapper.definitions = definitions;
+    return wrapper;
+}
+
+/**
+ * The schema json() was given instead of an example, or null for an example.
+ * Returns the JSON Schema sent to the provider, whether it was wrapped as
+ * `{ out }`, and for library schemas an async `parse(output)` resolving to
+ * `{ violations, value }` with the library's parsed value. A library schema
+ * without a JSON Schema gets `schema: null`: it only validates the answer.
+ */
+function resolveJsonSchemaInput(input) {
+    const isLibrary = isSchemaLibraryObject(input);
+    if (!isLibrary && !isJsonSchema(input)) return null;
+
+    const source = isLibrary ? toJsonSchema(input) : input;
+    if (isLibrary && source === null) {
+        const parse = libraryParser(input, false);
+        if (!parse) throw new TypeError('json() schema must expose safeParse() or ~standard.validate to check its output.');
+        return { schema: null, wrapped: false, parse };
+    }
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        throw new TypeError('json() schema must describe its output as a JSON Schema object.');
+    }
+    const { $schema, $id, ...schema } = source;
+    const wrapped = schema.type !== 'object';
+    return {
+        schema: wrapped ? wrapSchema(schema) : schema,
+        wrapped,
+        parse: isLibrary ? libraryParser(input, wrapped) : null
+    };
+}
+
+module.exports = { isJsonSchema, resolveJsonSchemaInput };
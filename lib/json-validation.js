@@ -0,0 +1,296 @@
+const DEFAULT_JSON_VALIDATION = Object.freeze({
+    enabled: true, // json() checks the parsed output against config.schema
+    maxRepairs: 1 // times the same model is re-asked with the violations before falling back
+});
+
+function resolveJsonValidationConfig(validation = {}) {
+    const resolved = { ...DEFAULT_JSON_VALIDATION, ...(validation || {}) };
+    if (typeof resolved.enabled !== 'boolean') {
+        throw new TypeError('jsonValidation.enabled must be a boolean.');
+    }
+    if (!Number.isInteger(resolved.maxRepairs) || resolved.maxRepairs < 0) {
+        throw new TypeError('jsonValidation.maxRepairs must be a non-negative integer.');
+    }
+    return resolved;
+}
+
+/**
+ * Thrown when a model's json() output still breaks the schema after its
+ * repairs. `violations` lists every `{ path, message }` of the last answer.
+ */
+class JsonValidationError extends Error {
+    constructor(violations, { model, repairs = 0, output = null } = {}) {
+        super(
+            `JSON output from ${model} does not match the schema after ${repairs} repair(s):\n`
+            + violations.map(violation => `- ${violation.path}: ${violation.message}`).join('\n')
+        );
+        this.name = 'JsonValidationError';
+        this.code = 'JSON_SCHEMA_VIOLATION';
+        this.violations = violations;
+        this.model = model;
+        this.repairs = repairs;
+        this.output = output;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/** `['items', 0, 'id']` as `$.items[0].id`. */
+function formatPath(segments = []) {
+    return segments.reduce(childPath, '$');
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Local `#/...` JSON pointers only; other references are not followed.
+function resolveRef(root, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    return ref.slice(1).split('/').filter(Boolean)
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), root) ?? null;
+}
+
+function branchViolations(branches, value, path, root) {
+    return branches.map(branch => {
+        const found = [];
+        collectViolations(branch, value, path, found, root);
+        return found;
+    });
+}
+
+// A pattern JavaScript cannot compile is not checked.
+function compilePattern(pattern) {
+    if (typeof pattern !== 'string') return null;
+    try {
+        return new RegExp(pattern, 'u');
+    } catch {
+        return null;
+    }
+}
+
+function collectNumberViolations(schema, value, path, violations) {
+    const checks = [
+        ['minimum', '>=', limit => value >= limit],
+        ['exclusiveMinimum', '>', limit => value > limit],
+        ['maximum', '<=', limit => value <= limit],
+        ['exclusiveMaximum', '<', limit => value < limit]
+    ];
+    for (const [keyword, operator, passes] of checks) {
+        if (typeof schema[keyword] === 'number' && !passes(schema[keyword])) {
+            violations.push({ path, message: `must be ${operator} ${schema[keyword]}, got ${value}` });
+        }
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+        const quotient = value / schema.multipleOf;
+        if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+            violations.push({ path, message: `must be a multiple of ${schema.multipleOf}, got ${value}` });
+        }
+    }
+}
+
+function collectStringViolations(schema, value, path, violations) {
+    const length = [...value].length;
+    if (Number.isInteger(schema.minLength) && length < schema.minLength) {
+        violations.push({ path, message: `must be at least ${schema.minLength} characters long, got ${length}` });
+    }
+    if (Number.isInteger(schema.maxLength) && length > schema.maxLength) {
+        violations.push({ path, message: `must be at most ${schema.maxLength} characters long, got ${length}` });
+    }
+    const pattern = compilePattern(schema.pattern);
+    if (pattern && !pattern.test(value)) {
+        violations.push({ path, message: `must match pattern ${JSON.stringify(schema.pattern)}` });
+    }
+}
+
+function collectObjectViolations(schema, value, path, violations, root) {
+    for (const key of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+            violations.push({ path: childPath(path, key), message: 'missing required field' });
+        }
+    }
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {})
+        .map(([pattern, patternSchema]) => [compilePattern(pattern), patternSchema])
+        .filter(([pattern]) => pattern);
+    for (const [key, item] of Object.entries(value)) {
+        const keyPath = childPath(path, key);
+        const matchedPatterns = patterns.filter(([pattern]) => pattern.test(key));
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            collectViolations(properties[key], item, keyPath, violations, root);
+        }
+        for (const [, patternSchema] of matchedPatterns) {
+            collectViolations(patternSchema, item, keyPath, violations, root);
+        }
+        if (Object.prototype.hasOwnProperty.call(properties, key) || matchedPatterns.length > 0) continue;
+        if (schema.additionalProperties === false) {
+            violations.push({ path: keyPath, message: 'unexpected field' });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            collectViolations(schema.additionalProperties, item, keyPath, violations, root);
+        }
+    }
+    const count = Object.keys(value).length;
+    if (Number.isInteger(schema.minProperties) && count < schema.minProperties) {
+        violations.push({ path, message: `must have at least ${schema.minProperties} field(s), got ${count}` });
+    }
+    if (Number.isInteger(schema.maxProperties) && count > schema.maxProperties) {
+        violations.push({ path, message: `must have at most ${schema.maxProperties} field(s), got ${count}` });
+    }
+}
+
+function collectArrayViolations(schema, value, path, violations, root) {
+    // `prefixItems` (2020-12) or an `items` array (draft-07) describe a tuple; `items` then covers the rest.
+    const tuple = Array.isArray(schema.prefixItems) ? schema.prefixItems : Array.isArray(schema.items) ? schema.items : [];
+    const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    value.forEach((item, index) => {
+        const itemSchema = index < tuple.length ? tuple[index] : rest;
+        if (itemSchema === false) {
+            violations.push({ path: childPath(path, index), message: 'unexpected item' });
+        } else if (itemSchema && typeof itemSchema === 'object') {
+            collectViolations(itemSchema, item, childPath(path, index), violations, root);
+        }
+    });
+    if (Number.isInteger(schema.minItems) && value.length < schema.minItems) {
+        violations.push({ path, message: `must have at least ${schema.minItems} item(s), got ${value.length}` });
+    }
+    if (Number.isInteger(schema.maxItems) && value.length > schema.maxItems) {
+        violations.push({ path, message: `must have at most ${schema.maxItems} item(s), got ${value.length}` });
+    }
+    if (schema.uniqueItems === true && new Set(value.map(item => JSON.stringify(item))).size < value.length) {
+        violations.push({ path, message: 'must not contain duplicate items' });
+    }
+}
+
+// JSON Schema without `format` checks or remote `$ref`s. A failed `anyOf`/`oneOf`
+// reports the violations of its closest branch, which is what a repair needs.
+function collectViolations(schema, value, path, violations, root = schema) {
+    if (schema === false) {
+        violations.push({ path, message: 'is not allowed' });
+        return;
+    }
+    if (!schema || typeof schema !== 'object') return;
+
+    if (schema.$ref !== undefined) {
+        const target = resolveRef(root, schema.$ref);
+        if (target) collectViolations(target, value, path, violations, root);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            violations.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if (Object.prototype.hasOwnProperty.call(schema, 'const') && !sameValue(schema.const, value)) {
+        violations.push({ path, message: `must equal ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => sameValue(option, value))) {
+        violations.push({
+            path,
+            message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`
+        });
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(branch => collectViolations(branch, value, path, violations, root));
+    }
+
+    for (const keyword of ['anyOf', 'oneOf']) {
+        if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) continue;
+        const results = branchViolations(schema[keyword], value, path, root);
+        const matches = results.filter(found => found.length === 0).length;
+        if (matches === 0) {
+            violations.push(...results.reduce((closest, found) => (found.length < closest.length ? found : closest)));
+        } else if (keyword === 'oneOf' && matches > 1) {
+            violations.push({ path, message: `matches ${matches} of the oneOf schemas, expected exactly one` });
+        }
+    }
+
+    if (schema.not !== undefined && branchViolations([schema.not], value, path, root)[0].length === 0) {
+        violations.push({ path, message: 'must not match the excluded schema' });
+    }
+
+    if (typeof value === 'number') collectNumberViolations(schema, value, path, violations);
+    if (typeof value === 'string') collectStringViolations(schema, value, path, violations);
+    if (typeOf(value) === 'object') collectObjectViolations(schema, value, path, violations, root);
+    if (typeOf(value) === 'array') collectArrayViolations(schema, value, path, violations, root);
+}
+
+/** Every violation of `value` against `schema`, as `{ path, message }`; empty when it matches. */
+function validateJsonSchema(schema, value) {
+    const violations = [];
+    collectViolations(schema, value, '$', violations);
+    return violations;
+}
+
+// Keywords whose values are data, not subschemas.
+const DATA_KEYWORDS = new Set(['const', 'default', 'enum', 'examples']);
+
+function widenType(type) {
+    return type === 'integer' ? 'number' : type;
+}
+
+/**
+ * Copy of a schema inferred from an example in which `integer` also accepts
+ * fractions: `price: 10` shows that a price is a number, not that it is whole.
+ */
+function widenIntegers(schema) {
+    if (Array.isArray(schema)) return schema.map(widenIntegers);
+    if (!schema || typeof schema !== 'object') return schema;
+    const widened = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && typeof value === 'string') {
+            widened.type = widenType(value);
+        } else if (key === 'type' && Array.isArray(value)) {
+            widened.type = [...new Set(value.map(widenType))];
+        } else {
+            widened[key] = DATA_KEYWORDS.has(key) ? value : widenIntegers(value);
+        }
+    }
+    return widened;
+}
+
+/** Extra turns asking the model to answer again without the violations. */
+function buildRepairMessages(output, violations) {
+    return [
+        { role: 'assistant', content: [{ type: 'text', text: output }] },
+        {
+            role: 'user',
+            content: [{
+                type: 'text',
+                text: 'Your JSON response does not match the Output JSON Schema:\n'
+                    + violations.map(violation => `- ${violation.path}: ${violation.message}`).join('\n')
+                    + '\nReply with the complete corrected JSON only.'
+            }]
+        }
+    ];
+}
+
+module.exports = {
+    DEFAULT_JSON_VALIDATION,
+    JsonValidationError,
+    buildRepairMessages,
+    formatPath,
+    resolveJsonValidationConfig,
+    validateJsonSchema,
+    widenIntegers
+};
@@ -0,0 +1,45 @@
+const Bottleneck = require('bottleneck');
+
+// Process-wide, so every instance naming the same group queues on one limiter.
+const registry = new Map();
+
+function resolveLimiterGroupName(name) {
+    if (name === undefined || name === null) return null;
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new TypeError('config.limiterGroup must be a non-empty string.');
+    }
+    return name;
+}
+
+function isClustered(settings) {
+    return Boolean(settings.connection) || (settings.datastore !== undefined && settings.datastore !== 'local');
+}
+
+/**
+ * Returns the limiter of a group, created from the settings of its first
+ * member; later members join it as is. With a Bottleneck cluster datastore
+ * (`datastore: 'ioredis'` or a shared `connection`), the group name becomes
+ * the Redis id so processes using the same group share their limits.
+ * `resets` holds the adaptive limiter timers, which belong to the limiter.
+ */
+function getLimiterGroup(name, settings = {}) {
+    let group = registry.get(name);
+    if (!group) {
+        const limiterSettings = isClustered(settings) && settings.id === undefined
+            ? { ...settings, id: `modelmix:${name}` }
+            : settings;
+        group = { limiter: new Bottleneck(limiterSettings), resets: {} };
+        registry.set(name, group);
+    }
+    return group;
+}
+
+function findLimiterGroup(name) {
+    return registry.get(name)?.limiter ?? null;
+}
+
+module.exports = {
+    findLimiterGroup,
+    getLimiterGroup,
+    resolveLimiterGroupName
+};
@@ -0,0 +1,100 @@
+const { redactSecret } = require('./provider-debug');
+
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error'];
+
+function truncate(value, maxLength) {
+    if (typeof value !== 'string') return value;
+    return value.length > maxLength ? `${value.slice(0, maxLength)}...` : value;
+}
+
+// Errors keep their message, cycles and BigInts do not break the line.
+function stringifyLine(entry) {
+    const seen = new WeakSet();
+    return JSON.stringify(entry, (key, value) => {
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, code: value.code, statusCode: value.statusCode };
+        }
+        if (typeof value === 'bigint') return value.toString();
+        if (value && typeof value === 'object') {
+            if (seen.has(value)) return '[Circular]';
+            seen.add(value);
+        }
+        return value;
+    });
+}
+
+// Warnings and errors go to stderr, so a final chain failure stays off stdout as it always did.
+function writeLine(line, level) {
+    if (level === 'warn' || level === 'error') console.error(line);
+    else console.log(line);
+}
+
+/**
+ * Logger writing one JSON object per line: `{ time, level, name, event, ... }`.
+ * `write` receives each line and its level; by default `warn` and `error`
+ * lines go to `console.error` and the rest to `console.log`.
+ */
+function createJsonLogger({ write = writeLine, name = 'modelmix' } = {}) {
+    const logger = {};
+    for (const level of LOGGER_METHODS) {
+        logger[level] = entry => write(stringifyLine({ time: new Date().toISOString(), level, name, ...entry }), level);
+    }
+    return logger;
+}
+
+const defaultLogger = createJsonLogger();
+
+function resolveLogger(logger) {
+    if (logger === undefined || logger === null) return defaultLogger;
+    for (const method of LOGGER_METHODS) {
+        if (typeof logger[method] !== 'function') {
+            throw new TypeError('config.logger must provide debug, info, warn, and error methods.');
+        }
+    }
+    return logger;
+}
+
+/**
+ * Sends `entry` to `config.logger` at `level` once `config.debug` reaches
+ * `minDebug`, with `secret` (the provider API key by default) redacted.
+ */
+function logEntry(config, level, minDebug, entry, secret = config.apiKey) {
+    if (!(config.debug >= minDebug)) return;
+    resolveLogger(config.logger)[level](redactSecret(entry, secret));
+}
+
+// What debug 2 shows of a request; debug 3 and above skip the truncation.
+function summarizeInput(messages, system, debug) {
+    const lastMessage = messages[messages.length - 1];
+    let input = '';
+    if (lastMessage && Array.isArray(lastMessage.content)) {
+        input = lastMessage.content.find(part => part.type === 'text')?.text ?? '';
+    } else if (lastMessage && typeof lastMessage.content === 'string') {
+        input = lastMessage.content;
+    }
+    const full = debug >= 3;
+    return {
+        system: full ? (system || '') : truncate(system || '', 500),
+        input: full ? input : truncate(input, 1200),
+        messageCount: messages.length
+    };
+}
+
+function summarizeOutput(result, debug) {
+    const full = debug >= 3;
+    const summary = {};
+    if (result.message) summary.message = full ? result.message : truncate(result.message, 1500);
+    if (result.think) summary.think = full ? result.think : truncate(result.think, 800);
+    if (result.toolCalls?.length > 0) {
+        summary.toolCalls = result.toolCalls.map(toolCall => toolCall.function?.name || toolCall.name);
+    }
+    return summary;
+}
+
+module.exports = {
+    createJsonLogger,
+    logEntry,
+    resolveLogger,
+    summarizeInput,
+    summarizeOutput
+};
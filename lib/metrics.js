@@ -0,0 +1,144 @@
+const DEFAULT_LATENCY_BUCKETS = Object.freeze([0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 80]);
+
+const TOKEN_TYPES = ['input', 'output', 'cached', 'thinking'];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family: a value (or histogram state) per label set.
+function createFamily(name, type, help) {
+    return { name, type, help, series: new Map() };
+}
+
+function seriesFor(family, labels, create) {
+    const id = formatLabels(labels);
+    let series = family.series.get(id);
+    if (!series) {
+        series = { labels, ...create() };
+        family.series.set(id, series);
+    }
+    return series;
+}
+
+/**
+ * Aggregates request counts, errors by status code, latency, tokens, and cost
+ * per provider and model from the lifecycle events of the attached ModelMix
+ * instances, and renders them in the Prometheus text exposition format.
+ */
+class MetricsCollector {
+    static contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+    constructor({ prefix = 'modelmix', buckets = DEFAULT_LATENCY_BUCKETS } = {}) {
+        if (typeof prefix !== 'string' || !/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) {
+            throw new TypeError('prefix must be a valid Prometheus metric name prefix.');
+        }
+        if (!Array.isArray(buckets) || buckets.length === 0 || !buckets.every(bucket => Number.isFinite(bucket) && bucket > 0)) {
+            throw new TypeError('buckets must be a non-empty array of positive numbers of seconds.');
+        }
+        this.prefix = prefix;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.attached = new Map();
+        this.reset();
+    }
+
+    reset() {
+        const name = suffix => `${this.prefix}_${suffix}`;
+        this.families = {
+            requests: createFamily(name('requests_total'), 'counter', 'Provider requests by outcome (success, error, cached, deduped).'),
+            errors: createFamily(name('errors_total'), 'counter', 'Failed provider requests by status code.'),
+            latency: createFamily(name('request_duration_seconds'), 'histogram', 'Latency of successful provider requests.'),
+            tokens: createFamily(name('tokens_total'), 'counter', 'Tokens by type (input, output, cached, thinking).'),
+            cost: createFamily(name('cost_usd_total'), 'counter', 'Cost in USD.')
+        };
+        return this;
+    }
+
+    /** Subscribes to the events of `mix`, which covers the instances it creates with `new()`. */
+    attach(mix) {
+        if (this.attached.has(mix.events)) return this;
+        const listeners = {
+            'attempt:success': payload => this.recordSuccess(payload),
+            'attempt:retry': payload => this.recordError(payload),
+            'attempt:error': payload => this.recordError(payload)
+        };
+        for (const [event, listener] of Object.entries(listeners)) mix.on(event, listener);
+        this.attached.set(mix.events, listeners);
+        return this;
+    }
+
+    detach(mix) {
+        const listeners = this.attached.get(mix.events);
+        if (!listeners) return this;
+        for (const [event, listener] of Object.entries(listeners)) mix.off(event, listener);
+        this.attached.delete(mix.events);
+        return this;
+    }
+
+    recordSuccess({ provider, model, elapsedMs, tokens, cost, cached = false, deduped = false }) {
+        const labels = { provider, model };
+        const outcome = cached ? 'cached' : deduped ? 'deduped' : 'success';
+        this._increment(this.families.requests, { ...labels, outcome });
+        // Cache hits and shared results cost nothing and did not wait on the provider.
+        if (outcome !== 'success') return;
+
+        this._observeLatency(labels, elapsedMs / 1000);
+        for (const type of TOKEN_TYPES) {
+            const count = tokens?.[type];
+            if (Number.isFinite(count) && count > 0) this._increment(this.families.tokens, { ...labels, type }, count);
+        }
+        if (Number.isFinite(cost) && cost > 0) this._increment(this.families.cost, labels, cost);
+    }
+
+    recordError({ provider, model, statusCode }) {
+        const labels = { provider, model };
+        this._increment(this.families.requests, { ...labels, outcome: 'error' });
+        this._increment(this.families.errors, { ...labels, status_code: statusCode ?? 'none' });
+    }
+
+    _increment(family, labels, amount = 1) {
+        seriesFor(family, labels, () => ({ value: 0 })).value += amount;
+    }
+
+    _observeLatency(labels, seconds) {
+        if (!Number.isFinite(seconds)) return;
+        const series = seriesFor(this.families.latency, labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        this.buckets.forEach((bucket, index) => {
+            if (seconds <= bucket) series.counts[index] += 1;
+        });
+        series.sum += seconds;
+        series.count += 1;
+    }
+
+    /** Prometheus text exposition format (version 0.0.4). */
+    render() {
+        const lines = [];
+        for (const family of Object.values(this.families)) {
+            lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+            for (const series of family.series.values()) {
+                if (family.type !== 'histogram') {
+                    lines.push(`${family.name}${formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+                this.buckets.forEach((bucket, index) => {
+                    lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: bucket })} ${series.counts[index]}`);
+                });
+                lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = { DEFAULT_LATENCY_BUCKETS, MetricsCollector };
@@ -2,6 +2,11 @@ function configForDebug(config) {
     const safeConfig = { ...config };
     delete safeConfig.apiKey;
     delete safeConfig.debug;
+    delete safeConfig.logger;
+    delete safeConfig.tracer;
+    delete safeConfig.usageLedger;
+    delete safeConfig.schemaParser;
+    delete safeConfig.validationSchema;
     return safeConfig;
 }
 
@@ -4,6 +4,7 @@ const {
     stripContentCacheMetadata,
     hasNeutralCacheBreakpoint
 } = require('../content-cache');
+const { STRUCTURED_OUTPUT_NAME, wantsStructuredOutput } = require('../structured-output');
 
 function createAnthropicProviders({ ModelMix, MixCustom, log }) {
     class MixAnthropic extends MixCustom {
@@ -60,9 +61,39 @@ function createAnthropicProviders({ ModelMix, MixCustom, log }) {
             });
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        /**
+         * json() forces a call to a tool whose input schema is the output schema.
+         * Forced tool use is rejected with extended thinking, and it would keep
+         * the model from calling the caller's own tools, so both keep the prompt.
+         */
+        static usesForcedToolOutput(options, config) {
+            return wantsStructuredOutput(config)
+                && config.schema.type === 'object'
+                && !options.stream
+                && !(options.tools?.length > 0)
+                && (!options.thinking || options.thinking.type === 'disabled');
+        }
+    
+        static unwrapForcedToolOutput(result) {
+            const content = Array.isArray(result.response?.content) ? result.response.content : [];
+            const block = content.find(item => item.type === 'tool_use' && item.name === STRUCTURED_OUTPUT_NAME);
+            if (!block) return result;
+            // The answer is plain JSON text; replaying the tool_use would need a tool_result.
+            return { ...result, message: JSON.stringify(block.input), toolCalls: [], assistantMessage: undefined };
+        }
+    
+        async create({ config = {}, options = {}, signal } = {}) {
     
             delete options.response_format;
+            const forcedToolOutput = MixAnthropic.usesForcedToolOutput(options, config);
+            if (forcedToolOutput) {
+                options.tools = [{
+                    name: STRUCTURED_OUTPUT_NAME,
+                    description: 'Return the response as JSON matching the input schema.',
+                    input_schema: config.schema
+                }];
+                options.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_NAME };
+            }
     
             if (MixAnthropic.rejectsSamplingParams(options.model)) {
                 delete options.temperature;
@@ -83,7 +114,8 @@ function createAnthropicProviders({ ModelMix, MixCustom, log }) {
             options.system = config.system;
     
             try {
-                return await super.create({ config: requestConfig, options });
+                const result = await super.create({ config: requestConfig, options, signal });
+                return forcedToolOutput ? MixAnthropic.unwrapForcedToolOutput(result) : result;
             } catch (error) {
                 // Log the error details for debugging
                 if (error.response && error.response.data) {
@@ -297,6 +329,7 @@ function createAnthropicProviders({ ModelMix, MixCustom, log }) {
                 toolCalls: MixAnthropic.extractToolCalls(data),
                 tokens: MixAnthropic.extractTokens(data),
                 response: data,
+                headers: response.headers,
                 signature: MixAnthropic.extractSignature(data),
                 // Replay Anthropic content blocks verbatim (including empty thinking).
                 assistantMessage: Array.isArray(data?.content)
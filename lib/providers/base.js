@@ -11,6 +11,12 @@ const {
     stripContentCacheMetadata
 } = require('../content-cache');
 const { configForDebug, redactSecret } = require('../provider-debug');
+const { logEntry } = require('../logger');
+const {
+    STRUCTURED_OUTPUT_NAME,
+    toStrictJsonSchema,
+    wantsStructuredOutput
+} = require('../structured-output');
 
 function createBaseProviders({ ModelMix }) {
     class MixCustom {
@@ -67,7 +73,7 @@ function createBaseProviders({ ModelMix }) {
             return buildRequestBodyAndHeaders(options, headers);
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
             try {
                 this.sanitizeCacheOptions(options);
                 if (Array.isArray(options.messages)) {
@@ -77,27 +83,26 @@ function createBaseProviders({ ModelMix }) {
                 const request = buildRequestBodyAndHeaders(options, this.headers);
     
                 // debug level 4 (verbose): Full request details
-                if (config.debug >= 4) {
-                    console.log('\n[REQUEST DETAILS]');
-    
-                    console.log('\n[CONFIG]');
-                    console.log(ModelMix.formatJSON(configForDebug(config)));
-    
-                    console.log('\n[OPTIONS]');
-                    console.log(ModelMix.formatJSON(request.options));
-                }
+                logEntry(config, 'debug', 4, {
+                    event: 'provider.request',
+                    url: this.config.url,
+                    config: configForDebug(config),
+                    options: request.options
+                }, this.config.apiKey);
     
                 if (options.stream) {
                     return this.processStream(await fetchStreamResponse(this.config.url, {
                         method: 'POST',
                         headers: request.headers,
-                        body: request.body
+                        body: request.body,
+                        signal
                     }));
                 } else {
                     return this.processResponse(await fetchJsonResponse(this.config.url, {
                         method: 'POST',
                         headers: request.headers,
-                        body: request.body
+                        body: request.body,
+                        signal
                     }));
                 }
             } catch (error) {
@@ -109,11 +114,13 @@ function createBaseProviders({ ModelMix }) {
             let errorMessage = 'An error occurred in MixCustom';
             let statusCode = null;
             let errorDetails = null;
+            let headers = null;
     
             if (error?.isHttpError || error?.response || typeof error?.statusCode === 'number') {
                 statusCode = error.statusCode ?? error.response?.status ?? null;
                 errorMessage = error.message || `Request to ${this.config.url} failed with status code ${statusCode}`;
                 errorDetails = error.details ?? error.response?.data ?? null;
+                headers = error.headers ?? error.response?.headers ?? null;
             } else if (error?.message) {
                 errorMessage = error.message;
             }
@@ -122,8 +129,12 @@ function createBaseProviders({ ModelMix }) {
                 message: redactSecret(errorMessage, this.config.apiKey),
                 statusCode,
                 details: redactSecret(errorDetails, this.config.apiKey),
+                // Kept for Retry-After and rate-limit handling in the retry loop.
+                headers: redactSecret(headers, this.config.apiKey),
                 stack: redactSecret(error.stack, this.config.apiKey)
             };
+            // The original error, for fallback rules on its class, name or code; kept out of logs.
+            Object.defineProperty(formattedError, 'cause', { value: error, enumerable: false });
     
             return formattedError;
         }
@@ -162,6 +173,7 @@ function createBaseProviders({ ModelMix }) {
     
                 response.data.on('end', () => resolve({
                     response: raw,
+                    headers: response.headers,
                     message: message.trim(),
                     toolCalls: [],
                     think: null,
@@ -258,13 +270,19 @@ function createBaseProviders({ ModelMix }) {
                 think: MixCustom.extractThink(response.data),
                 toolCalls: MixCustom.extractToolCalls(response.data),
                 tokens: MixCustom.extractTokens(response.data),
-                response: response.data
+                response: response.data,
+                headers: response.headers
             }
         }
     
         getOptionsTools(tools) {
             return MixOpenAI.getOptionsTools(tools);
         }
+    
+        // Native schema enforcement for json(); providers without it keep the schema in the prompt.
+        supportsStructuredOutputs() {
+            return false;
+        }
     }
     
     class MixOpenAI extends MixCustom {
@@ -286,7 +304,7 @@ function createBaseProviders({ ModelMix }) {
             });
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
     
             // Remove max_tokens and temperature for o1/o3 models
             if (options.model?.startsWith('o')) {
@@ -303,7 +321,22 @@ function createBaseProviders({ ModelMix }) {
                 delete options.temperature;
             }
     
-            return super.create({ config, options });
+            this.applyStructuredOutput(options, config);
+            return super.create({ config, options, signal });
+        }
+    
+        // gpt-3.5 and gpt-4 only support json_object; later models take a strict json_schema.
+        supportsStructuredOutputs(model = '') {
+            return !/^gpt-(3\.5|4)(-|$)/.test(model);
+        }
+    
+        applyStructuredOutput(options, config) {
+            if (!wantsStructuredOutput(config) || !this.supportsStructuredOutputs(options.model)) return;
+            const { schema, strict } = toStrictJsonSchema(config.schema);
+            options.response_format = {
+                type: 'json_schema',
+                json_schema: { name: STRUCTURED_OUTPUT_NAME, strict, schema }
+            };
         }
     
         static convertMessages(messages, config) {
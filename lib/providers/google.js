@@ -1,5 +1,16 @@
 const { fetchJsonResponse } = require('../../http-client');
 const { configForDebug } = require('../provider-debug');
+const { logEntry } = require('../logger');
+const { usesSchemaKeywords, wantsStructuredOutput } = require('../structured-output');
+
+// responseSchema only knows these string formats.
+const SUPPORTED_STRING_FORMATS = new Set(['enum', 'date-time']);
+
+// responseSchema cannot express these, so json() keeps the schema in the prompt.
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['$ref', 'oneOf', 'allOf', 'not', 'const', 'prefixItems', 'patternProperties'];
+
+// Validation keywords responseSchema rejects; json() still checks them on the answer.
+const DROPPED_SCHEMA_KEYWORDS = ['default', 'examples', 'additionalProperties', '$schema', '$id', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf', 'uniqueItems'];
 
 function createGoogleProviders({ ModelMix, MixCustom }) {
     class MixGoogle extends MixCustom {
@@ -120,7 +131,7 @@ function createGoogleProviders({ ModelMix, MixCustom }) {
             }, []);
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
             if (!this.config.apiKey) {
                 throw new Error('Gemini API key not found. Please provide it in config or set GEMINI_API_KEY environment variable.');
             }
@@ -160,7 +171,10 @@ function createGoogleProviders({ ModelMix, MixCustom }) {
             const hasTools = options.tools && options.tools.length > 0 &&
                 options.tools.some(t => t.functionDeclarations && t.functionDeclarations.length > 0);
     
-            if (!hasTools) {
+            if (!hasTools && wantsStructuredOutput(config) && !usesSchemaKeywords(config.schema, UNSUPPORTED_SCHEMA_KEYWORDS)) {
+                generationConfig.responseMimeType = 'application/json';
+                generationConfig.responseSchema = MixGoogle.stripUnsupportedSchemaProps(config.schema);
+            } else if (!hasTools) {
                 generationConfig.responseMimeType = "text/plain";
             }
     
@@ -173,15 +187,12 @@ function createGoogleProviders({ ModelMix, MixCustom }) {
     
             try {
                 // debug level 4 (verbose): Full request details
-                if (config.debug >= 4) {
-                    console.log('\n[REQUEST DETAILS - GOOGLE]');
-    
-                    console.log('\n[CONFIG]');
-                    console.log(ModelMix.formatJSON(configForDebug(config)));
-    
-                    console.log('\n[PAYLOAD]');
-                    console.log(ModelMix.formatJSON(payload));
-                }
+                logEntry(config, 'debug', 4, {
+                    event: 'provider.request',
+                    url: fullUrl,
+                    config: configForDebug(config),
+                    payload
+                }, this.config.apiKey);
     
                 if (options.stream) {
                     throw new Error('Stream is not supported for Gemini');
@@ -189,7 +200,8 @@ function createGoogleProviders({ ModelMix, MixCustom }) {
                     return this.processResponse(await fetchJsonResponse(fullUrl, {
                         method: 'POST',
                         headers: this.headers,
-                        body: JSON.stringify(payload)
+                        body: JSON.stringify(payload),
+                        signal
                     }));
                 }
             } catch (error) {
@@ -203,7 +215,8 @@ function createGoogleProviders({ ModelMix, MixCustom }) {
                 think: null,
                 toolCalls: MixGoogle.extractToolCalls(response.data),
                 tokens: MixGoogle.extractTokens(response.data),
-                response: response.data
+                response: response.data,
+                headers: response.headers
             }
         }
     
@@ -246,7 +259,19 @@ function createGoogleProviders({ ModelMix, MixCustom }) {
         static stripUnsupportedSchemaProps(schema) {
             if (!schema || typeof schema !== 'object') return schema;
             const cleaned = { ...schema };
-            delete cleaned.default;
+            for (const keyword of DROPPED_SCHEMA_KEYWORDS) delete cleaned[keyword];
+            // OpenAPI nullability: ['string', 'null'] becomes 'string' with nullable.
+            if (Array.isArray(cleaned.type)) {
+                const types = cleaned.type.filter(type => type !== 'null');
+                if (types.length < cleaned.type.length) cleaned.nullable = true;
+                cleaned.type = types.length === 1 ? types[0] : types;
+            }
+            if (cleaned.nullable && Array.isArray(cleaned.enum)) {
+                cleaned.enum = cleaned.enum.filter(value => value !== null);
+            }
+            if (cleaned.type === 'string' && cleaned.format && !SUPPORTED_STRING_FORMATS.has(cleaned.format)) {
+                delete cleaned.format;
+            }
             if (cleaned.properties) {
                 cleaned.properties = Object.fromEntries(
                     Object.entries(cleaned.properties).map(([key, value]) => [key, MixGoogle.stripUnsupportedSchemaProps(value)])
@@ -255,6 +280,9 @@ function createGoogleProviders({ ModelMix, MixCustom }) {
             if (cleaned.items) {
                 cleaned.items = MixGoogle.stripUnsupportedSchemaProps(cleaned.items);
             }
+            if (Array.isArray(cleaned.anyOf)) {
+                cleaned.anyOf = cleaned.anyOf.map(branch => MixGoogle.stripUnsupportedSchemaProps(branch));
+            }
             return cleaned;
         }
     
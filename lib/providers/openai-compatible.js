@@ -2,6 +2,7 @@ const {
     GROK420_REASONING,
     GROK420_NON_REASONING
 } = require('../../effort');
+const { wantsStructuredOutput } = require('../structured-output');
 
 function createCompatibleProviders({ MixCustom, MixOpenAI }) {
     class MixMiniMax extends MixOpenAI {
@@ -18,6 +19,10 @@ function createCompatibleProviders({ MixCustom, MixOpenAI }) {
             });
         }
     
+        supportsStructuredOutputs() {
+            return false;
+        }
+    
         extractDelta(data) {
             // MiniMax might send different formats during streaming
             if (data.choices && data.choices[0] && data.choices[0].delta && data.choices[0].delta.content) {
@@ -40,6 +45,10 @@ function createCompatibleProviders({ MixCustom, MixOpenAI }) {
             });
         }
     
+        supportsStructuredOutputs() {
+            return false;
+        }
+    
         getDefaultHeaders(customHeaders) {
             return {
                 'accept': 'application/json',
@@ -64,16 +73,16 @@ function createCompatibleProviders({ MixCustom, MixOpenAI }) {
             });
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
     
-            if (config.schema) {
+            if (wantsStructuredOutput(config)) {
                 options.response_format = {
                     type: 'json_schema',
                     json_schema: { schema: config.schema }
                 };
             }
     
-            return super.create({ config, options });
+            return super.create({ config, options, signal });
         }
     }
     
@@ -144,11 +153,11 @@ function createCompatibleProviders({ MixCustom, MixOpenAI }) {
             });
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
             if (options.model === GROK420_REASONING || options.model === GROK420_NON_REASONING) {
                 delete options.reasoning_effort;
             }
-            return super.create({ config, options });
+            return super.create({ config, options, signal });
         }
     }
     
@@ -175,14 +184,14 @@ function createCompatibleProviders({ MixCustom, MixOpenAI }) {
             });
         }
     
-        create({ config = {}, options = {} } = {}) {
-            if (config.schema) {
+        create({ config = {}, options = {}, signal } = {}) {
+            if (wantsStructuredOutput(config)) {
                 options.response_format = {
                     type: 'json_schema',
                     json_schema: { schema: config.schema }
                 };
             }
-            return super.create({ config, options });
+            return super.create({ config, options, signal });
         }
     
         static extractThink(data) {
@@ -227,7 +236,8 @@ function createCompatibleProviders({ MixCustom, MixOpenAI }) {
                 think: MixLMStudio.extractThink(response.data),
                 toolCalls: MixCustom.extractToolCalls(response.data),
                 tokens: MixCustom.extractTokens(response.data),
-                response: response.data
+                response: response.data,
+                headers: response.headers
             };
         }
     }
@@ -283,9 +293,9 @@ function createCompatibleProviders({ MixCustom, MixOpenAI }) {
             });
         }
     
-        create({ config = {}, options = {} } = {}) {
+        create({ config = {}, options = {}, signal } = {}) {
             delete options.response_format;
-            return super.create({ config, options });
+            return super.create({ config, options, signal });
         }
     }
     
@@ -14,7 +14,7 @@ function createOpenAIProviders({
     const WebSocket = require('ws');
 
     class MixOpenAIResponses extends MixOpenAI {
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
     
             // Keep GPT/o-model option normalization behavior
             if (options.model?.startsWith('o')) {
@@ -29,12 +29,14 @@ function createOpenAIProviders({
                 delete options.temperature;
             }
     
+            this.applyStructuredOutput(options, config);
             const responsesUrl = this.config.url.replace('/chat/completions', '/responses');
             const request = MixOpenAIResponses.buildResponsesRequest(options, config);
             const response = await fetchJsonResponse(responsesUrl, {
                 method: 'POST',
                 headers: this.headers,
-                body: JSON.stringify(request)
+                body: JSON.stringify(request),
+                signal
             });
     
             return MixOpenAIResponses.processResponsesResponse(response);
@@ -65,7 +67,7 @@ function createOpenAIProviders({
                     format = {
                         type: 'json_schema',
                         name: rf.json_schema.name || 'response',
-                        strict: true,
+                        strict: rf.json_schema.strict ?? true,
                         schema: rf.json_schema.schema
                     };
                 } else if (rf.type) {
@@ -145,7 +147,8 @@ function createOpenAIProviders({
                 think: null,
                 toolCalls: [],
                 tokens: MixOpenAIResponses.extractResponsesTokens(response.data),
-                response: response.data
+                response: response.data,
+                headers: response.headers
             };
         }
     
@@ -258,7 +261,7 @@ function createOpenAIProviders({
             });
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
             if (options.stream) {
                 throw new Error('Stream is not supported for OpenAI moderation');
             }
@@ -267,13 +270,15 @@ function createOpenAIProviders({
             const response = await fetchJsonResponse(this.config.url, {
                 method: 'POST',
                 headers: this.headers,
-                body: JSON.stringify({ model: options.model, input })
+                body: JSON.stringify({ model: options.model, input }),
+                signal
             });
     
             return {
                 moderation: response.data.results,
                 tokens: ModelMix.normalizeTokenUsage(),
-                response: response.data
+                response: response.data,
+                headers: response.headers
             };
         }
     
@@ -356,7 +361,7 @@ function createOpenAIProviders({
             });
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        async create({ config = {}, options = {}, signal } = {}) {
             if (options.model?.startsWith('o')) {
                 delete options.max_tokens;
                 delete options.temperature;
@@ -388,6 +393,7 @@ function createOpenAIProviders({
                 const timeout = setTimeout(() => {
                     if (settled) return;
                     settled = true;
+                    cleanUp();
                     ws.close();
                     reject({
                         message: `Realtime WebSocket timed out after ${timeoutMs}ms`,
@@ -396,7 +402,22 @@ function createOpenAIProviders({
                     });
                 }, timeoutMs);
     
-                const cleanUp = () => clearTimeout(timeout);
+                const onAbort = () => {
+                    if (settled) return;
+                    settled = true;
+                    cleanUp();
+                    ws.close();
+                    reject({
+                        message: 'Realtime WebSocket request was aborted',
+                        statusCode: null,
+                        details: null
+                    });
+                };
+                const cleanUp = () => {
+                    clearTimeout(timeout);
+                    signal?.removeEventListener('abort', onAbort);
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
     
                 ws.on('open', () => {
                     const session = {
@@ -567,6 +588,11 @@ function createOpenAIProviders({
                 ...customConfig
             });
         }
+    
+        // Support depends on the model OpenRouter routes to.
+        supportsStructuredOutputs() {
+            return false;
+        }
     }
     
     class MixKimi extends MixOpenAI {
@@ -582,7 +608,11 @@ function createOpenAIProviders({
             });
         }
     
-        async create({ config = {}, options = {} } = {}) {
+        supportsStructuredOutputs() {
+            return false;
+        }
+    
+        async create({ config = {}, options = {}, signal } = {}) {
             if (Object.hasOwn(options, 'max_tokens')) {
                 options.max_completion_tokens = options.max_tokens;
                 delete options.max_tokens;
@@ -594,7 +624,7 @@ function createOpenAIProviders({
             delete options.presence_penalty;
             delete options.frequency_penalty;
     
-            return super.create({ config, options });
+            return super.create({ config, options, signal });
         }
     
         extractDelta(data) {
@@ -0,0 +1,94 @@
+const { parseResetDuration } = require('./retry-delay');
+
+const DEFAULT_ADAPTIVE_LIMITER = Object.freeze({
+    enabled: false,
+    tokenThreshold: 0.1 // below this share of the token limit, drop to one call at a time until the reset
+});
+
+function resolveAdaptiveLimiterConfig(adaptive = {}) {
+    const resolved = { ...DEFAULT_ADAPTIVE_LIMITER, ...(adaptive || {}) };
+    if (!Number.isFinite(resolved.tokenThreshold) || resolved.tokenThreshold < 0 || resolved.tokenThreshold > 1) {
+        throw new TypeError('adaptiveLimiter.tokenThreshold must be a number between 0 and 1.');
+    }
+    return resolved;
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function createQuota(limit, remaining, resetAt) {
+    if (limit === null && remaining === null && resetAt === null) return null;
+    return { limit, remaining, resetAt };
+}
+
+// OpenAI and Groq: x-ratelimit-{limit,remaining,reset}-{requests,tokens}, resets as durations.
+function parseOpenAIHeaders(headers, now) {
+    const quotas = {};
+    for (const [name, key] of [['requests', 'requests'], ['tokens', 'tokens']]) {
+        const resetMs = parseResetDuration(headers[`x-ratelimit-reset-${name}`]);
+        const quota = createQuota(
+            toNumber(headers[`x-ratelimit-limit-${name}`]),
+            toNumber(headers[`x-ratelimit-remaining-${name}`]),
+            resetMs === null ? null : now + resetMs
+        );
+        if (quota) quotas[key] = quota;
+    }
+    return quotas;
+}
+
+// Anthropic: anthropic-ratelimit-{bucket}-{limit,remaining,reset}, resets as RFC 3339 timestamps.
+function parseAnthropicHeaders(headers) {
+    const quotas = {};
+    const buckets = [
+        ['requests', 'requests'],
+        ['tokens', 'tokens'],
+        ['input-tokens', 'inputTokens'],
+        ['output-tokens', 'outputTokens']
+    ];
+    for (const [name, key] of buckets) {
+        const reset = Date.parse(headers[`anthropic-ratelimit-${name}-reset`]);
+        const quota = createQuota(
+            toNumber(headers[`anthropic-ratelimit-${name}-limit`]),
+            toNumber(headers[`anthropic-ratelimit-${name}-remaining`]),
+            Number.isNaN(reset) ? null : reset
+        );
+        if (quota) quotas[key] = quota;
+    }
+    return quotas;
+}
+
+// Gemini sends no quota headers; a 429 body carries google.rpc.RetryInfo instead.
+function parseGeminiDetails(details, now) {
+    const entries = details?.error?.details ?? details?.details;
+    if (!Array.isArray(entries)) return {};
+    const retryInfo = entries.find(entry => String(entry?.['@type'] || '').endsWith('google.rpc.RetryInfo'));
+    const retryMs = parseResetDuration(retryInfo?.retryDelay);
+    if (retryMs === null) return {};
+    return { requests: createQuota(null, 0, now + retryMs) };
+}
+
+/**
+ * Quota snapshot from response headers (OpenAI, Groq, Anthropic) or from a
+ * Gemini error body. Each bucket is `{ limit, remaining, resetAt }` with
+ * nulls for what the provider did not report; null when nothing applies.
+ */
+function parseRateLimits({ headers = null, details = null } = {}, now = Date.now()) {
+    const normalized = Object.fromEntries(
+        Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const quotas = {
+        ...parseGeminiDetails(details, now),
+        ...parseOpenAIHeaders(normalized, now),
+        ...parseAnthropicHeaders(normalized)
+    };
+    return Object.keys(quotas).length > 0 ? quotas : null;
+}
+
+module.exports = {
+    DEFAULT_ADAPTIVE_LIMITER,
+    parseRateLimits,
+    resolveAdaptiveLimiterConfig
+};
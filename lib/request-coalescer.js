@@ -0,0 +1,51 @@
+const { raceAbort, throwIfAborted } = require('./abort');
+
+/**
+ * Shares one in-flight task between concurrent callers with the same key.
+ * The first caller (the leader) starts `task(signal)`; later callers join
+ * its promise until it settles. The shared task is aborted only once every
+ * participant has aborted. `context` is the leader's state object; it is
+ * copied onto each follower's `context` when the task settles.
+ */
+function createRequestCoalescer() {
+    const inFlight = new Map();
+
+    return {
+        has(key) {
+            return inFlight.has(key);
+        },
+
+        async run(key, task, { signal, context = {} } = {}) {
+            throwIfAborted(signal);
+            let entry = inFlight.get(key);
+            const leader = !entry;
+            if (leader) {
+                const controller = new AbortController();
+                entry = { controller, context, participants: 0 };
+                entry.promise = Promise.resolve()
+                    .then(() => task(controller.signal))
+                    .finally(() => {
+                        if (inFlight.get(key) === entry) inFlight.delete(key);
+                    });
+                // Every participant may have walked away; the rejection is still observed here.
+                entry.promise.catch(() => {});
+                inFlight.set(key, entry);
+            }
+
+            entry.participants += 1;
+            const onAbort = () => {
+                entry.participants -= 1;
+                if (entry.participants === 0) entry.controller.abort(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            try {
+                return { value: await raceAbort(entry.promise, signal), leader };
+            } finally {
+                signal?.removeEventListener('abort', onAbort);
+                if (!leader) Object.assign(context, entry.context);
+            }
+        }
+    };
+}
+
+module.exports = { createRequestCoalescer };
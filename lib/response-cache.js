@@ -0,0 +1,157 @@
+const { createHash } = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_RESPONSE_CACHE = Object.freeze({
+    enabled: false,
+    ttlMs: 0, // 0 = entries never expire
+    store: null, // null = in-memory LRU shared by instances created with .new()
+    read: true,
+    write: true
+});
+
+/**
+ * In-memory LRU store. A store is any object with async `get(key)`,
+ * `set(key, value, { ttlMs })` and `delete(key)`; values are plain JSON.
+ */
+class MemoryCacheStore {
+    constructor({ maxEntries = 1000 } = {}) {
+        if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+            throw new TypeError('maxEntries must be a positive integer.');
+        }
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        if (!this.entries.has(key)) return undefined;
+        const value = this.entries.get(key);
+        // Re-insert so the Map's insertion order doubles as recency order.
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    async set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/** One JSON file per entry under `dir`; survives restarts and can be shared by processes. */
+class FileCacheStore {
+    constructor({ dir } = {}) {
+        if (typeof dir !== 'string' || dir.length === 0) {
+            throw new TypeError('FileCacheStore requires a dir.');
+        }
+        this.dir = dir;
+    }
+
+    _pathFor(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.readFile(this._pathFor(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        await fs.mkdir(this.dir, { recursive: true });
+        // Write then rename so concurrent readers never see a partial file.
+        const tempPath = `${this._pathFor(key)}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(value));
+        await fs.rename(tempPath, this._pathFor(key));
+    }
+
+    async delete(key) {
+        await fs.rm(this._pathFor(key), { force: true });
+    }
+
+    async clear() {
+        await fs.rm(this.dir, { recursive: true, force: true });
+    }
+}
+
+function resolveResponseCacheConfig(cache = {}) {
+    const resolved = { ...DEFAULT_RESPONSE_CACHE, ...(cache || {}) };
+    if (!Number.isFinite(resolved.ttlMs) || resolved.ttlMs < 0) {
+        throw new TypeError('responseCache.ttlMs must be a non-negative number.');
+    }
+    const store = resolved.store;
+    if (store !== null && (typeof store?.get !== 'function' || typeof store?.set !== 'function')) {
+        throw new TypeError('responseCache.store must implement get(key) and set(key, value).');
+    }
+    return resolved;
+}
+
+// JSON with sorted keys, so equal requests hash equally whatever the key order.
+function stableStringify(value) {
+    if (value && typeof value.toJSON === 'function') value = value.toJSON();
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined || typeof item === 'function' ? 'null' : stableStringify(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/** SHA-256 of everything that shapes the provider request. */
+function buildCacheKey({ provider, model, system, options, schema, effort }) {
+    const { stream, ...requestOptions } = options;
+    return createHash('sha256')
+        .update(stableStringify({ provider, model, system, options: requestOptions, schema, effort }))
+        .digest('hex');
+}
+
+async function readCachedResult(store, key, now = Date.now()) {
+    const entry = await store.get(key);
+    if (!entry || typeof entry !== 'object') return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        await store.delete?.(key);
+        return null;
+    }
+    return entry;
+}
+
+async function writeCachedResult(store, key, result, ttlMs, now = Date.now()) {
+    // Response headers describe the original request (rate limits, request ids), not the answer.
+    const { headers, ...cacheable } = result;
+    const entry = {
+        result: JSON.parse(JSON.stringify(cacheable)),
+        storedAt: now,
+        expiresAt: ttlMs > 0 ? now + ttlMs : null
+    };
+    await store.set(key, entry, { ttlMs });
+}
+
+module.exports = {
+    DEFAULT_RESPONSE_CACHE,
+    FileCacheStore,
+    MemoryCacheStore,
+    buildCacheKey,
+    readCachedResult,
+    resolveResponseCacheConfig,
+    stableStringify,
+    writeCachedResult
+};
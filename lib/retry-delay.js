@@ -0,0 +1,87 @@
+const DURATION_UNITS_MS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+
+function getErrorHeaders(error) {
+    return error?.headers ?? error?.response?.headers ?? null;
+}
+
+function parseRetryAfter(value, now) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// OpenAI-style reset durations: "20ms", "1s", "6m0s", "1h2m3.5s".
+function parseResetDuration(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed) * 1000;
+    const parts = [...trimmed.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    if (parts.length === 0 || parts.map(part => part[0]).join('') !== trimmed) return null;
+    return parts.reduce((total, [, amount, unit]) => total + Number(amount) * DURATION_UNITS_MS[unit], 0);
+}
+
+// Anthropic-style reset timestamps (RFC 3339).
+function parseResetTimestamp(value, now) {
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Resets of the buckets the provider reports as exhausted; when none is
+ * reported exhausted, every reset is a candidate. The longest one wins.
+ */
+function pickRateLimitReset(headers, pattern, parseReset) {
+    const buckets = [];
+    for (const [name, value] of Object.entries(headers)) {
+        if (!pattern.test(name)) continue;
+        const waitMs = parseReset(value);
+        if (waitMs === null) continue;
+        const remaining = headers[name.replace('reset', 'remaining')];
+        buckets.push({ waitMs, exhausted: remaining !== undefined && Number(remaining) <= 0 });
+    }
+    const exhausted = buckets.filter(bucket => bucket.exhausted);
+    const candidates = exhausted.length > 0 ? exhausted : buckets;
+    return candidates.length > 0 ? Math.max(...candidates.map(bucket => bucket.waitMs)) : null;
+}
+
+/**
+ * Milliseconds the provider asked us to wait before retrying, or null when
+ * the error carries no usable hint. `retry-after-ms` and `Retry-After` take
+ * precedence over the rate-limit reset headers.
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+    const rawHeaders = getErrorHeaders(error);
+    if (!rawHeaders || typeof rawHeaders !== 'object') return null;
+    const headers = Object.fromEntries(
+        Object.entries(rawHeaders).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    const retryAfterMs = Number(headers['retry-after-ms']);
+    if (headers['retry-after-ms'] !== undefined && Number.isFinite(retryAfterMs)) {
+        return Math.max(0, retryAfterMs);
+    }
+    const retryAfter = parseRetryAfter(headers['retry-after'], now);
+    if (retryAfter !== null) return retryAfter;
+
+    return pickRateLimitReset(headers, /^x-ratelimit-reset-/, parseResetDuration)
+        ?? pickRateLimitReset(headers, /^anthropic-ratelimit-[a-z-]+-reset$/, value => parseResetTimestamp(value, now));
+}
+
+/**
+ * Backoff for retry number `attempt` (0-based): the provider's hint when
+ * present, exponential from `baseDelayMs` otherwise, plus up to `jitter`
+ * (a fraction of the delay) of random extra wait, capped at `maxDelayMs`.
+ */
+function computeRetryDelay(error, attempt, { baseDelayMs, maxDelayMs, jitter = 0 }, random = Math.random) {
+    const hintedMs = getRetryAfterMs(error);
+    const delay = hintedMs ?? baseDelayMs * Math.pow(2, attempt);
+    return Math.round(Math.min(delay + delay * jitter * random(), maxDelayMs));
+}
+
+module.exports = {
+    computeRetryDelay,
+    getRetryAfterMs,
+    parseResetDuration
+};
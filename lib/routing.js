@@ -0,0 +1,131 @@
+const ROUTING_STRATEGIES = ['fallback', 'round-robin', 'weighted', 'score'];
+
+const DEFAULT_ROUTING = Object.freeze({
+    strategy: null, // null = 'round-robin' when config.roundRobin is set, 'fallback' otherwise
+    weights: null,
+    score: null,
+    smoothing: 0.2
+});
+
+// Default score coefficients: 1 point per second of latency, 10 per 100% error rate, 1000 per dollar.
+const DEFAULT_SCORE_WEIGHTS = Object.freeze({ latency: 1, errorRate: 10, cost: 1000 });
+
+function resolveRoutingConfig(routing = {}, roundRobin = false) {
+    const resolved = { ...DEFAULT_ROUTING, ...(routing || {}) };
+    resolved.strategy = resolved.strategy || (roundRobin ? 'round-robin' : 'fallback');
+    if (!ROUTING_STRATEGIES.includes(resolved.strategy)) {
+        throw new TypeError(`routing.strategy must be one of: ${ROUTING_STRATEGIES.join(', ')}.`);
+    }
+    if (!Number.isFinite(resolved.smoothing) || resolved.smoothing <= 0 || resolved.smoothing > 1) {
+        throw new TypeError('routing.smoothing must be a number in (0, 1].');
+    }
+    if (resolved.weights !== null && (typeof resolved.weights !== 'object')) {
+        throw new TypeError('routing.weights must be an array or an object keyed by model.');
+    }
+    if (resolved.score !== null && typeof resolved.score !== 'function' && typeof resolved.score !== 'object') {
+        throw new TypeError('routing.score must be a function or an object of coefficients.');
+    }
+    if (resolved.strategy === 'weighted' && resolved.weights === null) {
+        throw new TypeError('routing.weights is required for the weighted strategy.');
+    }
+    return resolved;
+}
+
+/**
+ * Exponentially weighted moving averages for one attached model. Latency and
+ * cost come from successful calls; the error rate from every finished call.
+ */
+function createModelStats() {
+    let latencyMs = null;
+    let errorRate = null;
+    let cost = null;
+    let samples = 0;
+    let failures = 0;
+
+    const average = (previous, value, smoothing) => (
+        previous === null ? value : previous + smoothing * (value - previous)
+    );
+
+    return {
+        recordSuccess({ latencyMs: latency, cost: callCost = null }, smoothing) {
+            samples += 1;
+            latencyMs = average(latencyMs, latency, smoothing);
+            errorRate = average(errorRate, 0, smoothing);
+            if (Number.isFinite(callCost)) cost = average(cost, callCost, smoothing);
+        },
+        recordFailure(smoothing) {
+            samples += 1;
+            failures += 1;
+            errorRate = average(errorRate, 1, smoothing);
+        },
+        snapshot() {
+            return { latencyMs, errorRate, cost, samples, failures };
+        }
+    };
+}
+
+function weightFor(weights, model, index) {
+    const weight = Array.isArray(weights) ? weights[index] : weights[model.key];
+    if (weight === undefined || weight === null) return 0;
+    if (!Number.isFinite(weight) || weight < 0) {
+        throw new TypeError('routing.weights values must be non-negative numbers.');
+    }
+    return weight;
+}
+
+/**
+ * Weighted shuffle: the first model is drawn with probability proportional
+ * to its weight, the next one among the rest, and so on. Models without a
+ * weight keep their attached order at the end, as fallbacks only.
+ */
+function orderByWeights(candidates, weights, random = Math.random) {
+    const pool = candidates.map(candidate => ({
+        candidate,
+        weight: weightFor(weights, candidate.model, candidate.index)
+    }));
+    const ordered = [];
+    let weighted = pool.filter(item => item.weight > 0);
+    while (weighted.length > 0) {
+        const total = weighted.reduce((sum, item) => sum + item.weight, 0);
+        let pick = random() * total;
+        const chosen = weighted.find(item => (pick -= item.weight) < 0) || weighted[weighted.length - 1];
+        ordered.push({ ...chosen.candidate, weight: chosen.weight });
+        weighted = weighted.filter(item => item !== chosen);
+    }
+    for (const item of pool) {
+        if (item.weight === 0) ordered.push({ ...item.candidate, weight: 0 });
+    }
+    return ordered;
+}
+
+function scoreModel(stats, model, score) {
+    if (typeof score === 'function') return score(stats, model);
+    // Models without data yet score 0 so they get tried and measured.
+    if (stats.samples === 0) return 0;
+    const { latency, errorRate, cost } = { ...DEFAULT_SCORE_WEIGHTS, ...(score || {}) };
+    return (stats.latencyMs ?? 0) / 1000 * latency
+        + (stats.errorRate ?? 0) * errorRate
+        + (stats.cost ?? 0) * cost;
+}
+
+/** Lowest score first; ties keep the attached order. */
+function orderByScore(candidates, statsFor, score) {
+    return candidates
+        .map(candidate => {
+            const value = scoreModel(statsFor(candidate.model), candidate.model, score);
+            if (!Number.isFinite(value)) {
+                throw new TypeError('routing.score must return a finite number.');
+            }
+            return { ...candidate, score: value };
+        })
+        .sort((a, b) => a.score - b.score || a.index - b.index);
+}
+
+module.exports = {
+    DEFAULT_ROUTING,
+    DEFAULT_SCORE_WEIGHTS,
+    createModelStats,
+    orderByScore,
+    orderByWeights,
+    resolveRoutingConfig
+};
@@ -0,0 +1,97 @@
+// Name of the OpenAI schema and of the tool Anthropic is forced to call.
+const STRUCTURED_OUTPUT_NAME = 'json_output';
+
+/** json() asked for a schema and native enforcement was not turned off. */
+function wantsStructuredOutput(config = {}) {
+    return Boolean(config.schema) && config.structuredOutputs !== false;
+}
+
+function acceptsNull(schema) {
+    if (schema.type === 'null' || (Array.isArray(schema.type) && schema.type.includes('null'))) return true;
+    return Array.isArray(schema.anyOf) && schema.anyOf.some(branch => branch && acceptsNull(branch));
+}
+
+// Keywords OpenAI strict mode rejects.
+const NON_STRICT_KEYWORDS = [
+    'oneOf', 'allOf', 'not', 'if', 'patternProperties', 'prefixItems', 'additionalItems',
+    'minLength', 'maxLength', 'uniqueItems', 'minProperties', 'maxProperties', 'dependentRequired'
+];
+
+// String formats OpenAI strict mode accepts; others, such as `uri`, are dropped from the strict schema.
+const STRICT_STRING_FORMATS = new Set(['date-time', 'time', 'date', 'duration', 'email', 'hostname', 'ipv4', 'ipv6', 'uuid']);
+
+/** Whether any subschema of `schema` uses one of `keywords`. */
+function usesSchemaKeywords(schema, keywords) {
+    if (!schema || typeof schema !== 'object') return false;
+    if (Array.isArray(schema)) return schema.some(item => usesSchemaKeywords(item, keywords));
+    if (keywords.some(keyword => keyword in schema)) return true;
+    const children = [
+        ...Object.values(schema.properties || {}),
+        ...Object.values(schema.$defs || {}),
+        ...Object.values(schema.definitions || {}),
+        schema.items,
+        schema.additionalProperties,
+        ...(schema.anyOf || [])
+    ];
+    return children.some(child => usesSchemaKeywords(child, keywords));
+}
+
+/**
+ * OpenAI strict mode: every object closes `additionalProperties` and lists
+ * all of its properties as required, and `default` and `examples` are not
+ * allowed. Optional properties must already accept null, as
+ * generateJsonSchema makes them. `strict` is false when strict mode cannot
+ * express the schema, such as an untyped subschema (the items of an empty
+ * example array), an open object, or keywords like `oneOf` and `minLength`;
+ * the schema is then sent as is.
+ */
+function toStrictJsonSchema(schema) {
+    let strict = !usesSchemaKeywords(schema, NON_STRICT_KEYWORDS);
+
+    const convert = node => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            strict = false;
+            return node;
+        }
+        if (node.$ref !== undefined) return node;
+        const converted = { ...node };
+        delete converted.default;
+        delete converted.examples;
+        if (converted.format !== undefined && !STRICT_STRING_FORMATS.has(converted.format)) delete converted.format;
+        if (Array.isArray(converted.anyOf)) {
+            converted.anyOf = converted.anyOf.map(convert);
+        } else if (converted.type === undefined) {
+            strict = false;
+        }
+        for (const key of ['$defs', 'definitions']) {
+            if (converted[key]) {
+                converted[key] = Object.fromEntries(Object.entries(converted[key]).map(([name, value]) => [name, convert(value)]));
+            }
+        }
+        if (converted.properties) {
+            if (converted.additionalProperties !== undefined && converted.additionalProperties !== false) strict = false;
+            const required = new Set(converted.required || []);
+            converted.properties = Object.fromEntries(Object.entries(converted.properties).map(([key, value]) => {
+                const property = convert(value);
+                if (!required.has(key) && !(property && typeof property === 'object' && acceptsNull(property))) strict = false;
+                return [key, property];
+            }));
+            converted.required = Object.keys(converted.properties);
+            converted.additionalProperties = false;
+        } else if ([].concat(converted.type).includes('object')) {
+            strict = false;
+        }
+        if (converted.items !== undefined) converted.items = convert(converted.items);
+        return converted;
+    };
+
+    const converted = convert(schema);
+    return { schema: strict ? converted : schema, strict };
+}
+
+module.exports = {
+    STRUCTURED_OUTPUT_NAME,
+    toStrictJsonSchema,
+    usesSchemaKeywords,
+    wantsStructuredOutput
+};
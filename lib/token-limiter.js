@@ -0,0 +1,127 @@
+const { createHash } = require('crypto');
+
+const DEFAULT_TPM = Object.freeze({
+    families: {}, // tokens per minute by provider family, e.g. { openai: 450000 }
+    models: {}, // tokens per minute by model key, e.g. { 'gpt-5-mini': 200000 }
+    reserveOutput: true // reserve max_tokens on top of the prompt estimate, as providers do
+});
+
+// Process-wide, so instances using the same API key draw from the same buckets.
+const registry = new Map();
+
+function validateLimits(limits, name) {
+    if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new TypeError(`tpm.${name} must be an object of tokens per minute.`);
+    }
+    for (const value of Object.values(limits)) {
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new TypeError(`tpm.${name} values must be positive numbers.`);
+        }
+    }
+    return limits;
+}
+
+function resolveTpmConfig(tpm = {}) {
+    const resolved = { ...DEFAULT_TPM, ...(tpm || {}) };
+    validateLimits(resolved.families, 'families');
+    validateLimits(resolved.models, 'models');
+    return resolved;
+}
+
+/**
+ * Token bucket holding up to `tpm` tokens and refilling continuously.
+ * Reservations may drive the level negative: the caller waits until the
+ * refill covers its share, which keeps concurrent callers in FIFO order.
+ */
+function createTokenBucket(tpm, now = Date.now) {
+    let capacity = tpm;
+    let level = tpm;
+    let updatedAt = now();
+
+    const refill = () => {
+        const current = now();
+        level = Math.min(capacity, level + (current - updatedAt) * capacity / 60000);
+        updatedAt = current;
+    };
+
+    return {
+        take(tokens) {
+            refill();
+            level -= tokens;
+            return level >= 0 ? 0 : Math.ceil(-level * 60000 / capacity);
+        },
+        give(tokens) {
+            refill();
+            level = Math.min(capacity, level + tokens);
+        },
+        setLimit(tpm) {
+            refill();
+            if (tpm === capacity) return;
+            level = Math.min(tpm, level + tpm - capacity);
+            capacity = tpm;
+        },
+        snapshot() {
+            refill();
+            return { tpm: capacity, available: Math.floor(level) };
+        }
+    };
+}
+
+// Buckets are keyed by a hash of the API key, never by the key itself.
+function credentialId(apiKey) {
+    if (!apiKey) return 'anonymous';
+    return createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 12);
+}
+
+/** Buckets that apply to one request: its provider family and its model, when limited. */
+function getTokenBuckets(tpm, { apiKey, family, model }) {
+    const credential = credentialId(apiKey);
+    const scopes = [
+        ['family', family, tpm.families[family]],
+        ['model', model, tpm.models[model]]
+    ];
+    const buckets = [];
+    for (const [scope, name, limit] of scopes) {
+        if (!limit) continue;
+        const id = `${credential}:${scope}:${name}`;
+        let bucket = registry.get(id);
+        if (bucket) {
+            bucket.setLimit(limit);
+        } else {
+            bucket = createTokenBucket(limit);
+            registry.set(id, bucket);
+        }
+        buckets.push({ scope, name, bucket });
+    }
+    return buckets;
+}
+
+/**
+ * Takes `tokens` from every bucket. `waitMs` is how long the caller must
+ * wait before sending; `settle(actual)` reconciles with the real usage and
+ * `release()` returns the whole reservation (e.g. the request failed).
+ */
+function reserveTokens(buckets, tokens) {
+    let reserved = tokens;
+    const waitMs = buckets.reduce((wait, { bucket }) => Math.max(wait, bucket.take(tokens)), 0);
+    return {
+        waitMs,
+        settle(actual) {
+            if (!Number.isFinite(actual)) return;
+            for (const { bucket } of buckets) bucket.give(reserved - actual);
+            reserved = actual;
+        },
+        release() {
+            for (const { bucket } of buckets) bucket.give(reserved);
+            reserved = 0;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_TPM,
+    createTokenBucket,
+    getTokenBuckets,
+    reserveTokens,
+    resolveTpmConfig
+};
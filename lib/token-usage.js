@@ -154,6 +154,32 @@ const MODEL_PRICING = {
     'zai-glm-4.7': { input: 0.55, output: 2.19 },
 };
 
+const CHARS_PER_TOKEN_ESTIMATE = 4;
+const IMAGE_TOKENS_ESTIMATE = 1000;
+
+/**
+ * Rough prompt size before a request is sent (~4 characters per token, flat
+ * allowance per image). Good enough for budgeting; never used for billing.
+ */
+function estimateInputTokens(messages = [], system = '') {
+    let chars = typeof system === 'string' ? system.length : 0;
+    let images = 0;
+    for (const message of messages) {
+        const content = message?.content;
+        if (typeof content === 'string') {
+            chars += content.length;
+        } else if (Array.isArray(content)) {
+            for (const block of content) {
+                if (typeof block?.text === 'string') chars += block.text.length;
+                else if (typeof block?.content === 'string') chars += block.content.length;
+                else if (block?.type === 'image') images += 1;
+            }
+        }
+        if (message?.tool_calls) chars += JSON.stringify(message.tool_calls).length;
+    }
+    return Math.ceil(chars / CHARS_PER_TOKEN_ESTIMATE) + images * IMAGE_TOKENS_ESTIMATE;
+}
+
 function normalizeTokenUsage({ input = 0, output = 0, thinking = 0, total, cached = 0, cacheWrite = 0, cacheWrite5m = 0, cacheWrite1h = 0 } = {}) {
     const tokenCount = value => Number.isFinite(value) ? Math.max(0, value) : 0;
     const normalizedInput = tokenCount(input);
@@ -321,6 +347,7 @@ function extractCacheWriteTokens(usage = {}) {
 }
 
 module.exports = {
+    estimateInputTokens,
     normalizeTokenUsage,
     calculateCostBreakdown,
     calculateCacheMetrics,
@@ -0,0 +1,117 @@
+// OpenTelemetry SpanKind and SpanStatusCode values, so the API package stays optional.
+const SPAN_KIND = Object.freeze({ INTERNAL: 0, CLIENT: 2 });
+const SPAN_STATUS_ERROR = 2;
+
+let openTelemetry;
+
+function loadOpenTelemetry() {
+    if (openTelemetry === undefined) {
+        try {
+            openTelemetry = require('@opentelemetry/api');
+        } catch {
+            openTelemetry = null;
+        }
+    }
+    return openTelemetry;
+}
+
+function resolveTracer(tracer) {
+    if (tracer === undefined || tracer === null) return null;
+    if (typeof tracer.startSpan !== 'function') {
+        throw new TypeError('config.tracer must provide startSpan(name, options, context).');
+    }
+    return tracer;
+}
+
+// Span attributes may not be null or undefined.
+function compactAttributes(attributes = {}) {
+    return Object.fromEntries(
+        Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null)
+    );
+}
+
+/**
+ * Parent context for a child span: an OpenTelemetry context holding the
+ * parent when `@opentelemetry/api` is installed, otherwise `{ parentSpan }`
+ * for tracers that track parents themselves.
+ */
+function contextWithParent(parent) {
+    if (!parent) return undefined;
+    const api = loadOpenTelemetry();
+    return api
+        ? api.trace.setSpan(api.context.active(), parent.span)
+        : { parentSpan: parent.span };
+}
+
+/** Returns a `{ tracer, span }` handle, or null when tracing is off. */
+function startSpan(tracer, name, { kind = SPAN_KIND.INTERNAL, attributes = {}, parent = null } = {}) {
+    if (!tracer) return null;
+    const span = tracer.startSpan(name, { kind, attributes: compactAttributes(attributes) }, contextWithParent(parent));
+    return { tracer, span };
+}
+
+function setSpanAttributes(handle, attributes) {
+    if (!handle) return;
+    handle.span.setAttributes(compactAttributes(attributes));
+}
+
+function endSpan(handle, { attributes = null, error = null } = {}) {
+    if (!handle) return;
+    const { span } = handle;
+    if (attributes) span.setAttributes(compactAttributes(attributes));
+    if (error) {
+        span.setAttribute?.('error.type', String(error.statusCode ?? error.code ?? error.name ?? 'Error'));
+        span.recordException?.(error);
+        span.setStatus?.({ code: SPAN_STATUS_ERROR, message: error.message });
+    }
+    span.end();
+}
+
+/** Ends the span when `promise` settles; `attributesFor(result)` adds attributes on success. */
+async function withSpan(handle, promise, attributesFor = null) {
+    if (!handle) return promise;
+    try {
+        const result = await promise;
+        endSpan(handle, { attributes: attributesFor ? attributesFor(result) : null });
+        return result;
+    } catch (error) {
+        endSpan(handle, { error });
+        throw error;
+    }
+}
+
+// GenAI semantic conventions for a chat request.
+function requestAttributes({ provider, model, options = {} }) {
+    return {
+        'gen_ai.operation.name': 'chat',
+        'gen_ai.provider.name': provider,
+        'gen_ai.request.model': model,
+        'gen_ai.request.max_tokens': options.max_tokens ?? options.max_completion_tokens,
+        'gen_ai.request.temperature': options.temperature,
+        'gen_ai.request.top_p': options.top_p
+    };
+}
+
+// GenAI usage conventions plus the ModelMix cost, which has no convention yet.
+function resultAttributes(result) {
+    const tokens = result?.tokens;
+    return {
+        'gen_ai.response.model': result?.response?.model,
+        'gen_ai.usage.input_tokens': tokens?.input,
+        'gen_ai.usage.output_tokens': tokens?.output,
+        'modelmix.usage.cost': tokens?.cost,
+        'modelmix.cached': result?.cached,
+        'modelmix.deduped': result?.deduped
+    };
+}
+
+module.exports = {
+    SPAN_KIND,
+    endSpan,
+    requestAttributes,
+    resolveTracer,
+    resultAttributes,
+    setSpanAttributes,
+    startSpan,
+    withSpan
+};
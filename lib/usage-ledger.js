@@ -0,0 +1,106 @@
+const SUMMARY_GROUPS = ['model', 'day'];
+
+const CSV_COLUMNS = [
+    'timestamp',
+    'model',
+    'provider',
+    'executionId',
+    'parentExecutionId',
+    'source',
+    'input',
+    'output',
+    'thinking',
+    'cached',
+    'cacheWrite',
+    'cacheSavings',
+    'cacheWritePremium',
+    'cost'
+];
+
+const SUMMED_FIELDS = ['input', 'output', 'thinking', 'cached', 'cacheWrite', 'cacheSavings', 'cacheWritePremium', 'cost'];
+
+function resolveUsageLedger(ledger) {
+    if (ledger === undefined || ledger === null) return null;
+    if (typeof ledger.record !== 'function') {
+        throw new TypeError('config.usageLedger must provide record(entry).');
+    }
+    return ledger;
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Every call an instance made, one entry per provider response (tool rounds
+ * and plugin child calls included). `source` tells provider calls apart from
+ * response cache hits (`cache`) and shared in-flight results (`dedupe`),
+ * which cost nothing. Amounts are in USD.
+ */
+class UsageLedger {
+    constructor() {
+        this.records = [];
+    }
+
+    record({ timestamp = new Date(), model, provider, executionId = null, parentExecutionId = null, source = 'provider', tokens = {} }) {
+        const entry = {
+            timestamp: new Date(timestamp).toISOString(),
+            model,
+            provider,
+            executionId,
+            parentExecutionId,
+            source,
+            input: tokens.input ?? 0,
+            output: tokens.output ?? 0,
+            thinking: tokens.thinking ?? 0,
+            cached: tokens.cached ?? 0,
+            cacheWrite: tokens.cacheWrite ?? 0,
+            cacheSavings: tokens.cacheSavings ?? 0,
+            cacheWritePremium: tokens.cacheWritePremium ?? 0,
+            cost: tokens.cost ?? 0
+        };
+        this.records.push(entry);
+        return entry;
+    }
+
+    entries() {
+        return this.records.map(entry => ({ ...entry }));
+    }
+
+    clear() {
+        this.records = [];
+        return this;
+    }
+
+    /** Totals keyed by model key, or by UTC day (`YYYY-MM-DD`) with `{ by: 'day' }`. */
+    summary({ by = 'model' } = {}) {
+        if (!SUMMARY_GROUPS.includes(by)) {
+            throw new TypeError(`summary by must be one of: ${SUMMARY_GROUPS.join(', ')}.`);
+        }
+        const groups = {};
+        for (const entry of this.records) {
+            const key = by === 'day' ? entry.timestamp.slice(0, 10) : entry.model;
+            const group = groups[key] ??= {
+                calls: 0,
+                ...Object.fromEntries(SUMMED_FIELDS.map(field => [field, 0]))
+            };
+            group.calls += 1;
+            for (const field of SUMMED_FIELDS) group[field] += entry[field];
+        }
+        return groups;
+    }
+
+    toCSV() {
+        const rows = this.records.map(entry => CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    // Lets JSON.stringify(ledger) export the entries.
+    toJSON() {
+        return this.entries();
+    }
+}
+
+module.exports = { UsageLedger, resolveUsageLedger };
@@ -36,14 +36,14 @@ class MCPToolsManager {
         }
     }
 
-    async executeTool(name, args) {
+    async executeTool(name, args, { signal } = {}) {
         const callback = this.callbacks.get(name);
         if (!callback) {
             throw new Error(`Tool not found: ${name}`);
         }
 
         try {
-            const result = await callback(args);
+            const result = await callback(args, { signal });
             // For primitive values (numbers, booleans), convert to string
             // For objects/arrays, stringify them
             let textResult;
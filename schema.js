@@ -1,4 +1,13 @@
-const META_KEYS = new Set(['description', 'required', 'enum', 'default', 'nullable']);
+const META_KEYS = new Set([
+    'description', 'required', 'enum', 'default', 'nullable',
+    'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'examples'
+]);
+
+// Descriptor keys copied into the field schema as they are.
+const CONSTRAINT_KEYS = ['minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'examples'];
+
+// `'low | medium | high'`: two or more literals, quoted when they contain spaces or pipes.
+const LITERAL_UNION = /^\s*(?:"[^"]*"|[^\s|"]+)(?:\s*\|\s*(?:"[^"]*"|[^\s|"]+))+\s*$/;
 
 function isDescriptor(value) {
     if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
@@ -16,6 +25,59 @@ function makeNullable(fieldSchema) {
     return fieldSchema;
 }
 
+function parseLiteral(token) {
+    if (token.startsWith('"')) return token.slice(1, -1);
+    if (/^(?:null|true|false|-?\d+(?:\.\d+)?)$/.test(token)) return JSON.parse(token);
+    return token;
+}
+
+// A union of literal examples becomes an enum typed after its members.
+function literalUnionSchema(value) {
+    if (!LITERAL_UNION.test(value)) return null;
+    const literals = [...new Set([...value.matchAll(/"[^"]*"|[^\s|"]+/g)].map(([token]) => parseLiteral(token)))];
+    let types = [...new Set(literals.map(literal => {
+        if (literal === null) return 'null';
+        if (typeof literal === 'number') return Number.isInteger(literal) ? 'integer' : 'number';
+        return typeof literal;
+    }))];
+    if (types.includes('number')) types = types.filter(type => type !== 'integer');
+    return { type: types.length === 1 ? types[0] : types, enum: literals };
+}
+
+const SCALAR_TYPES = new Set(['string', 'integer', 'number', 'boolean']);
+
+// Keys that only annotate a scalar; anything else, such as `enum`, constrains it.
+const ANNOTATION_KEYS = new Set(['type', 'format', 'description']);
+
+function isBareScalar(schema) {
+    return SCALAR_TYPES.has(schema.type) && Object.keys(schema).every(key => ANNOTATION_KEYS.has(key));
+}
+
+/**
+ * One schema for the items of an example array. Identical item schemas are
+ * kept once, scalars of the same type that differ only in `format` or
+ * `description` collapse to the bare type (integers widen to numbers when a
+ * float is present), and whatever differs is offered as `anyOf`.
+ */
+function mergeItemSchemas(schemas) {
+    const hasNumber = schemas.some(schema => schema.type === 'number');
+    const merged = [];
+    for (let schema of schemas) {
+        if (hasNumber && schema.type === 'integer') schema = { type: 'number' };
+        const serialized = JSON.stringify(schema);
+        if (merged.some(existing => JSON.stringify(existing) === serialized)) continue;
+        const sameScalar = isBareScalar(schema)
+            ? merged.findIndex(existing => existing.type === schema.type && isBareScalar(existing))
+            : -1;
+        if (sameScalar !== -1) {
+            merged[sameScalar] = { type: schema.type };
+        } else {
+            merged.push(schema);
+        }
+    }
+    return merged.length === 1 ? merged[0] : { anyOf: merged };
+}
+
 function getNestedDescriptions(desc) {
     if (!desc) return {};
     if (typeof desc === 'string') return {};
@@ -32,14 +94,27 @@ function generateJsonSchema(example, descriptions = {}) {
             return Number.isInteger(value) ? { type: 'integer' } : { type: 'number' };
         }
         if (typeof value === 'string') {
+            const union = literalUnionSchema(value);
+            if (union) return union;
             const schema = { type: 'string' };
-            if (/^\S+@\S+\.\S+$/.test(value)) {
+            if (/^[a-z][a-z\d+.-]*:\/\/[^\s/?#]+\S*$/i.test(value)) {
+                schema.format = 'uri';
+            } else if (/^\S+@\S+\.\S+$/.test(value)) {
                 schema.format = 'email';
+            } else if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+                schema.format = 'uuid';
+            } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?$/i.test(value)) {
+                schema.format = 'date-time';
+                if (!descriptions[key]) {
+                    schema.description = 'Date and time in ISO 8601 format';
+                }
             } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
                 schema.format = 'date';
                 if (!descriptions[key]) {
                     schema.description = 'Date in format YYYY-MM-DD';
                 }
+            } else if (/^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value)) {
+                schema.format = 'ipv4';
             } else if (/^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/.test(value)) {
                 schema.format = 'time';
                 if (!descriptions[key]) {
@@ -55,17 +130,14 @@ function generateJsonSchema(example, descriptions = {}) {
             if (value.length === 0) {
                 return { type: 'array', items: {} };
             }
-            if (typeof value[0] === 'object' && !Array.isArray(value[0])) {
-                return {
-                    type: 'array',
-                    items: generateJsonSchema(value[0], getNestedDescriptions(descriptions[key]))
-                };
-            } else {
-                return {
-                    type: 'array',
-                    items: detectType(key, value[0])
-                };
-            }
+            return {
+                type: 'array',
+                items: mergeItemSchemas(value.map(item => (
+                    item !== null && typeof item === 'object' && !Array.isArray(item)
+                        ? generateJsonSchema(item, getNestedDescriptions(descriptions[key]))
+                        : detectType(key, item)
+                )))
+            };
         }
         if (typeof value === 'object') {
             return generateJsonSchema(value, getNestedDescriptions(descriptions[key]));
@@ -79,7 +151,7 @@ function generateJsonSchema(example, descriptions = {}) {
         }
         return {
             type: 'array',
-            items: detectType('', example[0])
+            items: mergeItemSchemas(example.map(item => detectType('', item)))
         };
     }
 
@@ -101,6 +173,9 @@ function generateJsonSchema(example, descriptions = {}) {
                 if (desc.description) fieldSchema.description = desc.description;
                 if (desc.enum) fieldSchema.enum = desc.enum;
                 if (desc.default !== undefined) fieldSchema.default = desc.default;
+                for (const constraint of CONSTRAINT_KEYS) {
+                    if (desc[constraint] !== undefined) fieldSchema[constraint] = desc[constraint];
+                }
                 if (desc.required === false) {
                     isRequired = false;
                     makeNullable(fieldSchema);
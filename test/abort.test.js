@@ -0,0 +1,224 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { getEventListeners } = require('events');
+const { AbortError, MixCustom, ModelMix } = require('../index.js');
+const { sleep } = require('../lib/abort');
+
+function createProvider(handler) {
+    const provider = new MixCustom();
+    provider.create = handler;
+    return provider;
+}
+
+async function expectAbort(promise) {
+    try {
+        await promise;
+        expect.fail('Should have been aborted');
+    } catch (error) {
+        expect(error).to.be.instanceOf(AbortError);
+        expect(error.name).to.equal('AbortError');
+        return error;
+    }
+}
+
+describe('AbortSignal cancellation', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }]
+    });
+
+    it('should cancel an in-flight request without falling back', async () => {
+        const model = ModelMix.new({ config: { debug: false } }).gpt5mini().sonnet46().addText('Hello');
+        const controller = new AbortController();
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .delay(2000)
+            .reply(200, openAIReply('Too late'));
+        const anthropic = nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .reply(200, { content: [{ type: 'text', text: 'Unused' }] });
+
+        setTimeout(() => controller.abort(), 50);
+        const startedAt = Date.now();
+        await expectAbort(model.message({ signal: controller.signal }));
+
+        expect(Date.now() - startedAt).to.be.below(1000);
+        expect(anthropic.isDone()).to.equal(false);
+    });
+
+    it('should reject immediately when the signal is already aborted', async () => {
+        const create = sinon.stub().resolves({ message: 'unused', toolCalls: [] });
+        const model = ModelMix.new().attach('custom', createProvider(create)).addText('Hello');
+        const controller = new AbortController();
+        controller.abort(new Error('user left'));
+
+        const error = await expectAbort(model.json({ ok: true }, {}, { signal: controller.signal }));
+
+        expect(error.message).to.equal('The operation was aborted: user left.');
+        expect(error.reason.message).to.equal('user left');
+        expect(create.called).to.equal(false);
+    });
+
+    it('should interrupt the retry backoff', async () => {
+        const model = ModelMix.new({
+            config: {
+                debug: false,
+                retry: { enabled: true, retries: 2, baseDelayMs: 5000, maxDelayMs: 5000 }
+            }
+        }).gpt5mini().addText('Hello');
+        const controller = new AbortController();
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(503, { error: 'Unavailable' });
+
+        setTimeout(() => controller.abort(), 100);
+        const startedAt = Date.now();
+        await expectAbort(model.raw({ signal: controller.signal }));
+
+        expect(Date.now() - startedAt).to.be.below(1000);
+    });
+
+    it('should drop a job aborted while queued in Bottleneck', async () => {
+        let calls = 0;
+        let release;
+        const provider = createProvider(async () => {
+            calls += 1;
+            if (calls === 1) await new Promise(resolve => { release = resolve; });
+            return { message: `call ${calls}`, toolCalls: [] };
+        });
+        const model = ModelMix.new({ config: { bottleneck: { maxConcurrent: 1, minTime: 0 } } })
+            .attach('custom', provider)
+            .addText('Hello');
+        const controller = new AbortController();
+
+        const first = model.message();
+        const second = model.message({ signal: controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        controller.abort();
+
+        await expectAbort(second);
+        release();
+        expect(await first).to.equal('call 1');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(calls).to.equal(1);
+    });
+
+    it('should pass the signal to tool callbacks and stop the tool loop', async () => {
+        const controller = new AbortController();
+        let toolSignal;
+        let calls = 0;
+        const provider = createProvider(async () => {
+            calls += 1;
+            return { message: '', toolCalls: [{ id: 'tool-1', name: 'slow', input: {} }] };
+        });
+        const model = ModelMix.new({ config: { max_history: -1 } })
+            .attach('custom', provider)
+            .addTool({ name: 'slow', description: 'Slow tool.', inputSchema: { type: 'object' } }, async (args, { signal }) => {
+                toolSignal = signal;
+                controller.abort();
+                return 'done';
+            })
+            .addText('Hello');
+
+        await expectAbort(model.message({ signal: controller.signal }));
+
+        expect(toolSignal).to.equal(controller.signal);
+        expect(calls).to.equal(1);
+    });
+
+    it('should expose the signal to plugins and propagate it to child invocations', async () => {
+        const controller = new AbortController();
+        const seen = [];
+        const provider = createProvider(async ({ signal }) => {
+            seen.push(signal);
+            return { message: 'done', toolCalls: [] };
+        });
+        const model = ModelMix.new()
+            .attach('custom', provider)
+            .use({
+                name: 'spy',
+                async execute(context, next) {
+                    seen.push(context.signal);
+                    if (context.execution.depth > 0) return next();
+                    await context.invoke({ messages: [{ role: 'user', content: [{ type: 'text', text: 'child' }] }] });
+                    return next();
+                }
+            })
+            .addText('Hello');
+
+        expect(await model.message({ signal: controller.signal })).to.equal('done');
+        expect(seen).to.have.length(4);
+        for (const signal of seen) expect(signal).to.equal(controller.signal);
+    });
+
+    it('should cancel every hedged attempt', async () => {
+        const model = ModelMix.new({ config: { debug: false, hedgeAfterMs: 20 } })
+            .gpt5mini().sonnet46().addText('Hello');
+        const controller = new AbortController();
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .delay(2000)
+            .reply(200, openAIReply('Too late'));
+        nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .delay(2000)
+            .reply(200, { content: [{ type: 'text', text: 'Too late' }] });
+
+        setTimeout(() => controller.abort(), 100);
+        const startedAt = Date.now();
+        await expectAbort(model.message({ signal: controller.signal }));
+
+        expect(Date.now() - startedAt).to.be.below(1000);
+    });
+
+    it('should not leave abort listeners behind after a sleep', async () => {
+        const controller = new AbortController();
+
+        for (let i = 0; i < 3; i++) await sleep(1, controller.signal);
+
+        expect(getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+
+    it('should not leave abort listeners behind after timed, deadlined or hedged calls', async () => {
+        const controller = new AbortController();
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(9)
+            .reply(200, openAIReply('Hi'));
+
+        for (const config of [{ timeoutMs: 1000 }, { deadlineMs: 1000 }, { hedgeAfterMs: 1000 }]) {
+            const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 }, ...config } })
+                .gpt5mini().sonnet46();
+            for (let i = 0; i < 3; i++) {
+                expect(await model.addText('Hello').message({ signal: controller.signal })).to.equal('Hi');
+            }
+        }
+
+        expect(getEventListeners(controller.signal, 'abort')).to.have.length(0);
+    });
+
+    it('should reject a value that is not an AbortSignal', async () => {
+        const model = ModelMix.new().gpt5mini().addText('Hello');
+
+        try {
+            await model.message({ signal: 'nope' });
+            expect.fail('Should have thrown');
+        } catch (error) {
+            expect(error).to.be.instanceOf(TypeError);
+            expect(error.message).to.equal('signal must be an AbortSignal.');
+        }
+    });
+});
@@ -0,0 +1,238 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, BudgetExceededError } = require('../index.js');
+const { checkBudget, createSpendTracker, resolveBudgetConfig } = require('../lib/budget');
+
+describe('Budget', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    // ~1000 input tokens: ~$0.00025 on gpt-5-mini, ~$0.003 on claude-sonnet-4-6.
+    const longPrompt = 'x'.repeat(4000);
+    const openAIReply = (content, usage = { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }) => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage
+    });
+
+    describe('checkBudget', () => {
+        const budget = resolveBudgetConfig({ perCall: 0.01, perInstance: 1, perWindow: 0.5, windowMs: 1000 });
+
+        it('should pass while every cap has room for the estimate', () => {
+            const tracker = createSpendTracker();
+            expect(() => checkBudget(budget, { callSpent: 0.005, tracker, estimatedCost: 0.004, model: 'm' })).to.not.throw();
+        });
+
+        it('should name the cap that would be exceeded', () => {
+            const tracker = createSpendTracker();
+            const windowBudget = resolveBudgetConfig({ perInstance: 1, perWindow: 0.5, windowMs: 1000 });
+            tracker.charge(0.45, 1000);
+            try {
+                checkBudget(windowBudget, { callSpent: 0, tracker, estimatedCost: 0.1, model: 'm', now: 1500 });
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(BudgetExceededError);
+                expect(error).to.include({ scope: 'window', limit: 0.5, spent: 0.45, estimatedCost: 0.1, model: 'm', code: 'BUDGET_EXCEEDED' });
+            }
+            // Once the charge leaves the window only the lifetime total remains.
+            expect(() => checkBudget(windowBudget, { callSpent: 0, tracker, estimatedCost: 0.1, model: 'm', now: 2500 })).to.not.throw();
+            expect(tracker.total()).to.equal(0.45);
+        });
+
+        it('should reject a used-up cap even with a zero estimate and flag the overrun', () => {
+            const tracker = createSpendTracker();
+            try {
+                checkBudget(budget, { callSpent: 0.02, tracker, estimatedCost: 0, model: 'm' });
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(BudgetExceededError);
+                expect(error).to.include({ scope: 'call', limit: 0.01, spent: 0.02, estimatedCost: 0, overrun: true });
+                expect(error.message).to.include('call limit of $0.01 is used up');
+            }
+            try {
+                checkBudget(budget, { callSpent: 0.005, tracker, estimatedCost: 0.01, model: 'm' });
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.overrun).to.equal(false);
+            }
+        });
+
+        it('should validate the config', () => {
+            expect(() => resolveBudgetConfig({ perCall: -1 })).to.throw(TypeError, 'budget.perCall');
+            expect(() => resolveBudgetConfig({ windowMs: 0 })).to.throw(TypeError, 'budget.windowMs');
+            expect(() => resolveBudgetConfig({ onExceeded: 'warn' })).to.throw(TypeError, 'budget.onExceeded');
+        });
+    });
+
+    describe('Integration', () => {
+        it('should fail fast before calling an over-budget model', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, budget: { perCall: 0.001 } }
+            }).sonnet46().gpt5mini().addText(longPrompt);
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(BudgetExceededError);
+                expect(error.scope).to.equal('call');
+                expect(error.model).to.equal('claude-sonnet-4-6');
+                expect(error.estimatedCost).to.be.above(0.001);
+            }
+        });
+
+        it('should fall back to a cheaper model when onExceeded is fallback', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, budget: { perCall: 0.001, onExceeded: 'fallback' } }
+            }).sonnet46().gpt5mini().addText(longPrompt);
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Cheap answer'));
+
+            expect(await model.message()).to.equal('Cheap answer');
+        });
+
+        it('should throw the budget error when no model in the chain fits', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, budget: { perCall: 0.0001, onExceeded: 'fallback' } }
+            }).sonnet46().gpt5mini().addText(longPrompt);
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(BudgetExceededError);
+                expect(error.model).to.equal('gpt-5-mini');
+            }
+        });
+
+        it('should charge the actual cost and enforce the instance cap on later calls', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, max_history: -1, budget: { perInstance: 0.003 } }
+            }).gpt5mini();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Expensive', { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 }))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Over', { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 }));
+
+            expect(await model.addText('Hello').message()).to.equal('Expensive');
+            expect(model.getBudgetState().spent.instance).to.be.closeTo(0.00225, 1e-9);
+            expect(model.getBudgetState().spent.window).to.be.closeTo(0.00225, 1e-9);
+
+            // The estimate fits, so the answer is returned although it takes the spend past the cap.
+            expect(await model.addText('Again').message()).to.equal('Over');
+            expect(model.getBudgetState().spent.instance).to.be.closeTo(0.0045, 1e-9);
+
+            try {
+                await model.addText('Once more').message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(BudgetExceededError);
+                expect(error).to.include({ scope: 'instance', overrun: true });
+            }
+        });
+
+        it('should reject the tool round after a result overran the call cap', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, budget: { perCall: 0.001, onExceeded: 'fallback' } }
+            }).gpt5mini().gpt5nano().addText('2 + 2?');
+            model.addTool({
+                name: 'add',
+                description: 'Adds two numbers.',
+                inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } }
+            }, ({ a, b }) => a + b);
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, {
+                    choices: [{
+                        message: {
+                            role: 'assistant',
+                            content: null,
+                            tool_calls: [{ id: 'call_add', type: 'function', function: { name: 'add', arguments: '{"a":2,"b":2}' } }]
+                        }
+                    }],
+                    usage: { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 }
+                });
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(BudgetExceededError);
+                expect(error).to.include({ scope: 'call', overrun: true });
+            }
+            expect(nock.isDone()).to.equal(true);
+        });
+
+        it('should charge the prompt of timed-out attempts', async () => {
+            const model = ModelMix.new({
+                config: {
+                    debug: false,
+                    timeoutMs: 50,
+                    retry: { enabled: true, retries: 1, baseDelayMs: 0 }
+                }
+            }).gpt5mini().addText(longPrompt);
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .delay(500)
+                .reply(200, openAIReply('Too late'))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('On time', { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }));
+
+            expect(await model.message()).to.equal('On time');
+            // ~1000 estimated input tokens on gpt-5-mini.
+            expect(model.getBudgetState().spent.instance).to.be.closeTo(0.00025, 0.00002);
+        });
+
+        it('should charge the prompt of an aborted hedge loser', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, hedgeAfterMs: 50, bottleneck: { maxConcurrent: 8, minTime: 0 } }
+            }).gpt5mini().gpt5nano().addText(longPrompt);
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions', body => body.model === 'gpt-5-mini')
+                .delay(2000)
+                .reply(200, openAIReply('Slow'))
+                .post('/v1/chat/completions', body => body.model === 'gpt-5-nano')
+                .reply(200, openAIReply('Fast', { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }));
+
+            const result = await model.raw();
+
+            expect(result.message).to.equal('Fast');
+            expect(model.getBudgetState().spent.instance).to.equal(result.hedge.losers[0].estimatedCost);
+            expect(result.hedge.losers[0].estimatedCost).to.be.above(0);
+        });
+
+        it('should keep separate spend for instances created with new()', async () => {
+            const base = ModelMix.new({ config: { debug: false, budget: { perInstance: 0.003 } } }).gpt5mini();
+            const first = base.new().addText('Hello');
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('First', { prompt_tokens: 2000, completion_tokens: 2000, total_tokens: 4000 }))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Second'));
+
+            expect(await first.message()).to.equal('First');
+            try {
+                await first.addText('Again').message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(BudgetExceededError);
+            }
+            expect(await base.new().addText('Hello').message()).to.equal('Second');
+        });
+    });
+});
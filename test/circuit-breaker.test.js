@@ -0,0 +1,191 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+const { createCircuitBreaker } = require('../lib/circuit-breaker');
+
+describe('Circuit Breaker', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    describe('createCircuitBreaker', () => {
+        it('should open after consecutive failures and half-open after the cooldown', () => {
+            let now = 1000;
+            const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 500 }, () => now);
+
+            expect(breaker.tryAcquire()).to.equal(true);
+            breaker.recordFailure();
+            expect(breaker.snapshot().state).to.equal('closed');
+            breaker.recordFailure();
+            expect(breaker.snapshot()).to.include({ state: 'open', failures: 2, trips: 1, retryAt: 1500 });
+            expect(breaker.tryAcquire()).to.equal(false);
+
+            now = 1500;
+            expect(breaker.tryAcquire()).to.equal(true);
+            expect(breaker.snapshot().state).to.equal('half-open');
+            expect(breaker.tryAcquire()).to.equal(false, 'only one probe while half-open');
+
+            expect(breaker.recordSuccess()).to.equal('half-open');
+            expect(breaker.snapshot()).to.include({ state: 'closed', failures: 0 });
+        });
+
+        it('should reopen when the half-open probe fails', () => {
+            let now = 0;
+            const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 100 }, () => now);
+
+            breaker.recordFailure();
+            now = 100;
+            expect(breaker.tryAcquire()).to.equal(true);
+            breaker.recordFailure();
+
+            expect(breaker.snapshot()).to.include({ state: 'open', trips: 2, openedAt: 100, retryAt: 200 });
+        });
+
+        it('should reset the failure count after a success', () => {
+            const breaker = createCircuitBreaker({ failureThreshold: 2 });
+
+            breaker.recordFailure();
+            breaker.recordSuccess();
+            breaker.recordFailure();
+
+            expect(breaker.snapshot()).to.include({ state: 'closed', failures: 1 });
+        });
+
+        it('should reject invalid settings', () => {
+            expect(() => createCircuitBreaker({ failureThreshold: 0 }))
+                .to.throw('circuitBreaker.failureThreshold must be a positive integer.');
+            expect(() => createCircuitBreaker({ cooldownMs: -1 }))
+                .to.throw('circuitBreaker.cooldownMs must be a non-negative number.');
+        });
+    });
+
+    describe('Fallback chain integration', () => {
+        const anthropicReply = text => ({ content: [{ type: 'text', text }] });
+
+        it('should skip a tripped model until the cooldown elapses', async () => {
+            const clock = sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+            const model = ModelMix.new({
+                config: {
+                    debug: false,
+                    max_history: -1,
+                    circuitBreaker: { enabled: true, failureThreshold: 2, cooldownMs: 60000 }
+                }
+            }).gpt5mini().sonnet46();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .times(2)
+                .reply(503, { error: 'Service unavailable' });
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .times(3)
+                .reply(200, anthropicReply('From Claude'));
+
+            expect(await model.addText('One').message()).to.equal('From Claude');
+            expect(await model.addText('Two').message()).to.equal('From Claude');
+            expect(model.getCircuitBreakerState()[0]).to.include({
+                key: 'gpt-5-mini',
+                provider: 'openai',
+                state: 'open',
+                failures: 2
+            });
+
+            // OpenAI is not called while the circuit is open (nock would report an unmatched request).
+            expect(await model.addText('Three').message()).to.equal('From Claude');
+            expect(nock.isDone()).to.equal(true);
+
+            clock.tick(60000);
+            expect(model.getCircuitBreakerState()[0].state).to.equal('half-open');
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, { choices: [{ message: { role: 'assistant', content: 'OpenAI is back' } }] });
+
+            expect(await model.addText('Four').message()).to.equal('OpenAI is back');
+            expect(model.getCircuitBreakerState()[0]).to.include({ state: 'closed', failures: 0 });
+        });
+
+        it('should fail fast when every attached model is tripped', async () => {
+            const model = ModelMix.new({
+                config: {
+                    debug: false,
+                    circuitBreaker: { enabled: true, failureThreshold: 1, cooldownMs: 60000 }
+                }
+            }).gpt5mini();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(500, { error: 'Server error' });
+
+            try {
+                await model.addText('Hello').message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.message).to.include('500');
+            }
+
+            try {
+                await model.addText('Hello again').message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('All 1 model(s) skipped: circuit breaker open for gpt-5-mini.');
+            }
+        });
+
+        it('should share breaker state with instances created through new()', async () => {
+            const parent = ModelMix.new({
+                config: {
+                    debug: false,
+                    circuitBreaker: { enabled: true, failureThreshold: 1, cooldownMs: 60000 }
+                }
+            }).gpt5mini().sonnet46();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(500, { error: 'Server error' });
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .times(2)
+                .reply(200, anthropicReply('Fallback'));
+
+            await parent.new().addText('First').message();
+            const child = parent.new();
+
+            expect(child.getCircuitBreakerState()[0].state).to.equal('open');
+            expect(await child.addText('Second').message()).to.equal('Fallback');
+        });
+
+        it('should report closed breakers when disabled', async () => {
+            const model = ModelMix.new({ config: { debug: false } }).gpt5mini();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(500, { error: 'Server error' });
+
+            try {
+                await model.addText('Hello').message();
+            } catch (error) {
+                // expected
+            }
+
+            expect(model.getCircuitBreakerState()).to.deep.equal([{
+                index: 0,
+                key: 'gpt-5-mini',
+                provider: 'openai',
+                state: 'closed',
+                failures: 0,
+                trips: 0,
+                openedAt: null,
+                lastFailureAt: null,
+                retryAt: null
+            }]);
+        });
+    });
+});
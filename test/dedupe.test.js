@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, AbortError } = require('../index.js');
+const { createRequestCoalescer } = require('../lib/request-coalescer');
+
+describe('Request Deduplication', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    });
+
+    function createModel(config = {}) {
+        return ModelMix.new({
+            config: {
+                debug: false,
+                dedupe: true,
+                bottleneck: { maxConcurrent: 8, minTime: 0 },
+                ...config
+            }
+        }).gpt5mini();
+    }
+
+    describe('createRequestCoalescer', () => {
+        it('should run one task for concurrent callers with the same key', async () => {
+            const coalescer = createRequestCoalescer();
+            const task = sinon.stub().callsFake(() => new Promise(resolve => setTimeout(() => resolve('done'), 20)));
+
+            const [first, second] = await Promise.all([
+                coalescer.run('key', task),
+                coalescer.run('key', task)
+            ]);
+
+            expect(task.calledOnce).to.equal(true);
+            expect(first).to.deep.equal({ value: 'done', leader: true });
+            expect(second).to.deep.equal({ value: 'done', leader: false });
+            expect(coalescer.has('key')).to.equal(false);
+        });
+
+        it('should share failures and copy the leader context to followers', async () => {
+            const coalescer = createRequestCoalescer();
+            const leaderContext = { action: 'fallback' };
+            const followerContext = { action: 'fallback' };
+            const task = async () => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                leaderContext.action = 'abort';
+                throw new Error('boom');
+            };
+
+            const results = await Promise.allSettled([
+                coalescer.run('key', task, { context: leaderContext }),
+                coalescer.run('key', task, { context: followerContext })
+            ]);
+
+            expect(results.map(result => result.reason.message)).to.deep.equal(['boom', 'boom']);
+            expect(followerContext.action).to.equal('abort');
+        });
+
+        it('should abort the shared task only when every caller aborted', async () => {
+            const coalescer = createRequestCoalescer();
+            let taskSignal = null;
+            const task = signal => {
+                taskSignal = signal;
+                return new Promise(resolve => setTimeout(() => resolve('done'), 30));
+            };
+            const first = new AbortController();
+            const second = new AbortController();
+
+            const leader = coalescer.run('key', task, { signal: first.signal });
+            const follower = coalescer.run('key', task, { signal: second.signal });
+            await Promise.resolve();
+
+            first.abort();
+            await leader.then(() => expect.fail('Should have aborted'), error => expect(error).to.be.instanceOf(AbortError));
+            expect(taskSignal.aborted).to.equal(false);
+            expect((await follower).value).to.equal('done');
+
+            const third = new AbortController();
+            const lone = coalescer.run('other', task, { signal: third.signal });
+            await Promise.resolve();
+            third.abort();
+            await lone.catch(() => {});
+            expect(taskSignal.aborted).to.equal(true);
+        });
+    });
+
+    describe('Integration', () => {
+        it('should send one provider call for concurrent identical calls and write each history', async () => {
+            const model = createModel({ max_history: -1 }).addText('Hello');
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .once()
+                .delay(50)
+                .reply(200, openAIReply('Shared answer'));
+
+            const [first, second] = await Promise.all([model.raw(), model.raw()]);
+
+            expect(first.message).to.equal('Shared answer');
+            expect(second.message).to.equal('Shared answer');
+            expect(first.deduped).to.equal(undefined);
+            expect(first.tokens.cost).to.be.above(0);
+            expect(second.deduped).to.equal(true);
+            expect(second.tokens.cost).to.equal(0);
+            expect(second.tokens.output).to.equal(100);
+            expect(first).to.not.equal(second);
+            expect(model.messages.map(message => message.role)).to.deep.equal(['user', 'assistant', 'assistant']);
+            expect(nock.isDone()).to.equal(true);
+        });
+
+        it('should coalesce across instances created with new() and respect their max_history', async () => {
+            const base = createModel();
+            const stateless = base.new({ config: { max_history: 0 } }).addText('Hello');
+            const stateful = base.new({ config: { max_history: -1 } }).addText('Hello');
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .once()
+                .delay(50)
+                .reply(200, openAIReply('Shared answer'));
+
+            const answers = await Promise.all([stateless.message(), stateful.message()]);
+
+            expect(answers).to.deep.equal(['Shared answer', 'Shared answer']);
+            expect(stateless.messages).to.deep.equal([]);
+            expect(stateful.messages.map(message => message.role)).to.deep.equal(['user', 'assistant']);
+        });
+
+        it('should not coalesce different prompts or when disabled', async () => {
+            const scope = nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .times(4)
+                .delay(20)
+                .reply(200, openAIReply('Answer'));
+
+            const model = createModel();
+            await Promise.all([model.new().addText('One').message(), model.new().addText('Two').message()]);
+
+            const plain = createModel({ dedupe: false });
+            await Promise.all([plain.new().addText('Same').message(), plain.new().addText('Same').message()]);
+
+            expect(scope.isDone()).to.equal(true);
+        });
+    });
+});
@@ -428,7 +428,10 @@ describe('Unified effort scale', () => {
 
             await model.message();
 
-            expect(log.calledWithMatch(/→ \[openairesponses:gpt-5\.6-luna@60\] #1/)).to.equal(true);
+            const start = log.args
+                .map(([line]) => JSON.parse(line))
+                .find(entry => entry.event === 'attempt.start');
+            expect(start).to.include({ provider: 'openairesponses', model: 'gpt-5.6-luna', effort: 60, index: 0 });
         });
     });
 
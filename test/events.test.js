@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+
+describe('Lifecycle Events', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = (content, extra = {}) => ({
+        choices: [{ message: { role: 'assistant', content, ...extra } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    });
+
+    function record(model, events) {
+        const seen = [];
+        for (const event of events) model.on(event, payload => seen.push(payload));
+        return seen;
+    }
+
+    it('should emit start, retry, error, fallback and success with timing and cost', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(503, { error: { message: 'Unavailable' } })
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('From fallback'));
+
+        const model = ModelMix.new({
+            config: {
+                debug: false,
+                bottleneck: { minTime: 0 },
+                retry: { enabled: true, retries: 1, baseDelayMs: 1, maxDelayMs: 1, jitter: 0 }
+            }
+        }).gpt5nano().gpt5mini();
+        const seen = record(model, ['attempt:start', 'attempt:retry', 'attempt:error', 'attempt:fallback', 'attempt:success']);
+
+        expect(await model.addText('Hello').message()).to.equal('From fallback');
+
+        expect(seen[0].callElapsedMs).to.be.a('number');
+        expect(seen[4].callElapsedMs).to.be.at.least(seen[0].callElapsedMs);
+        expect(seen.map(payload => `${payload.event} ${payload.model}`)).to.deep.equal([
+            'attempt:start gpt-5-nano',
+            'attempt:retry gpt-5-nano',
+            'attempt:error gpt-5-nano',
+            'attempt:fallback gpt-5-nano',
+            'attempt:start gpt-5-mini',
+            'attempt:success gpt-5-mini'
+        ]);
+        const [, retry, error, fallback, , success] = seen;
+        expect(retry).to.include({ provider: 'openai', retry: 1, statusCode: 503 });
+        expect(error).to.include({ attempt: 0, retries: 1, action: 'fallback', statusCode: 503 });
+        expect(fallback.next).to.equal('gpt-5-mini');
+        expect(success).to.include({ attempt: 1, cached: false, deduped: false });
+        expect(success.tokens.output).to.equal(100);
+        expect(success.cost).to.equal(success.tokens.cost).and.to.be.above(0);
+        expect(success.elapsedMs).to.be.a('number');
+        expect(success.timestamp).to.be.a('number');
+    });
+
+    it('should emit tool calls and results and share listeners with new() instances', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply(null, {
+                tool_calls: [{
+                    id: 'call_add',
+                    type: 'function',
+                    function: { name: 'add', arguments: '{"a":2,"b":2}' }
+                }]
+            }))
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('It is 4.'));
+
+        const base = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } });
+        const seen = record(base, ['tool:call', 'tool:result']);
+        const model = base.new().gpt5mini();
+        model.addTool({
+            name: 'add',
+            description: 'Adds two numbers.',
+            inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } }
+        }, ({ a, b }) => a + b);
+
+        expect(await model.addText('2 + 2?').message()).to.equal('It is 4.');
+        expect(seen[0]).to.include({ event: 'tool:call', model: 'gpt-5-mini', name: 'add', id: 'call_add' });
+        expect(seen[0].arguments).to.deep.equal({ a: 2, b: 2 });
+        expect(seen[0].attemptElapsedMs).to.be.a('number');
+        expect(seen[0].tokens.output).to.equal(100);
+        expect(seen[0].cost).to.equal(seen[0].tokens.cost).and.to.be.above(0);
+        expect(seen[1]).to.include({ event: 'tool:result', model: 'gpt-5-mini', name: 'add', id: 'call_add', content: '4' });
+        expect(seen[1].elapsedMs).to.be.a('number');
+        expect(seen[1].cost).to.equal(seen[0].cost);
+    });
+
+    it('should emit stream deltas and survive a throwing listener', async () => {
+        const chunk = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, chunk('Hel') + chunk('lo') + 'data: [DONE]\n\n', { 'Content-Type': 'text/event-stream' });
+
+        const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } }).gpt5mini();
+        const deltas = [];
+        const callbackDeltas = [];
+        model.on('stream:delta', ({ delta }) => deltas.push(delta));
+        model.on('attempt:start', () => {
+            throw new Error('listener bug');
+        });
+
+        const result = await model.addText('Hello').stream(({ delta }) => callbackDeltas.push(delta));
+
+        expect(result.message).to.equal('Hello');
+        expect(deltas).to.deep.equal(['Hel', 'lo']);
+        expect(callbackDeltas).to.deep.equal(['Hel', 'lo']);
+    });
+});
@@ -3,7 +3,7 @@ const sinon = require('sinon');
 const nock = require('nock');
 const { EventEmitter } = require('events');
 const Module = require('module');
-const { MixCustom, MixGoogle, ModelMix } = require('../index.js');
+const { MixCustom, MixGoogle, ModelMix, ModelMixFallbackError } = require('../index.js');
 
 describe('Provider Fallback Chain Tests', () => {
     
@@ -501,6 +501,200 @@ describe('Provider Fallback Chain Tests', () => {
         });
     });
 
+    describe('Fallback Policy', () => {
+        const createProvider = handler => {
+            const provider = new MixCustom();
+            provider.create = handler;
+            return provider;
+        };
+
+        it('should abort the chain on configured status codes', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, fallback: { abortOn: [400, 422] } }
+            }).gpt5mini().sonnet46().addText('Hello');
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(400, { error: 'Invalid request' });
+            const anthropic = nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, { content: [{ type: 'text', text: 'Unused' }] });
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown an error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(ModelMixFallbackError);
+                expect(error.aborted).to.equal(true);
+                expect(error.message).to.match(/^Fallback chain aborted by policy after gpt-5-mini failed: .*400$/);
+                expect(error.statusCode).to.equal(400);
+                expect(error.attempts).to.have.length(1);
+                expect(error.attempts[0].action).to.equal('abort');
+            }
+            expect(anthropic.isDone()).to.equal(false);
+        });
+
+        it('should abort on configured error classes and names', async () => {
+            class InvalidPromptError extends Error {}
+            const backup = sinon.stub().resolves({ message: 'unused', toolCalls: [] });
+            const model = ModelMix.new({ config: { fallback: { abortOn: [InvalidPromptError, 'QuotaError'] } } })
+                .attach('primary', createProvider(async () => { throw new InvalidPromptError('bad prompt'); }))
+                .attach('backup', createProvider(backup))
+                .addText('Hello');
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown an error');
+            } catch (error) {
+                expect(error.aborted).to.equal(true);
+                expect(error.cause).to.be.instanceOf(InvalidPromptError);
+            }
+            expect(backup.called).to.equal(false);
+        });
+
+        it('should match provider error codes and the original error class', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(400, { error: { type: 'invalid_request_error', code: 'context_length_exceeded' } });
+            const anthropic = nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, { content: [{ type: 'text', text: 'Unused' }] });
+
+            const model = ModelMix.new({ config: { debug: false, fallback: { abortOn: ['context_length_exceeded'] } } })
+                .gpt5mini().sonnet46().addText('Hello');
+
+            let error;
+            try {
+                await model.message();
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.aborted).to.equal(true);
+            expect(anthropic.isDone()).to.equal(false);
+
+            class ConnectionResetError extends Error {}
+            nock.cleanAll();
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .replyWithError(new ConnectionResetError('socket hang up'));
+            const backup = sinon.stub().resolves({ message: 'unused', toolCalls: [] });
+            const networkModel = ModelMix.new({ config: { debug: false, fallback: { abortOn: [ConnectionResetError] } } })
+                .gpt5mini()
+                .attach('backup', createProvider(backup))
+                .addText('Hello');
+
+            try {
+                await networkModel.message();
+                expect.fail('Should have thrown an error');
+            } catch (caught) {
+                expect(caught.aborted).to.equal(true);
+            }
+            expect(backup.called).to.equal(false);
+        });
+
+        it('should rethrow errors from decide() instead of falling through', async () => {
+            const backup = sinon.stub().resolves({ message: 'unused', toolCalls: [] });
+            const model = ModelMix.new({
+                config: {
+                    fallback: {
+                        decide(error) {
+                            return error.details.reason.toUpperCase();
+                        }
+                    }
+                }
+            })
+                .attach('primary', createProvider(async () => { throw { message: 'Bad request', statusCode: 400 }; }))
+                .attach('backup', createProvider(backup))
+                .addText('Hello');
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown an error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(TypeError);
+            }
+            expect(backup.called).to.equal(false);
+        });
+
+        it('should not trip the circuit breaker when the policy aborts', async () => {
+            const model = ModelMix.new({
+                config: {
+                    fallback: { abortOn: [400] },
+                    circuitBreaker: { enabled: true, failureThreshold: 1 }
+                }
+            })
+                .attach('primary', createProvider(async () => { throw { message: 'Bad request', statusCode: 400 }; }))
+                .addText('Hello');
+
+            try {
+                await model.message();
+            } catch (error) {
+                // expected
+            }
+            expect(model.getCircuitBreakerState()[0].state).to.equal('closed');
+        });
+
+        it('should let decide() retry the same model or fall through', async () => {
+            const decisions = [];
+            let calls = 0;
+            const model = ModelMix.new({
+                config: {
+                    retry: { enabled: true, retries: 2, baseDelayMs: 0, maxDelayMs: 0 },
+                    fallback: {
+                        decide(error, context) {
+                            decisions.push(context);
+                            if (error.statusCode === 418) return 'retry';
+                            return undefined;
+                        }
+                    }
+                }
+            })
+                .attach('teapot', createProvider(async () => {
+                    calls += 1;
+                    if (calls === 1) throw { message: 'I am a teapot', statusCode: 418 };
+                    throw { message: 'Bad request', statusCode: 400 };
+                }))
+                .attach('backup', createProvider(async () => ({ message: 'from backup', toolCalls: [] })))
+                .addText('Hello');
+
+            expect(await model.message()).to.equal('from backup');
+            expect(calls).to.equal(2);
+            expect(decisions).to.deep.equal([
+                { model: 'teapot', provider: 'MixCustom', statusCode: 418, attempt: 0, retriesLeft: 2 },
+                { model: 'teapot', provider: 'MixCustom', statusCode: 400, attempt: 1, retriesLeft: 1 }
+            ]);
+        });
+
+        it('should let decide() override abortOn', async () => {
+            const model = ModelMix.new({
+                config: {
+                    fallback: { abortOn: [400], decide: () => 'fallback' }
+                }
+            })
+                .attach('primary', createProvider(async () => { throw { message: 'Bad request', statusCode: 400 }; }))
+                .attach('backup', createProvider(async () => ({ message: 'from backup', toolCalls: [] })))
+                .addText('Hello');
+
+            expect(await model.message()).to.equal('from backup');
+        });
+
+        it('should reject an invalid policy before calling any provider', async () => {
+            const create = sinon.stub().resolves({ message: 'unused', toolCalls: [] });
+            const model = ModelMix.new({ config: { fallback: { abortOn: 400 } } })
+                .attach('primary', createProvider(create))
+                .addText('Hello');
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown an error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(TypeError);
+                expect(error.message).to.equal('fallback.abortOn must be an array.');
+            }
+            expect(create.called).to.equal(false);
+        });
+    });
+
     describe('Fallback Configuration', () => {
         it('should respect custom provider configurations in fallback', async () => {
             const model = ModelMix.new({
@@ -696,8 +890,71 @@ describe('Provider Fallback Chain Tests', () => {
                 await model.message();
                 expect.fail('Should have thrown an error');
             } catch (error) {
-                // Should contain information about the final error
-                expect(error.message).to.be.a('string');
+                expect(error).to.be.instanceOf(ModelMixFallbackError);
+                expect(error.message).to.match(/^All 3 model\(s\) failed\. Last error from gemini-3\.7-flash: .*403$/);
+                expect(error.statusCode).to.equal(403);
+                expect(error.details).to.deep.equal({ error: 'Google forbidden' });
+                expect(error.attempts.map(({ key, provider, statusCode, retries }) => ({ key, provider, statusCode, retries })))
+                    .to.deep.equal([
+                        { key: 'gpt-5-mini', provider: 'MixOpenAI', statusCode: 500, retries: 0 },
+                        { key: 'claude-sonnet-4-6', provider: 'MixAnthropic', statusCode: 401, retries: 0 },
+                        { key: 'gemini-3.7-flash', provider: 'MixGoogle', statusCode: 403, retries: 0 }
+                    ]);
+                expect(error.attempts[1].details).to.deep.equal({ error: 'Anthropic auth error' });
+                expect(error.attempts[0].elapsedMs).to.be.a('number');
+                expect(error.cause.statusCode).to.equal(403);
+            }
+        });
+
+        it('should record retries and redact secrets in failed attempts', async () => {
+            const apiKey = 'secret-test-key';
+            model = ModelMix.new({
+                config: { debug: false, retry: { enabled: true, retries: 1, baseDelayMs: 0 } }
+            })
+                .attach('gemini-test', new MixGoogle({ config: { apiKey } }))
+                .addText('Test');
+
+            nock('https://generativelanguage.googleapis.com')
+                .post('/v1beta/models/gemini-test:generateContent')
+                .query({ key: apiKey })
+                .times(2)
+                .reply(503, { error: 'Unavailable', requestUrl: `https://example.test?key=${apiKey}` });
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown an error');
+            } catch (error) {
+                expect(error.attempts).to.have.length(1);
+                expect(error.attempts[0]).to.include({ key: 'gemini-test', statusCode: 503, retries: 1 });
+                expect(error.attempts[0].details.requestUrl).to.include('[REDACTED]');
+                expect(JSON.stringify(error.attempts)).to.not.include(apiKey);
+            }
+        });
+
+        it('should list models skipped by an open circuit breaker', async () => {
+            model = ModelMix.new({
+                config: { debug: false, circuitBreaker: { enabled: true, failureThreshold: 1, cooldownMs: 60000 } }
+            }).gpt5mini().sonnet46();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(500, { error: 'OpenAI server error' });
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, { content: [{ type: 'text', text: 'First call' }] });
+            await model.addText('First').message();
+
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(529, { error: 'Overloaded' });
+
+            try {
+                await model.addText('Second').message();
+                expect.fail('Should have thrown an error');
+            } catch (error) {
+                expect(error.message).to.include('All 2 model(s) failed.');
+                expect(error.skipped).to.deep.equal(['gpt-5-mini']);
+                expect(error.attempts.map(attempt => attempt.key)).to.deep.equal(['claude-sonnet-4-6']);
             }
         });
 
@@ -0,0 +1,151 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+
+describe('Hedged Requests', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+    });
+    const anthropicReply = text => ({
+        content: [{ type: 'text', text }],
+        usage: { input_tokens: 12, output_tokens: 4 }
+    });
+
+    function createModel(config = {}) {
+        return ModelMix.new({
+            config: {
+                debug: false,
+                hedgeAfterMs: 50,
+                bottleneck: { maxConcurrent: 8, minTime: 0 },
+                ...config
+            }
+        });
+    }
+
+    it('should race the next model when the primary is slow and abort the loser', async () => {
+        const model = createModel().gpt5mini().sonnet46().addText('Hello');
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .delay(2000)
+            .reply(200, openAIReply('Slow OpenAI'));
+        nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .reply(200, anthropicReply('Fast Claude'));
+
+        const startedAt = Date.now();
+        const result = await model.raw();
+
+        expect(Date.now() - startedAt).to.be.below(1500);
+        expect(result.message).to.equal('Fast Claude');
+        expect(result.hedge.winner).to.equal('claude-sonnet-4-6');
+        expect(result.hedge.losers).to.have.length(1);
+        expect(result.hedge.losers[0]).to.include({ key: 'gpt-5-mini', status: 'aborted' });
+        expect(result.hedge.losers[0].elapsedMs).to.be.at.least(50);
+        expect(result.hedge.losers[0].estimatedInputTokens).to.be.above(0);
+        expect(result.hedge.losers[0].estimatedCost).to.be.above(0);
+    });
+
+    it('should keep the primary answer when it arrives before the hedge delay', async () => {
+        const model = createModel({ hedgeAfterMs: 1000 }).gpt5mini().sonnet46().addText('Hello');
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('Quick OpenAI'));
+        const anthropic = nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .reply(200, anthropicReply('Unused'));
+
+        const result = await model.raw();
+
+        expect(result.message).to.equal('Quick OpenAI');
+        expect(result).to.not.have.property('hedge');
+        expect(anthropic.isDone()).to.equal(false);
+    });
+
+    it('should let the primary win the race after the hedge fired', async () => {
+        const model = createModel().gpt5mini().sonnet46().addText('Hello');
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .delay(100)
+            .reply(200, openAIReply('Primary wins'));
+        nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .delay(2000)
+            .reply(200, anthropicReply('Too slow'));
+
+        const result = await model.raw();
+
+        expect(result.message).to.equal('Primary wins');
+        expect(result.hedge.winner).to.equal('gpt-5-mini');
+        expect(result.hedge.losers.map(loser => loser.key)).to.deep.equal(['claude-sonnet-4-6']);
+    });
+
+    it('should fall back immediately when the primary fails before the hedge delay', async () => {
+        const model = createModel({ hedgeAfterMs: 1000 }).gpt5mini().sonnet46().addText('Hello');
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(500, { error: 'Server error' });
+        nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .reply(200, anthropicReply('Plain fallback'));
+
+        const startedAt = Date.now();
+        const result = await model.raw();
+
+        expect(Date.now() - startedAt).to.be.below(1000);
+        expect(result.message).to.equal('Plain fallback');
+        expect(result).to.not.have.property('hedge');
+    });
+
+    it('should write only the winning answer to history', async () => {
+        const model = createModel({ max_history: -1 }).gpt5mini().sonnet46().addText('Hello');
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .delay(2000)
+            .reply(200, openAIReply('Slow OpenAI'));
+        nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .reply(200, anthropicReply('Fast Claude'));
+
+        await model.message();
+
+        expect(model.messages).to.have.length(2);
+        expect(model.messages[1].content).to.deep.equal([{ type: 'text', text: 'Fast Claude' }]);
+    });
+
+    it('should throw the last error when every hedged attempt fails', async () => {
+        const model = createModel().gpt5mini().sonnet46().addText('Hello');
+
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .delay(100)
+            .reply(503, { error: 'Unavailable' });
+        nock('https://api.anthropic.com')
+            .post('/v1/messages')
+            .delay(150)
+            .reply(500, { error: 'Server error' });
+
+        try {
+            await model.message();
+            expect.fail('Should have thrown');
+        } catch (error) {
+            expect(error.statusCode).to.equal(500);
+        }
+    });
+});
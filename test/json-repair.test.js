@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+const { parseJsonTolerant, repairJson } = require('../lib/json-repair');
+
+describe('JSON Repair', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+    });
+
+    describe('repairJson', () => {
+        for (const [defect, input, expected, repairs] of [
+            ['trailing commas', '{"a": [1, 2,], "b": 3,}', { a: [1, 2], b: 3 }, ['trailing_comma']],
+            ['single quotes', "{'name': 'O\\'Hara', 'quote': 'say \"hi\"'}", { name: "O'Hara", quote: 'say "hi"' }, ['single_quotes']],
+            ['comments', '{\n  // the name\n  "name": "Ann", /* age */ "age": 3\n}', { name: 'Ann', age: 3 }, ['comment']],
+            ['unescaped newlines', '{"text": "line 1\nline 2\ttab"}', { text: 'line 1\nline 2\ttab' }, ['control_character']],
+            ['missing closing brackets', '{"items": [{"id": 1}, {"id": 2', { items: [{ id: 1 }, { id: 2 }] }, ['missing_bracket']],
+            ['a truncated string', '{"items": ["one", "tw', { items: ['one', 'tw'] }, ['unterminated_string', 'missing_bracket']],
+            ['a truncated member', '{"a": 1, "b": ', { a: 1, b: null }, ['missing_value', 'missing_bracket']],
+            ['a truncated key', '{"a": 1, "b"', { a: 1, b: null }, ['missing_value', 'missing_bracket']],
+            ['a mismatched closer', '[{"a": 1]', [{ a: 1 }], ['missing_bracket']]
+        ]) {
+            it(`should fix ${defect}`, () => {
+                const result = repairJson(input);
+
+                expect(JSON.parse(result.text)).to.deep.equal(expected);
+                expect(result.repairs).to.deep.equal(repairs);
+            });
+        }
+
+        it('should leave comment markers and quotes inside strings alone', () => {
+            const input = '{"url": "https://example.com/a//b", "note": "it\'s /* fine */"}';
+
+            expect(repairJson(input)).to.deep.equal({ text: input, repairs: [] });
+        });
+    });
+
+    describe('parseJsonTolerant', () => {
+        it('should parse valid JSON without repairs', () => {
+            expect(parseJsonTolerant('{"a": 1}')).to.deep.equal({ value: { a: 1 }, repaired: false, repairs: [] });
+        });
+
+        it('should report the repairs it applied', () => {
+            expect(parseJsonTolerant("{'a': 1,}")).to.deep.equal({
+                value: { a: 1 },
+                repaired: true,
+                repairs: ['single_quotes', 'trailing_comma']
+            });
+        });
+
+        it('should throw the original error when the repair does not help', () => {
+            expect(() => parseJsonTolerant('Sorry, I cannot help')).to.throw(SyntaxError);
+            expect(() => parseJsonTolerant('{"a": tru')).to.throw(SyntaxError);
+        });
+    });
+
+    it('should repair malformed json() output without asking the model again', async () => {
+        const scope = nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply("```json\n{\n  'name': 'Bob', // the user\n  \"tags\": [\"a\", \"b\",],\n  \"age\": 40,\n```"));
+
+        const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } }).gpt5mini();
+        const repaired = [];
+        model.on('json:repaired', payload => repaired.push(payload));
+
+        const result = await model.addText('Describe Bob').json({ name: 'Alice', tags: ['x'], age: 30 });
+
+        expect(result).to.deep.equal({ name: 'Bob', tags: ['a', 'b'], age: 40 });
+        expect(scope.isDone()).to.equal(true);
+        expect(model.lastRaw.jsonRepair).to.deep.equal({
+            repaired: true,
+            repairs: ['single_quotes', 'comment', 'trailing_comma', 'missing_bracket'],
+            truncated: false
+        });
+        expect(repaired).to.have.length(1);
+        expect(repaired[0]).to.include({ model: 'gpt-5-mini', provider: 'openai', attempt: 0 });
+    });
+
+    it('should report clean output as not repaired', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('{"name": "Bob"}'));
+
+        const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } }).gpt5mini();
+
+        expect(await model.addText('Describe Bob').json({ name: 'Alice' })).to.deep.equal({ name: 'Bob' });
+        expect(model.lastRaw.jsonRepair).to.deep.equal({ repaired: false, repairs: [], truncated: false });
+    });
+
+    describe('Output cut off at the token limit', () => {
+        const truncatedReply = {
+            choices: [{ message: { role: 'assistant', content: '{"name": "Bob", "bio": "Born in' }, finish_reason: 'length' }],
+            usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+        };
+
+        it('should reject the completed answer instead of returning it without validation', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, truncatedReply);
+
+            const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } }).gpt5mini();
+
+            let error;
+            try {
+                await model.addText('Describe Bob').json({ name: 'Alice', bio: 'Short bio' }, {}, { validate: false });
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.instanceOf(SyntaxError);
+            expect(error.message).to.include('cut off at the output token limit');
+            expect(model.lastRaw.jsonRepair).to.deep.equal({
+                repaired: true,
+                repairs: ['unterminated_string', 'missing_bracket'],
+                truncated: true
+            });
+        });
+
+        it('should fall back to the next model when the answer is validated', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .times(2)
+                .reply(200, truncatedReply)
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('{"name": "Bob", "bio": "Born in 1990."}'));
+
+            const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } }).gpt5nano().gpt5mini();
+
+            const result = await model.addText('Describe Bob').json({ name: 'Alice', bio: 'Short bio' });
+
+            expect(result).to.deep.equal({ name: 'Bob', bio: 'Born in 1990.' });
+            expect(nock.isDone()).to.equal(true);
+        });
+
+        it('should keep defect repairs of a truncated answer that needed no closing', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, { ...truncatedReply, choices: [{ ...truncatedReply.choices[0], message: { role: 'assistant', content: '{"name": "Bob",}' } }] });
+
+            const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } }).gpt5mini();
+
+            expect(await model.addText('Describe Bob').json({ name: 'Alice' })).to.deep.equal({ name: 'Bob' });
+            expect(model.lastRaw.jsonRepair.truncated).to.equal(false);
+        });
+    });
+});
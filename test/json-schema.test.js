@@ -0,0 +1,293 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, ModelMixFallbackError } = require('../index.js');
+const { isJsonSchema, resolveJsonSchemaInput } = require('../lib/json-schema');
+const { validateJsonSchema } = require('../lib/json-validation');
+
+describe('JSON Schema and Zod-like Schemas in json()', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+    });
+
+    const baseConfig = { debug: false, bottleneck: { minTime: 0 } };
+
+    const petSchema = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            age: { type: 'integer', minimum: 0, maximum: 40 },
+            pet: {
+                oneOf: [
+                    { type: 'object', properties: { kind: { const: 'cat' }, lives: { type: 'integer' } }, required: ['kind', 'lives'], additionalProperties: false },
+                    { type: 'object', properties: { kind: { const: 'dog' }, breed: { type: 'string' } }, required: ['kind', 'breed'], additionalProperties: false }
+                ]
+            },
+            code: { type: 'string', pattern: '^[A-Z]{3}$' }
+        },
+        required: ['name', 'age', 'pet', 'code'],
+        additionalProperties: false
+    };
+
+    // Minimal stand-in for a Zod schema: safeParse with issues, toJSONSchema, and a transform.
+    function zodLike() {
+        return {
+            toJSONSchema: () => ({
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                type: 'object',
+                properties: { name: { type: 'string' }, born: { type: 'string' } },
+                required: ['name', 'born'],
+                additionalProperties: false
+            }),
+            safeParse(value) {
+                if (typeof value?.name !== 'string' || !/^\d{4}$/.test(value?.born)) {
+                    return { success: false, error: { issues: [{ path: ['born'], message: 'Expected a four-digit year' }] } };
+                }
+                return { success: true, data: { name: value.name.toUpperCase(), born: Number(value.born) } };
+            }
+        };
+    }
+
+    describe('isJsonSchema', () => {
+        it('should tell schemas from example objects', () => {
+            expect(isJsonSchema(petSchema)).to.equal(true);
+            expect(isJsonSchema({ type: 'object', properties: {} })).to.equal(true);
+            expect(isJsonSchema({ anyOf: [{ type: 'string' }, { type: 'integer' }] })).to.equal(true);
+            expect(isJsonSchema({ name: 'Alice', age: 30 })).to.equal(false);
+            expect(isJsonSchema({ type: 'cat', name: 'Tom' })).to.equal(false);
+            expect(isJsonSchema({ type: 'string', description: 'Ann' })).to.equal(false);
+        });
+    });
+
+    describe('validateJsonSchema', () => {
+        it('should check ranges, patterns, closed objects and unions', () => {
+            expect(validateJsonSchema(petSchema, { name: 'Tom', age: 3, pet: { kind: 'cat', lives: 9 }, code: 'TOM' })).to.deep.equal([]);
+            expect(validateJsonSchema(petSchema, {
+                name: '',
+                age: 41,
+                pet: { kind: 'dog', breed: 7 },
+                code: 'tom',
+                extra: true
+            })).to.deep.equal([
+                { path: '$.name', message: 'must be at least 1 characters long, got 0' },
+                { path: '$.age', message: 'must be <= 40, got 41' },
+                { path: '$.pet.breed', message: 'expected string, got number' },
+                { path: '$.code', message: 'must match pattern "^[A-Z]{3}$"' },
+                { path: '$.extra', message: 'unexpected field' }
+            ]);
+        });
+
+        it('should follow local $refs and report oneOf ambiguity', () => {
+            const schema = {
+                type: 'object',
+                properties: { items: { type: 'array', items: { $ref: '#/$defs/item' }, minItems: 1 } },
+                required: ['items'],
+                $defs: { item: { oneOf: [{ type: 'integer' }, { type: 'number', multipleOf: 0.5 }] } }
+            };
+
+            expect(validateJsonSchema(schema, { items: [1.5] })).to.deep.equal([]);
+            expect(validateJsonSchema(schema, { items: [] })).to.deep.equal([
+                { path: '$.items', message: 'must have at least 1 item(s), got 0' }
+            ]);
+            expect(validateJsonSchema(schema, { items: [2, 'x'] })).to.deep.equal([
+                { path: '$.items[0]', message: 'matches 2 of the oneOf schemas, expected exactly one' },
+                { path: '$.items[1]', message: 'expected integer, got string' }
+            ]);
+        });
+    });
+
+    describe('resolveJsonSchemaInput', () => {
+        it('should return null for example objects', () => {
+            expect(resolveJsonSchemaInput({ name: 'Alice' })).to.equal(null);
+            expect(resolveJsonSchemaInput(['a'])).to.equal(null);
+        });
+
+        it('should wrap non-object roots as { out } and keep $defs at the root', () => {
+            const { schema, wrapped, parse } = resolveJsonSchemaInput({
+                $schema: 'https://json-schema.org/draft/2020-12/schema',
+                type: 'array',
+                items: { $ref: '#/$defs/tag' },
+                $defs: { tag: { type: 'string' } }
+            });
+
+            expect(wrapped).to.equal(true);
+            expect(parse).to.equal(null);
+            expect(schema).to.deep.equal({
+                type: 'object',
+                properties: { out: { type: 'array', items: { $ref: '#/$defs/tag' } } },
+                required: ['out'],
+                additionalProperties: false,
+                $defs: { tag: { type: 'string' } }
+            });
+        });
+
+        it('should use a Standard Schema validator and its JSON Schema', async () => {
+            const standard = {
+                '~standard': {
+                    version: 1,
+                    vendor: 'test',
+                    validate: async value => (Number.isInteger(value) ? { value } : { issues: [{ path: [{ key: 0 }], message: 'Expected integer' }] }),
+                    jsonSchema: { output: ({ target }) => ({ type: 'integer', description: target }) }
+                }
+            };
+            const { schema, wrapped, parse } = resolveJsonSchemaInput(standard);
+
+            expect(wrapped).to.equal(true);
+            expect(schema.properties.out).to.deep.equal({ type: 'integer', description: 'draft-2020-12' });
+            expect(await parse({ out: 3 })).to.deep.equal({ violations: [], value: { out: 3 } });
+            expect((await parse({ out: 'x' })).violations).to.deep.equal([{ path: '$.out[0]', message: 'Expected integer' }]);
+        });
+
+        it('should only validate with a schema object that has no JSON Schema', async () => {
+            const { schema, wrapped, parse } = resolveJsonSchemaInput({ safeParse: value => ({ success: true, data: value }) });
+
+            expect(schema).to.equal(null);
+            expect(wrapped).to.equal(false);
+            expect(await parse({ a: 1 })).to.deep.equal({ violations: [], value: { a: 1 } });
+        });
+
+        it('should prefer safeParseAsync for async refinements', async () => {
+            const { parse } = resolveJsonSchemaInput({
+                safeParse() { throw new Error('Encountered Promise during synchronous parse'); },
+                safeParseAsync: async value => ({ success: true, data: { ...value, checked: true } })
+            });
+
+            expect(await parse({ a: 1 })).to.deep.equal({ violations: [], value: { a: 1, checked: true } });
+        });
+    });
+
+    it('should send a JSON Schema as given and validate the answer against it', async () => {
+        const bodies = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Tom","age":3,"pet":{"kind":"cat","lives":9},"code":"tom"}'))
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Tom","age":3,"pet":{"kind":"cat","lives":9},"code":"TOM"}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        const result = await model.addText('Describe Tom').json(petSchema);
+
+        expect(result.code).to.equal('TOM');
+        expect(JSON.stringify(bodies[0].messages)).to.include('oneOf');
+        // oneOf and minLength are outside OpenAI strict mode, so the schema goes out unchanged.
+        expect(bodies[0].response_format.json_schema.strict).to.equal(false);
+        expect(bodies[0].response_format.json_schema.schema).to.not.have.property('$schema');
+        expect(JSON.stringify(bodies[1].messages)).to.include('- $.code: must match pattern');
+    });
+
+    it('should unwrap a non-object JSON Schema root', async () => {
+        let body;
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', captured => (body = captured))
+            .reply(200, openAIReply('{"out":["a","b"]}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        const result = await model.addText('Two tags').json({ type: 'array', items: { type: 'string' }, maxItems: 2 });
+
+        expect(result).to.deep.equal(['a', 'b']);
+        expect(body.response_format.json_schema).to.include({ strict: true });
+    });
+
+    it('should validate with a Zod-like schema and return its parsed value', async () => {
+        const bodies = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"ada","born":"18x5"}'))
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"ada","born":"1815"}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        const result = await model.addText('Describe Ada Lovelace').json(zodLike());
+
+        expect(result).to.deep.equal({ name: 'ADA', born: 1815 });
+        expect(bodies[0].response_format.json_schema.schema.required).to.deep.equal(['name', 'born']);
+        expect(JSON.stringify(bodies[1].messages)).to.include('- $.born: Expected a four-digit year');
+    });
+
+    it('should fail with the library issues once no model passes', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(200, openAIReply('{"name":"ada","born":"soon"}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+
+        let error;
+        try {
+            await model.addText('Describe Ada Lovelace').json(zodLike());
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.instanceOf(ModelMixFallbackError);
+        expect(error.cause.violations).to.deep.equal([{ path: '$.born', message: 'Expected a four-digit year' }]);
+    });
+
+    it('should keep a safeParse-only schema out of the request and still validate the answer', async () => {
+        const bodies = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"ada","born":"18x5"}'))
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"ada","born":"1815"}'));
+
+        const { safeParse } = zodLike();
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        const result = await model.addText('Describe Ada Lovelace').json({ safeParse });
+
+        expect(result).to.deep.equal({ name: 'ADA', born: 1815 });
+        expect(bodies[0].response_format).to.deep.equal({ type: 'json_object' });
+        expect(JSON.stringify(bodies[0].messages)).to.not.include('Output JSON Schema');
+        expect(JSON.stringify(bodies[1].messages)).to.include('- $.born: Expected a four-digit year');
+    });
+
+    it('should hand a throwing safeParse to the caller instead of falling back', async () => {
+        const scope = nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .once()
+            .reply(200, openAIReply('{"name":"ada","born":"1815"}'));
+
+        const schema = {
+            ...zodLike(),
+            safeParse() {
+                throw new Error('Encountered Promise during synchronous parse');
+            }
+        };
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini().gpt5nano();
+
+        let error;
+        try {
+            await model.addText('Describe Ada Lovelace').json(schema);
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.instanceOf(TypeError);
+        expect(error.message).to.equal('json() schema threw while validating the output: Encountered Promise during synchronous parse');
+        expect(error.cause.message).to.equal('Encountered Promise during synchronous parse');
+        expect(scope.isDone()).to.equal(true);
+    });
+
+    it('should return the raw output when validation is disabled', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('{"name":"ada","born":"soon"}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+
+        expect(await model.addText('Describe Ada Lovelace').json(zodLike(), {}, { validate: false }))
+            .to.deep.equal({ name: 'ada', born: 'soon' });
+    });
+});
@@ -0,0 +1,164 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, MixAnthropic, MixGoogle, MixOpenRouter } = require('../index.js');
+const { toStrictJsonSchema } = require('../lib/structured-output');
+const generateJsonSchema = require('../schema.js');
+
+describe('Native Structured Outputs', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+    });
+
+    const example = { name: 'Alice', nickname: 'Al', tags: ['a'] };
+    const descriptions = { nickname: { description: 'Short name', required: false } };
+    const baseConfig = { debug: false, bottleneck: { minTime: 0 } };
+
+    describe('toStrictJsonSchema', () => {
+        it('should close objects and make optional fields required but nullable', () => {
+            const { schema, strict } = toStrictJsonSchema(generateJsonSchema(example, descriptions));
+
+            expect(strict).to.equal(true);
+            expect(schema.additionalProperties).to.equal(false);
+            expect(schema.required).to.deep.equal(['name', 'nickname', 'tags']);
+            expect(schema.properties.nickname.type).to.deep.equal(['string', 'null']);
+            expect(schema.properties.name.type).to.equal('string');
+        });
+
+        it('should drop string formats strict mode does not support', () => {
+            const original = generateJsonSchema({ site: 'https://example.com', email: 'ann@example.com' });
+            const { schema, strict } = toStrictJsonSchema(original);
+
+            expect(strict).to.equal(true);
+            expect(schema.properties.site).to.deep.equal({ type: 'string' });
+            expect(schema.properties.email).to.include({ format: 'email' });
+            expect(original.properties.site.format).to.equal('uri');
+        });
+
+        it('should keep the original schema when a subschema has no type', () => {
+            const original = generateJsonSchema({ items: [] });
+            const { schema, strict } = toStrictJsonSchema(original);
+
+            expect(strict).to.equal(false);
+            expect(schema).to.equal(original);
+        });
+    });
+
+    it('should send a strict json_schema to OpenAI chat completions', async () => {
+        let body;
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', captured => (body = captured))
+            .reply(200, openAIReply('{"name":"Bob","nickname":null,"tags":["x"]}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        const result = await model.addText('Describe Bob').json(example, descriptions);
+
+        expect(result).to.deep.equal({ name: 'Bob', nickname: null, tags: ['x'] });
+        expect(body.response_format.type).to.equal('json_schema');
+        expect(body.response_format.json_schema).to.include({ name: 'json_output', strict: true });
+        expect(body.response_format.json_schema.schema.additionalProperties).to.equal(false);
+    });
+
+    it('should keep json_object and the prompt schema when structured is false', async () => {
+        let body;
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', captured => (body = captured))
+            .reply(200, openAIReply('{"name":"Bob","tags":[]}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        await model.addText('Describe Bob').json(example, descriptions, { structured: false });
+
+        expect(body.response_format).to.deep.equal({ type: 'json_object' });
+        expect(JSON.stringify(body.messages)).to.include('Output JSON Schema');
+    });
+
+    it('should fall back to the prompt schema for providers without native support', async () => {
+        let body;
+        nock('https://openrouter.ai')
+            .post('/api/v1/chat/completions', captured => (body = captured))
+            .reply(200, openAIReply('{"name":"Bob","tags":[]}'));
+
+        const model = ModelMix.new({ config: baseConfig }).attach('some/model', new MixOpenRouter());
+        await model.addText('Describe Bob').json(example, descriptions);
+
+        expect(body.response_format).to.deep.equal({ type: 'json_object' });
+        expect(JSON.stringify(body.messages)).to.include('Output JSON Schema');
+    });
+
+    it('should force an Anthropic tool call and return its input as the JSON answer', async () => {
+        let body;
+        nock('https://api.anthropic.com')
+            .post('/v1/messages', captured => (body = captured))
+            .reply(200, {
+                content: [{ type: 'tool_use', id: 'toolu_1', name: 'json_output', input: { name: 'Bob', tags: ['x'] } }],
+                stop_reason: 'tool_use',
+                usage: { input_tokens: 10, output_tokens: 5 }
+            });
+
+        const model = ModelMix.new({ config: { ...baseConfig, max_history: -1 } }).sonnet46();
+        const result = await model.addText('Describe Bob').json(example, descriptions);
+
+        expect(result).to.deep.equal({ name: 'Bob', tags: ['x'] });
+        expect(body.tools).to.have.length(1);
+        expect(body.tools[0].name).to.equal('json_output');
+        expect(body.tools[0].input_schema.required).to.deep.equal(['name', 'tags']);
+        expect(body.tool_choice).to.deep.equal({ type: 'tool', name: 'json_output' });
+        expect(model.lastRaw.toolCalls).to.deep.equal([]);
+        expect(model.messages.map(message => message.role)).to.deep.equal(['user', 'assistant']);
+    });
+
+    it('should leave the caller\'s tools alone on Anthropic', () => {
+        const config = { schema: generateJsonSchema(example) };
+
+        expect(MixAnthropic.usesForcedToolOutput({}, config)).to.equal(true);
+        expect(MixAnthropic.usesForcedToolOutput({ tools: [{ name: 'search' }] }, config)).to.equal(false);
+        expect(MixAnthropic.usesForcedToolOutput({ thinking: { type: 'enabled', budget_tokens: 1024 } }, config)).to.equal(false);
+        expect(MixAnthropic.usesForcedToolOutput({}, { ...config, structuredOutputs: false })).to.equal(false);
+    });
+
+    it('should send a Gemini responseSchema with OpenAPI nullability', async () => {
+        let body;
+        nock('https://generativelanguage.googleapis.com')
+            .post(/.*generateContent/, captured => (body = captured))
+            .reply(200, {
+                candidates: [{ content: { parts: [{ text: '{"name":"Bob","tags":[]}' }] } }]
+            });
+
+        const model = ModelMix.new({ config: baseConfig }).gemini35flash();
+        await model.addText('Describe Bob').json(example, descriptions);
+
+        expect(body.generationConfig.responseMimeType).to.equal('application/json');
+        expect(body.generationConfig.responseSchema.required).to.deep.equal(['name', 'tags']);
+        expect(body.generationConfig.responseSchema.properties.name.type).to.equal('string');
+    });
+
+    it('should convert nullable types and drop unsupported keywords for Gemini', () => {
+        const cleaned = MixGoogle.stripUnsupportedSchemaProps({
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                email: { type: ['string', 'null'], format: 'email' },
+                status: { type: ['string', 'null'], enum: ['on', 'off', null] }
+            }
+        });
+
+        expect(cleaned).to.deep.equal({
+            type: 'object',
+            properties: {
+                email: { type: 'string', nullable: true },
+                status: { type: 'string', nullable: true, enum: ['on', 'off'] }
+            }
+        });
+    });
+});
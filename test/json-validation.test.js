@@ -0,0 +1,228 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, JsonValidationError, ModelMixFallbackError } = require('../index.js');
+const generateJsonSchema = require('../schema.js');
+const { validateJsonSchema } = require('../lib/json-validation');
+
+describe('JSON Schema Validation', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }
+    });
+
+    const example = { name: 'Alice', age: 30, status: 'active', tags: ['a'] };
+    const descriptions = { status: { enum: ['active', 'inactive'] } };
+    const baseConfig = { debug: false, bottleneck: { minTime: 0 } };
+
+    function lastUserText(body) {
+        const content = body.messages[body.messages.length - 1].content;
+        return Array.isArray(content) ? content.map(part => part.text).join('') : content;
+    }
+
+    describe('validateJsonSchema', () => {
+        it('should report type mismatches, missing fields and enum violations with paths', () => {
+            const schema = generateJsonSchema(
+                { name: 'Alice', status: 'active', items: [{ id: 1 }], 'first name': 'A' },
+                { status: { enum: ['active', 'inactive'] } }
+            );
+
+            expect(validateJsonSchema(schema, { name: 'Bob', status: 'active', items: [{ id: 2 }], 'first name': 'B' })).to.deep.equal([]);
+            expect(validateJsonSchema(schema, { name: 7, status: 'gone', items: [{ id: 1.5 }, {}] })).to.deep.equal([
+                { path: '$["first name"]', message: 'missing required field' },
+                { path: '$.name', message: 'expected string, got number' },
+                { path: '$.status', message: 'must be one of "active", "inactive", got "gone"' },
+                { path: '$.items[0].id', message: 'expected integer, got number' },
+                { path: '$.items[1].id', message: 'missing required field' }
+            ]);
+        });
+
+        it('should accept null for optional and nullable fields', () => {
+            const schema = generateJsonSchema({ nickname: 'Al' }, { nickname: { required: false } });
+
+            expect(validateJsonSchema(schema, {})).to.deep.equal([]);
+            expect(validateJsonSchema(schema, { nickname: null })).to.deep.equal([]);
+            expect(validateJsonSchema(schema, { nickname: 3 })).to.have.length(1);
+        });
+    });
+
+    it('should re-ask the same model with the violations and return the repaired output', async () => {
+        const bodies = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Bob","age":"forty","status":"retired","tags":["x"]}'))
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Bob","age":40,"status":"inactive","tags":["x"]}'));
+
+        const model = ModelMix.new({ config: { ...baseConfig, max_history: -1 } }).gpt5mini();
+        const repairs = [];
+        model.on('attempt:repair', payload => repairs.push(payload));
+
+        const result = await model.addText('Describe Bob').json(example, descriptions);
+
+        expect(result).to.deep.equal({ name: 'Bob', age: 40, status: 'inactive', tags: ['x'] });
+        expect(bodies).to.have.length(2);
+        expect(bodies[1].model).to.equal('gpt-5-mini');
+        expect(bodies[1].messages.slice(-2)[0].role).to.equal('assistant');
+        expect(lastUserText(bodies[1])).to.include('- $.age: expected number, got string')
+            .and.to.include('- $.status: must be one of "active", "inactive", got "retired"');
+        expect(repairs).to.have.length(1);
+        expect(repairs[0]).to.include({ model: 'gpt-5-mini', repair: 1 });
+        // Repair turns stay out of the conversation history.
+        expect(model.messages.map(message => message.role)).to.deep.equal(['user', 'assistant']);
+    });
+
+    it('should send descriptor constraints to the model and repair answers that break them', async () => {
+        const bodies = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Bob","age":-3}'))
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Bob","age":3}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        const result = await model.addText('Describe Bob').json({ name: 'Alice', age: 30 }, { age: { minimum: 0, maximum: 120 } });
+
+        expect(result.age).to.equal(3);
+        expect(bodies[0].response_format.json_schema.schema.properties.age).to.include({ minimum: 0, maximum: 120 });
+        expect(lastUserText(bodies[1])).to.include('- $.age: must be >= 0, got -3');
+    });
+
+    it('should repair output that is not valid JSON', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('Sure! Here it is: name Bob'))
+            .post('/v1/chat/completions', body => lastUserText(body).includes('$: not valid JSON'))
+            .reply(200, openAIReply('{"name":"Bob","age":40,"status":"active","tags":[]}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+
+        expect(await model.addText('Describe Bob').json(example, descriptions)).to.include({ name: 'Bob', age: 40 });
+    });
+
+    it('should fall back to the next model after maxRepairs', async () => {
+        const models = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', body => models.push(body.model))
+            .times(3)
+            .reply(200, openAIReply('{"name":"Bob"}'))
+            .post('/v1/chat/completions', body => models.push(body.model))
+            .reply(200, openAIReply('{"name":"Bob","age":40,"status":"active","tags":[]}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5nano().gpt5mini();
+
+        const result = await model.addText('Describe Bob').json(example, descriptions, { maxRepairs: 2 });
+
+        expect(result.age).to.equal(40);
+        expect(models).to.deep.equal(['gpt-5-nano', 'gpt-5-nano', 'gpt-5-nano', 'gpt-5-mini']);
+    });
+
+    it('should fail with every violation once no model produces valid output', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(200, openAIReply('{"name":1,"status":"x","tags":"none"}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+
+        let error;
+        try {
+            await model.addText('Describe Bob').json(example, descriptions);
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.instanceOf(ModelMixFallbackError);
+        expect(error.cause).to.be.instanceOf(JsonValidationError);
+        expect(error.cause).to.include({ code: 'JSON_SCHEMA_VIOLATION', model: 'gpt-5-mini', repairs: 1 });
+        expect(error.cause.violations.map(violation => violation.path)).to.deep.equal(['$.age', '$.name', '$.status', '$.tags']);
+        for (const line of [
+            '- $.age: missing required field',
+            '- $.name: expected string, got number',
+            '- $.status: must be one of "active", "inactive", got "x"',
+            '- $.tags: expected array, got string'
+        ]) {
+            expect(error.message).to.include(line);
+        }
+    });
+
+    it('should accept a fraction where the example has a whole number', async () => {
+        const bodies = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Widget","price":"cheap"}'))
+            .post('/v1/chat/completions', body => bodies.push(body))
+            .reply(200, openAIReply('{"name":"Widget","price":9.99}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+
+        expect(await model.addText('Price the widget').json({ name: 'Widget', price: 10 })).to.deep.equal({ name: 'Widget', price: 9.99 });
+        expect(bodies).to.have.length(2);
+        expect(bodies[1].messages.at(-1).content[0].text).to.include('$.price: expected number, got string');
+        // The schema sent to the model keeps the type of the example.
+        expect(bodies[0].response_format.json_schema.schema.properties.price).to.deep.equal({ type: 'integer' });
+    });
+
+    it('should keep integers of a given JSON Schema strict', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(200, openAIReply('{"count":2.5}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        const schema = { type: 'object', properties: { count: { type: 'integer' } }, required: ['count'] };
+
+        try {
+            await model.addText('Count').json(schema);
+            expect.fail('Should have thrown');
+        } catch (error) {
+            expect(error.cause.violations).to.deep.equal([{ path: '$.count', message: 'expected integer, got number' }]);
+        }
+    });
+
+    it('should skip validation when disabled', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('{"name":1}'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+
+        expect(await model.addText('Describe Bob').json(example, descriptions, { validate: false })).to.deep.equal({ name: 1 });
+    });
+
+    it('should reject an invalid maxRepairs', async () => {
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini().addText('Describe Bob');
+
+        let error;
+        try {
+            await model.json(example, descriptions, { maxRepairs: -1 });
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+        expect(error.message).to.equal('jsonValidation.maxRepairs must be a non-negative integer.');
+    });
+
+    it('should reject an invalid enabled value', async () => {
+        const model = ModelMix.new({ config: { ...baseConfig, jsonValidation: { enabled: 'yes' } } }).gpt5mini().addText('Describe Bob');
+
+        let error;
+        try {
+            await model.json(example, descriptions);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+        expect(error.message).to.equal('jsonValidation.enabled must be a boolean.');
+    });
+});
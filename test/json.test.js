@@ -79,6 +79,40 @@ describe('JSON Schema and Structured Output Tests', () => {
             });
         });
 
+        it('should detect uri, uuid, date-time and ipv4 formats', () => {
+            const schema = generateJsonSchema({
+                website: 'https://example.com/about?lang=en',
+                id: '123e4567-e89b-12d3-a456-426614174000',
+                createdAt: '2024-05-01T10:30:00Z',
+                ip: '192.168.0.1',
+                version: '999.1.1.1'
+            });
+
+            expect(schema.properties.website).to.deep.equal({ type: 'string', format: 'uri' });
+            expect(schema.properties.id).to.deep.equal({ type: 'string', format: 'uuid' });
+            expect(schema.properties.createdAt).to.deep.equal({
+                type: 'string',
+                format: 'date-time',
+                description: 'Date and time in ISO 8601 format'
+            });
+            expect(schema.properties.ip).to.deep.equal({ type: 'string', format: 'ipv4' });
+            expect(schema.properties.version).to.deep.equal({ type: 'string' });
+        });
+
+        it('should turn a union of literal examples into an enum', () => {
+            const schema = generateJsonSchema({
+                priority: 'low | medium | high',
+                stage: '"in progress" | done',
+                score: '1 | 2.5 | null',
+                note: 'Paris, France'
+            });
+
+            expect(schema.properties.priority).to.deep.equal({ type: 'string', enum: ['low', 'medium', 'high'] });
+            expect(schema.properties.stage).to.deep.equal({ type: 'string', enum: ['in progress', 'done'] });
+            expect(schema.properties.score).to.deep.equal({ type: ['number', 'null'], enum: [1, 2.5, null] });
+            expect(schema.properties.note).to.deep.equal({ type: 'string' });
+        });
+
         it('should handle nested objects', () => {
             const example = {
                 user: {
@@ -138,6 +172,33 @@ describe('JSON Schema and Structured Output Tests', () => {
             });
         });
 
+        it('should merge heterogeneous array items into anyOf', () => {
+            const schema = generateJsonSchema({
+                events: [{ type: 'click', x: 1 }, { type: 'key', code: 'Enter' }, { type: 'click', x: 2 }],
+                values: [1, 'one', null],
+                prices: [10, 9.99],
+                labels: ['2024-01-01', 'tomorrow']
+            });
+
+            expect(schema.properties.events.items.anyOf).to.deep.equal([
+                { type: 'object', properties: { type: { type: 'string' }, x: { type: 'integer' } }, required: ['type', 'x'] },
+                { type: 'object', properties: { type: { type: 'string' }, code: { type: 'string' } }, required: ['type', 'code'] }
+            ]);
+            expect(schema.properties.values.items).to.deep.equal({
+                anyOf: [{ type: 'integer' }, { type: 'string' }, { type: 'null' }]
+            });
+            expect(schema.properties.prices.items).to.deep.equal({ type: 'number' });
+            expect(schema.properties.labels.items).to.deep.equal({ type: 'string' });
+        });
+
+        it('should keep literal enums apart from plain strings in array items', () => {
+            const schema = generateJsonSchema({ tags: ['low | high', 'custom', 'https://example.com'] });
+
+            expect(schema.properties.tags.items).to.deep.equal({
+                anyOf: [{ type: 'string', enum: ['low', 'high'] }, { type: 'string' }]
+            });
+        });
+
         it('should handle custom descriptions', () => {
             const example = { name: 'Alice', age: 30 };
             const descriptions = {
@@ -326,6 +387,20 @@ describe('JSON Schema and Structured Output Tests', () => {
             expect(schema.required).to.deep.equal([]);
         });
 
+        it('should support minimum, maximum, minLength, pattern and examples', () => {
+            const example = { age: 30, code: 'ABC', city: 'Paris' };
+            const descriptions = {
+                age: { description: 'Age in years', minimum: 0, maximum: 120 },
+                code: { minLength: 3, maxLength: 3, pattern: '^[A-Z]+$' },
+                city: { examples: ['Paris', 'Lima'] }
+            };
+            const schema = generateJsonSchema(example, descriptions);
+
+            expect(schema.properties.age).to.deep.equal({ type: 'integer', description: 'Age in years', minimum: 0, maximum: 120 });
+            expect(schema.properties.code).to.deep.equal({ type: 'string', minLength: 3, maxLength: 3, pattern: '^[A-Z]+$' });
+            expect(schema.properties.city).to.deep.equal({ type: 'string', examples: ['Paris', 'Lima'] });
+        });
+
         it('should not double-add null to type', () => {
             const example = { status: 'active' };
             const descriptions = {
@@ -406,7 +481,8 @@ describe('JSON Schema and Structured Output Tests', () => {
             expect(result.countries).to.have.length(3);
             expect(capturedBody).to.be.an('object');
             expect(capturedBody.text).to.be.an('object');
-            expect(capturedBody.text.format).to.deep.equal({ type: 'json_object' });
+            expect(capturedBody.text.format).to.include({ type: 'json_schema', name: 'json_output', strict: true });
+            expect(capturedBody.text.format.schema.required).to.deep.equal(['countries']);
             expect(capturedBody.input).to.be.an('array').that.is.not.empty;
             expect(capturedBody.input[0].role).to.equal('developer');
             expect(capturedBody.input[0].content[0].text).to.include('JSON');
@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+
+describe('Limiter Groups', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+    });
+
+    function createModel(config = {}) {
+        return ModelMix.new({
+            config: { debug: false, bottleneck: { maxConcurrent: 1, minTime: 0 }, ...config }
+        }).gpt5mini();
+    }
+
+    it('should share one limiter between instances and new() children of a group', () => {
+        const first = createModel({ limiterGroup: 'group-share' });
+        const second = createModel({ limiterGroup: 'group-share' });
+        const child = first.new();
+        const other = createModel({ limiterGroup: 'group-other' });
+        const solo = createModel();
+
+        expect(second.limiter).to.equal(first.limiter);
+        expect(child.limiter).to.equal(first.limiter);
+        expect(ModelMix.getLimiterGroup('group-share')).to.equal(first.limiter);
+        expect(other.limiter).to.not.equal(first.limiter);
+        expect(solo.limiter).to.not.equal(first.limiter);
+        expect(solo.new().limiter).to.not.equal(solo.limiter);
+        expect(ModelMix.getLimiterGroup('group-missing')).to.equal(null);
+    });
+
+    it('should keep the settings of the first member', () => {
+        createModel({ limiterGroup: 'group-settings' });
+        const late = createModel({ limiterGroup: 'group-settings', bottleneck: { maxConcurrent: 4, minTime: 0 } });
+        expect(late.limiter._store.storeOptions.maxConcurrent).to.equal(1);
+    });
+
+    it('should queue calls from separate instances on the group limiter', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .delay(50)
+            .reply(200, openAIReply('Hi'));
+
+        const startedAt = Date.now();
+        await Promise.all([
+            createModel({ limiterGroup: 'group-queue' }).addText('One').message(),
+            createModel({ limiterGroup: 'group-queue' }).addText('Two').message()
+        ]);
+        expect(Date.now() - startedAt).to.be.at.least(100);
+    });
+
+    it('should validate the group name', () => {
+        expect(() => createModel({ limiterGroup: '' })).to.throw(TypeError, 'config.limiterGroup');
+        expect(() => createModel({ limiterGroup: 42 })).to.throw(TypeError, 'config.limiterGroup');
+    });
+});
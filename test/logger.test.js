@@ -0,0 +1,166 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, createJsonLogger } = require('../index.js');
+
+describe('Structured Logger', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const apiKey = 'sk-logger-secret-key';
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    });
+
+    function createRecorder() {
+        const entries = [];
+        const record = level => entry => entries.push({ level, ...entry });
+        return {
+            entries,
+            logger: { debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') },
+            find: event => entries.find(entry => entry.event === event)
+        };
+    }
+
+    function createModel(debug, logger) {
+        return ModelMix.new({
+            config: { debug, logger, bottleneck: { minTime: 0 } }
+        }).gpt5nano({ config: { apiKey } }).gpt5mini({ config: { apiKey } });
+    }
+
+    describe('createJsonLogger', () => {
+        it('should write one JSON object per line', () => {
+            const lines = [];
+            const logger = createJsonLogger({ write: line => lines.push(line) });
+            const details = { status: 'bad' };
+            details.self = details;
+
+            logger.warn({ event: 'attempt.failure', error: new Error('boom'), details });
+
+            expect(lines).to.have.length(1);
+            const entry = JSON.parse(lines[0]);
+            expect(entry).to.include({ level: 'warn', name: 'modelmix', event: 'attempt.failure' });
+            expect(Date.parse(entry.time)).to.be.a('number').and.not.NaN;
+            expect(entry.error).to.include({ name: 'Error', message: 'boom' });
+            expect(entry.details).to.deep.equal({ status: 'bad', self: '[Circular]' });
+        });
+
+        it('should write warnings and errors to stderr by default', () => {
+            const out = sinon.stub(console, 'log');
+            const err = sinon.stub(console, 'error');
+            const logger = createJsonLogger();
+
+            logger.info({ event: 'attempt.start' });
+            logger.error({ event: 'chain.failure' });
+            out.restore();
+            err.restore();
+
+            expect(out.calledOnce).to.equal(true);
+            expect(JSON.parse(out.firstCall.args[0])).to.include({ level: 'info', event: 'attempt.start' });
+            expect(err.calledOnce).to.equal(true);
+            expect(JSON.parse(err.firstCall.args[0])).to.include({ level: 'error', event: 'chain.failure' });
+        });
+    });
+
+    describe('Integration', () => {
+        it('should stay silent at debug 0 and log attempts at debug 1', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .times(2)
+                .reply(200, openAIReply('Hi'));
+
+            const silent = createRecorder();
+            await createModel(0, silent.logger).addText('Hello').message();
+            expect(silent.entries).to.deep.equal([]);
+
+            const minimal = createRecorder();
+            await createModel(1, minimal.logger).addText('Hello').message();
+            expect(minimal.entries.map(entry => `${entry.level} ${entry.event}`)).to.deep.equal([
+                'info attempt.start',
+                'info attempt.success'
+            ]);
+            expect(minimal.find('attempt.start')).to.include({ provider: 'openai', model: 'gpt-5-nano', kind: 'primary' });
+            expect(minimal.find('attempt.start')).to.not.have.property('input');
+            expect(minimal.find('attempt.success')).to.not.have.property('tokens');
+        });
+
+        it('should only log a call failing on every model at debug 0', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(500, { error: { message: 'Server down' } })
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('From backup'))
+                .post('/v1/chat/completions')
+                .times(2)
+                .reply(500, { error: { message: 'Server down' } });
+
+            const silent = createRecorder();
+            const model = ModelMix.new({
+                config: { debug: 0, logger: silent.logger, bottleneck: { minTime: 0 }, retry: { enabled: false } }
+            }).gpt5nano({ config: { apiKey } }).gpt5mini({ config: { apiKey } });
+
+            expect(await model.new().addText('Hello').message()).to.equal('From backup');
+            expect(silent.entries).to.deep.equal([]);
+
+            await model.new().addText('Hello').message().then(
+                () => expect.fail('Should have thrown'),
+                error => expect(error.name).to.equal('ModelMixFallbackError')
+            );
+            expect(silent.entries.map(entry => `${entry.level} ${entry.event}`)).to.deep.equal(['error chain.failure']);
+            expect(silent.find('chain.failure')).to.include({ attempts: 2 });
+        });
+
+        it('should add summaries at debug 2, truncated until debug 3', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .times(2)
+                .reply(200, openAIReply('x'.repeat(2000)));
+
+            const summary = createRecorder();
+            await createModel(2, summary.logger).addText('Hello').message();
+            expect(summary.find('attempt.start')).to.include({ input: 'Hello', messageCount: 1 });
+            expect(summary.find('attempt.success').tokens).to.include({ input: 1000, output: 100 });
+            expect(summary.find('attempt.success').cost).to.be.above(0);
+            expect(summary.find('attempt.success').message).to.have.length(1503);
+
+            const full = createRecorder();
+            await createModel(3, full.logger).addText('Hello').message();
+            expect(full.find('attempt.success').message).to.have.length(2000);
+            expect(full.find('attempt.response')).to.equal(undefined);
+        });
+
+        it('should log failures and raw details at debug 4 without the API key', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(401, { error: { message: `Incorrect API key provided: ${apiKey}` } })
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Hi'));
+
+            const verbose = createRecorder();
+            await createModel(4, verbose.logger).addText('Hello').message();
+
+            const failure = verbose.find('attempt.failure');
+            expect(failure).to.include({ level: 'warn', model: 'gpt-5-nano', statusCode: 401, action: 'fallback', next: 'gpt-5-mini' });
+            expect(verbose.find('provider.request').options.model).to.equal('gpt-5-nano');
+            expect(verbose.find('attempt.response').response.choices[0].message.content).to.equal('Hi');
+            expect(JSON.stringify(verbose.entries)).to.not.include(apiKey);
+        });
+
+        it('should validate the logger', async () => {
+            const model = createModel(1, { info() {} }).addText('Hello');
+            await model.message().then(
+                () => expect.fail('Should have thrown'),
+                error => expect(error.message).to.include('config.logger')
+            );
+        });
+    });
+});
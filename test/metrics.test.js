@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, MetricsCollector } = require('../index.js');
+
+describe('Prometheus Metrics', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: {
+            prompt_tokens: 1000,
+            completion_tokens: 100,
+            total_tokens: 1100,
+            prompt_tokens_details: { cached_tokens: 200 }
+        }
+    });
+
+    function sample(text, line) {
+        const match = text.split('\n').find(row => row.startsWith(`${line} `));
+        return match === undefined ? undefined : Number(match.slice(line.length + 1));
+    }
+
+    it('should aggregate requests, errors, latency, tokens and cost per provider and model', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(503, { error: { message: 'Unavailable' } })
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('From fallback'));
+
+        const metrics = new MetricsCollector();
+        const model = ModelMix.new({
+            config: {
+                debug: false,
+                bottleneck: { minTime: 0 },
+                retry: { enabled: true, retries: 1, baseDelayMs: 1, maxDelayMs: 1, jitter: 0 }
+            }
+        }).gpt5nano().gpt5mini();
+        metrics.attach(model);
+
+        expect(await model.addText('Hello').message()).to.equal('From fallback');
+
+        const text = metrics.render();
+        const nano = 'provider="openai",model="gpt-5-nano"';
+        const mini = 'provider="openai",model="gpt-5-mini"';
+        expect(sample(text, `modelmix_requests_total{${nano},outcome="error"}`)).to.equal(2);
+        expect(sample(text, `modelmix_errors_total{${nano},status_code="503"}`)).to.equal(2);
+        expect(sample(text, `modelmix_requests_total{${mini},outcome="success"}`)).to.equal(1);
+        expect(sample(text, `modelmix_tokens_total{${mini},type="input"}`)).to.equal(1000);
+        expect(sample(text, `modelmix_tokens_total{${mini},type="output"}`)).to.equal(100);
+        expect(sample(text, `modelmix_tokens_total{${mini},type="cached"}`)).to.equal(200);
+        expect(sample(text, `modelmix_cost_usd_total{${mini}}`)).to.be.greaterThan(0);
+        expect(sample(text, `modelmix_request_duration_seconds_bucket{${mini},le="+Inf"}`)).to.equal(1);
+        expect(sample(text, `modelmix_request_duration_seconds_count{${mini}}`)).to.equal(1);
+        expect(text).to.not.include(`modelmix_request_duration_seconds_count{${nano}}`);
+    });
+
+    it('should render the text exposition format with cumulative buckets', () => {
+        const metrics = new MetricsCollector({ prefix: 'llm', buckets: [1, 0.5] });
+        metrics.recordSuccess({ provider: 'anthropic', model: 'claude "x"', elapsedMs: 300, tokens: { input: 10, output: 5, thinking: 7 }, cost: 0.25 });
+        metrics.recordSuccess({ provider: 'anthropic', model: 'claude "x"', elapsedMs: 800, tokens: { input: 10, output: 5 }, cost: 0.25 });
+        metrics.recordError({ provider: 'anthropic', model: 'claude "x"', statusCode: null });
+
+        const text = metrics.render();
+        const labels = 'provider="anthropic",model="claude \\"x\\""';
+        expect(text).to.include('# HELP llm_request_duration_seconds ');
+        expect(text).to.include('# TYPE llm_request_duration_seconds histogram');
+        expect(text).to.include('# TYPE llm_requests_total counter');
+        expect(sample(text, `llm_request_duration_seconds_bucket{${labels},le="0.5"}`)).to.equal(1);
+        expect(sample(text, `llm_request_duration_seconds_bucket{${labels},le="1"}`)).to.equal(2);
+        expect(sample(text, `llm_request_duration_seconds_sum{${labels}}`)).to.be.closeTo(1.1, 1e-9);
+        expect(sample(text, `llm_tokens_total{${labels},type="thinking"}`)).to.equal(7);
+        expect(sample(text, `llm_cost_usd_total{${labels}}`)).to.equal(0.5);
+        expect(sample(text, `llm_errors_total{${labels},status_code="none"}`)).to.equal(1);
+        expect(text.endsWith('\n')).to.equal(true);
+        expect(MetricsCollector.contentType).to.match(/^text\/plain; version=0\.0\.4/);
+    });
+
+    it('should count cache hits without latency, tokens or cost', () => {
+        const metrics = new MetricsCollector();
+        metrics.recordSuccess({ provider: 'openai', model: 'gpt-5-mini', elapsedMs: 1, tokens: { input: 10 }, cost: 1, cached: true });
+
+        const text = metrics.render();
+        expect(sample(text, 'modelmix_requests_total{provider="openai",model="gpt-5-mini",outcome="cached"}')).to.equal(1);
+        expect(text).to.not.include('modelmix_tokens_total{');
+        expect(text).to.not.include('modelmix_cost_usd_total{');
+        expect(text).to.not.include('modelmix_request_duration_seconds_count{');
+    });
+
+    it('should stop collecting after detach and clear on reset', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('Hi'));
+
+        const metrics = new MetricsCollector();
+        const model = ModelMix.new({ config: { debug: false, bottleneck: { minTime: 0 } } }).gpt5mini();
+        metrics.attach(model).attach(model).detach(model);
+
+        await model.addText('Hello').message();
+
+        expect(metrics.render()).to.not.include('modelmix_requests_total{');
+        metrics.recordError({ provider: 'openai', model: 'gpt-5-mini', statusCode: 429 });
+        expect(metrics.reset().render()).to.not.include('modelmix_errors_total{');
+    });
+
+    it('should reject invalid options', () => {
+        expect(() => new MetricsCollector({ prefix: 'bad-prefix' })).to.throw(TypeError);
+        expect(() => new MetricsCollector({ buckets: [] })).to.throw(TypeError);
+        expect(() => new MetricsCollector({ buckets: [0] })).to.throw(TypeError);
+    });
+});
@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+
+describe('Priority Scheduling', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    function createModel(config = {}) {
+        return ModelMix.new({
+            config: { debug: false, bottleneck: { maxConcurrent: 1, minTime: 0 }, ...config }
+        }).gpt5mini();
+    }
+
+    function replyWithPrompt(order) {
+        return function (uri, body) {
+            const prompt = body.messages.at(-1).content[0].text;
+            order.push(prompt);
+            return {
+                choices: [{ message: { role: 'assistant', content: prompt } }],
+                usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+            };
+        };
+    }
+
+    it('should run higher priority calls first and report the queue per priority', async () => {
+        const order = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(3)
+            .delay(100)
+            .reply(200, replyWithPrompt(order));
+
+        const model = createModel({ limiterGroup: 'priority-order' });
+        const busy = model.new().addText('Busy').message();
+        const batch = model.new().addText('Batch').message({ priority: 9 });
+        const user = model.new().addText('User').raw({ priority: 0 });
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        const state = model.getQueueState();
+        expect(state).to.include({ queued: 2, running: 1 });
+        expect(state.byPriority[0]).to.equal(1);
+        expect(state.byPriority[9]).to.equal(1);
+        expect(state.byPriority[5]).to.equal(0);
+
+        await Promise.all([busy, batch, user]);
+        expect(order).to.deep.equal(['Busy', 'User', 'Batch']);
+    });
+
+    it('should take the instance priority and let a weight use up the capacity', async () => {
+        const order = [];
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(3)
+            .delay(100)
+            .reply(200, replyWithPrompt(order));
+
+        const model = createModel({ limiterGroup: 'priority-weight', bottleneck: { maxConcurrent: 2, minTime: 0 } });
+        const heavy = model.new().addText('Heavy').message({ weight: 2 });
+        const batch = model.new({ config: { priority: 8 } }).addText('Batch').message();
+        const normal = model.new().addText('Normal').message();
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        expect(model.getQueueState()).to.include({ queued: 2, running: 1 });
+        await Promise.all([heavy, batch, normal]);
+        expect(order).to.deep.equal(['Heavy', 'Normal', 'Batch']);
+    });
+
+    it('should run the tool rounds of a weighted call in its own job', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, {
+                choices: [{
+                    message: {
+                        role: 'assistant',
+                        content: null,
+                        tool_calls: [{ id: 'call_add', type: 'function', function: { name: 'add', arguments: '{"a":2,"b":2}' } }]
+                    }
+                }],
+                usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+            })
+            .post('/v1/chat/completions')
+            .reply(200, {
+                choices: [{ message: { role: 'assistant', content: 'It is 4.' } }],
+                usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+            });
+
+        const model = createModel({ limiterGroup: 'priority-tools', bottleneck: { maxConcurrent: 8, minTime: 0 } });
+        model.addTool({
+            name: 'add',
+            description: 'Adds two numbers.',
+            inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } }
+        }, ({ a, b }) => a + b);
+
+        expect(await model.addText('2 + 2?').message({ weight: 5 })).to.equal('It is 4.');
+        expect(model.getQueueState()).to.include({ queued: 0, running: 0 });
+    });
+
+    it('should validate priority and weight', async () => {
+        const model = createModel().addText('Hello');
+        await model.message({ priority: 10 }).then(
+            () => expect.fail('Should have thrown'),
+            error => expect(error.message).to.include('priority must be an integer')
+        );
+        await model.message({ weight: -1 }).then(
+            () => expect.fail('Should have thrown'),
+            error => expect(error.message).to.include('weight must be a non-negative number')
+        );
+    });
+});
@@ -5,6 +5,12 @@ const api = require('../index.js');
 describe('public module boundary', () => {
     it('preserves the CommonJS export surface', () => {
         expect(Object.keys(api).sort()).to.deep.equal([
+            'AbortError',
+            'BudgetExceededError',
+            'FileCacheStore',
+            'JsonValidationError',
+            'MemoryCacheStore',
+            'MetricsCollector',
             'MixAnthropic',
             'MixCerebras',
             'MixCustom',
@@ -27,8 +33,12 @@ describe('public module boundary', () => {
             'MixPerplexity',
             'MixTogether',
             'ModelMix',
+            'ModelMixFallbackError',
             'ModerationMix',
+            'TimeoutError',
+            'UsageLedger',
             'applyUnifiedEffort',
+            'createJsonLogger',
             'normalizeEffort',
             'resolveProviderFamily'
         ]);
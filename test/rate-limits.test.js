@@ -0,0 +1,173 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+const { parseRateLimits, resolveAdaptiveLimiterConfig } = require('../lib/rate-limits');
+
+describe('Adaptive Rate Limits', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = (content, extra = {}) => ({
+        choices: [{ message: { role: 'assistant', content, ...extra } }],
+        usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+    });
+
+    describe('parseRateLimits', () => {
+        it('should read OpenAI and Groq headers with duration resets', () => {
+            const quotas = parseRateLimits({
+                headers: {
+                    'x-ratelimit-limit-requests': '500',
+                    'x-ratelimit-remaining-requests': '499',
+                    'x-ratelimit-reset-requests': '120ms',
+                    'X-RateLimit-Limit-Tokens': '200000',
+                    'x-ratelimit-remaining-tokens': '150000',
+                    'x-ratelimit-reset-tokens': '1m30s'
+                }
+            }, 1000);
+
+            expect(quotas).to.deep.equal({
+                requests: { limit: 500, remaining: 499, resetAt: 1120 },
+                tokens: { limit: 200000, remaining: 150000, resetAt: 91000 }
+            });
+        });
+
+        it('should read Anthropic headers with timestamp resets', () => {
+            const quotas = parseRateLimits({
+                headers: {
+                    'anthropic-ratelimit-requests-limit': '50',
+                    'anthropic-ratelimit-requests-remaining': '0',
+                    'anthropic-ratelimit-requests-reset': '2026-01-01T00:00:30Z',
+                    'anthropic-ratelimit-input-tokens-limit': '40000',
+                    'anthropic-ratelimit-input-tokens-remaining': '1000'
+                }
+            });
+
+            expect(quotas.requests).to.deep.equal({ limit: 50, remaining: 0, resetAt: Date.parse('2026-01-01T00:00:30Z') });
+            expect(quotas.inputTokens).to.deep.equal({ limit: 40000, remaining: 1000, resetAt: null });
+            expect(quotas).to.not.have.property('tokens');
+        });
+
+        it('should read the retry delay from a Gemini error body', () => {
+            const quotas = parseRateLimits({
+                details: {
+                    error: {
+                        code: 429,
+                        details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '17s' }]
+                    }
+                }
+            }, 0);
+
+            expect(quotas).to.deep.equal({ requests: { limit: null, remaining: 0, resetAt: 17000 } });
+        });
+
+        it('should return null without rate-limit information and validate the config', () => {
+            expect(parseRateLimits({ headers: { 'content-type': 'application/json' } })).to.equal(null);
+            expect(parseRateLimits()).to.equal(null);
+            expect(() => resolveAdaptiveLimiterConfig({ tokenThreshold: 2 })).to.throw(TypeError, 'adaptiveLimiter.tokenThreshold');
+        });
+    });
+
+    describe('Integration', () => {
+        function createModel(config = {}) {
+            return ModelMix.new({
+                config: { debug: false, bottleneck: { maxConcurrent: 4, minTime: 0 }, ...config }
+            }).gpt5mini();
+        }
+
+        it('should expose the latest quotas per provider', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Hi'), {
+                    'x-ratelimit-limit-requests': '500',
+                    'x-ratelimit-remaining-requests': '42',
+                    'x-ratelimit-reset-requests': '2s'
+                });
+
+            const model = createModel();
+            const result = await model.addText('Hello').raw();
+
+            expect(result.headers['x-ratelimit-remaining-requests']).to.equal('42');
+            const state = model.getRateLimitState().openai;
+            expect(state.model).to.equal('gpt-5-mini');
+            expect(state.requests).to.include({ limit: 500, remaining: 42 });
+            expect(await model.limiter.currentReservoir()).to.equal(null);
+        });
+
+        it('should hold the limiter when the provider reports no requests left', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Hi'), {
+                    'x-ratelimit-limit-requests': '500',
+                    'x-ratelimit-remaining-requests': '0',
+                    'x-ratelimit-reset-requests': '50ms',
+                    'x-ratelimit-limit-tokens': '10000',
+                    'x-ratelimit-remaining-tokens': '100',
+                    'x-ratelimit-reset-tokens': '50ms'
+                })
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Again'));
+
+            const model = createModel({ adaptiveLimiter: { enabled: true } });
+            await model.addText('Hello').message();
+
+            expect(await model.limiter.currentReservoir()).to.equal(0);
+            expect(model.limiter._store.storeOptions.maxConcurrent).to.equal(1);
+
+            const startedAt = Date.now();
+            expect(await model.addText('Hello again').message()).to.equal('Again');
+            expect(Date.now() - startedAt).to.be.at.least(40);
+        });
+
+        it('should finish tool rounds and weighted calls while throttled', async () => {
+            const lowTokens = {
+                'x-ratelimit-limit-tokens': '10000',
+                'x-ratelimit-remaining-tokens': '100',
+                'x-ratelimit-reset-tokens': '6m0s'
+            };
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply(null, {
+                    tool_calls: [{ id: 'call_add', type: 'function', function: { name: 'add', arguments: '{"a":2,"b":2}' } }]
+                }), lowTokens)
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('It is 4.'), lowTokens)
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Heavy'));
+
+            const model = createModel({ adaptiveLimiter: { enabled: true } });
+            model.addTool({
+                name: 'add',
+                description: 'Adds two numbers.',
+                inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } }
+            }, ({ a, b }) => a + b);
+
+            expect(await model.addText('2 + 2?').message({ weight: 2 })).to.equal('It is 4.');
+            expect(model.limiter._store.storeOptions.maxConcurrent).to.equal(2);
+            expect(await model.addText('Hello').message({ weight: 3 })).to.equal('Heavy');
+            expect(model.limiter._store.storeOptions.maxConcurrent).to.equal(3);
+        });
+
+        it('should learn from the headers of a rate-limited response', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(429, { error: { message: 'Rate limit reached' } }, {
+                    'x-ratelimit-limit-tokens': '10000',
+                    'x-ratelimit-remaining-tokens': '0',
+                    'x-ratelimit-reset-tokens': '6s'
+                });
+
+            const model = createModel();
+            await model.addText('Hello').message().catch(() => {});
+
+            expect(model.getRateLimitState().openai.tokens).to.include({ limit: 10000, remaining: 0 });
+        });
+    });
+});
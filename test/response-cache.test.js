@@ -0,0 +1,197 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModelMix, MemoryCacheStore, FileCacheStore } = require('../index.js');
+const { buildCacheKey, readCachedResult, stableStringify, writeCachedResult } = require('../lib/response-cache');
+
+describe('Response Cache', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    });
+
+    function createModel(responseCache = {}) {
+        return ModelMix.new({
+            config: { debug: false, responseCache: { enabled: true, ...responseCache } }
+        }).gpt5mini();
+    }
+
+    describe('Keys and stores', () => {
+        it('should hash equal requests equally regardless of key order', () => {
+            expect(stableStringify({ b: 1, a: [{ d: 2, c: undefined }] })).to.equal('{"a":[{"d":2}],"b":1}');
+            const request = { provider: 'MixOpenAI', model: 'gpt-5-mini', system: 'S', options: { messages: [], temperature: 1 } };
+            const key = buildCacheKey(request);
+            expect(key).to.match(/^[0-9a-f]{64}$/);
+            expect(buildCacheKey({ ...request, options: { temperature: 1, messages: [], stream: false } })).to.equal(key);
+            expect(buildCacheKey({ ...request, system: 'Other' })).to.not.equal(key);
+        });
+
+        it('should evict the least recently used entry', async () => {
+            const store = new MemoryCacheStore({ maxEntries: 2 });
+            await store.set('a', 1);
+            await store.set('b', 2);
+            await store.get('a');
+            await store.set('c', 3);
+            expect(await store.get('a')).to.equal(1);
+            expect(await store.get('b')).to.equal(undefined);
+            expect(await store.get('c')).to.equal(3);
+        });
+
+        it('should expire entries after their TTL', async () => {
+            const store = new MemoryCacheStore();
+            await writeCachedResult(store, 'key', { message: 'Hi' }, 1000, 5000);
+            expect((await readCachedResult(store, 'key', 5999)).result.message).to.equal('Hi');
+            expect(await readCachedResult(store, 'key', 6000)).to.equal(null);
+            expect(await store.get('key')).to.equal(undefined);
+        });
+
+        it('should leave response headers out of stored entries', async () => {
+            const store = new MemoryCacheStore();
+            await writeCachedResult(store, 'key', { message: 'Hi', headers: { 'x-ratelimit-remaining-requests': '99' } }, 0);
+            expect((await readCachedResult(store, 'key')).result).to.deep.equal({ message: 'Hi' });
+        });
+
+        it('should persist entries as files', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modelmix-cache-'));
+            try {
+                const store = new FileCacheStore({ dir });
+                await store.set('abc', { result: { message: 'Saved' } });
+                expect(await new FileCacheStore({ dir }).get('abc')).to.deep.equal({ result: { message: 'Saved' } });
+                expect(await store.get('missing')).to.equal(undefined);
+                await store.delete('abc');
+                expect(fs.readdirSync(dir)).to.deep.equal([]);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('Integration', () => {
+        it('should serve identical requests from the cache at zero cost', async () => {
+            const model = createModel();
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .once()
+                .reply(200, openAIReply('Cached answer'));
+
+            const first = await model.new().addText('Hello').raw();
+            const second = await model.new().addText('Hello').raw();
+
+            expect(first.cached).to.equal(undefined);
+            expect(first.tokens.cost).to.be.above(0);
+            expect(second.message).to.equal('Cached answer');
+            expect(second.cached).to.equal(true);
+            expect(second.tokens.input).to.equal(1000);
+            expect(second.tokens.cost).to.equal(0);
+            expect(second.tokens.costBreakdown.total).to.equal(0);
+            expect(nock.isDone()).to.equal(true);
+        });
+
+        it('should hand out copies of cached results', async () => {
+            const store = new MemoryCacheStore();
+            const model = createModel({ store });
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .once()
+                .reply(200, openAIReply('Cached answer'));
+
+            await model.new().addText('Hello').raw();
+            const hit = await model.new().addText('Hello').raw();
+            hit.message = 'Changed by the caller';
+            hit.tokens.input = 0;
+
+            const again = await model.new().addText('Hello').raw();
+            expect(again.message).to.equal('Cached answer');
+            expect(again.tokens.input).to.equal(1000);
+            const [entry] = store.entries.values();
+            expect(entry.result).to.not.have.property('cached');
+            expect(entry.result.tokens.cost).to.be.above(0);
+        });
+
+        it('should miss when the prompt or options differ', async () => {
+            const model = createModel();
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('One'))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Two'));
+
+            expect(await model.new().addText('Hello').message()).to.equal('One');
+            expect(await model.new({ options: { temperature: 0 } }).addText('Hello').message()).to.equal('Two');
+        });
+
+        it('should honor the per-call bypass flags', async () => {
+            const model = createModel();
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Original'))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Uncached'))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Refreshed'));
+
+            expect(await model.new().addText('Hello').message()).to.equal('Original');
+            expect(await model.new().addText('Hello').message({ cache: false })).to.equal('Uncached');
+            expect(await model.new().addText('Hello').message()).to.equal('Original');
+            expect(await model.new().addText('Hello').message({ cache: 'refresh' })).to.equal('Refreshed');
+            expect(await model.new().addText('Hello').message()).to.equal('Refreshed');
+            expect(() => model._responseCacheOverride('always')).to.throw(TypeError, 'cache must be');
+        });
+
+        it('should use a custom store and pass the TTL to it', async () => {
+            const store = {
+                entries: new Map(),
+                async get(key) { return this.entries.get(key); },
+                async set(key, value, { ttlMs }) { this.entries.set(key, { ...value, ttlMs }); }
+            };
+            const model = createModel({ store, ttlMs: 60000 });
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Stored'));
+
+            await model.addText('Hello').message();
+            const [entry] = store.entries.values();
+            expect(entry.ttlMs).to.equal(60000);
+            expect(entry.result.message).to.equal('Stored');
+            expect(entry.expiresAt - entry.storedAt).to.equal(60000);
+        });
+
+        it('should treat a failing store as a miss', async () => {
+            const store = {
+                async get() { throw new Error('store down'); },
+                async set() { throw new Error('store down'); }
+            };
+            const model = createModel({ store });
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('From provider'));
+
+            expect(await model.addText('Hello').message()).to.equal('From provider');
+        });
+
+        it('should not cache while disabled', async () => {
+            const model = ModelMix.new({ config: { debug: false } }).gpt5mini();
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('One'))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Two'));
+
+            expect(await model.new().addText('Hello').message()).to.equal('One');
+            expect(await model.new().addText('Hello').message()).to.equal('Two');
+        });
+    });
+});
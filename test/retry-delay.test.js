@@ -0,0 +1,115 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+const { computeRetryDelay, getRetryAfterMs, parseResetDuration } = require('../lib/retry-delay');
+
+describe('Retry-After and rate-limit headers', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const now = Date.parse('2026-01-01T00:00:00Z');
+
+    describe('getRetryAfterMs', () => {
+        it('should read Retry-After in seconds or as an HTTP date', () => {
+            expect(getRetryAfterMs({ headers: { 'retry-after': '3' } }, now)).to.equal(3000);
+            expect(getRetryAfterMs({ headers: { 'Retry-After': 'Thu, 01 Jan 2026 00:00:05 GMT' } }, now)).to.equal(5000);
+            expect(getRetryAfterMs({ headers: { 'retry-after': 'Wed, 31 Dec 2025 23:59:00 GMT' } }, now)).to.equal(0);
+        });
+
+        it('should prefer retry-after-ms over Retry-After', () => {
+            const error = { headers: { 'retry-after-ms': '250', 'retry-after': '3' } };
+            expect(getRetryAfterMs(error, now)).to.equal(250);
+        });
+
+        it('should use the reset of the exhausted OpenAI-style bucket', () => {
+            const error = {
+                response: {
+                    headers: {
+                        'x-ratelimit-remaining-requests': '0',
+                        'x-ratelimit-reset-requests': '1.5s',
+                        'x-ratelimit-remaining-tokens': '1200',
+                        'x-ratelimit-reset-tokens': '6m0s'
+                    }
+                }
+            };
+            expect(getRetryAfterMs(error, now)).to.equal(1500);
+        });
+
+        it('should use the longest Anthropic reset when no bucket reports exhaustion', () => {
+            const error = {
+                headers: {
+                    'anthropic-ratelimit-requests-reset': '2026-01-01T00:00:02Z',
+                    'anthropic-ratelimit-input-tokens-reset': '2026-01-01T00:00:07Z'
+                }
+            };
+            expect(getRetryAfterMs(error, now)).to.equal(7000);
+        });
+
+        it('should return null without usable headers', () => {
+            expect(getRetryAfterMs({ statusCode: 503 }, now)).to.equal(null);
+            expect(getRetryAfterMs({ headers: { 'retry-after': 'soon' } }, now)).to.equal(null);
+        });
+
+        it('should parse reset durations', () => {
+            expect(parseResetDuration('20ms')).to.equal(20);
+            expect(parseResetDuration('1h2m3.5s')).to.equal(3723500);
+            expect(parseResetDuration('2')).to.equal(2000);
+            expect(parseResetDuration('later')).to.equal(null);
+        });
+    });
+
+    describe('computeRetryDelay', () => {
+        it('should cap the provider hint at maxDelayMs', () => {
+            const error = { headers: { 'retry-after': '60' } };
+            expect(computeRetryDelay(error, 0, { baseDelayMs: 100, maxDelayMs: 5000 })).to.equal(5000);
+        });
+
+        it('should fall back to exponential backoff and add jitter', () => {
+            const options = { baseDelayMs: 100, maxDelayMs: 5000, jitter: 0.5 };
+            expect(computeRetryDelay({}, 2, options, () => 0)).to.equal(400);
+            expect(computeRetryDelay({}, 2, options, () => 1)).to.equal(600);
+            expect(computeRetryDelay({ headers: { 'retry-after-ms': '200' } }, 2, options, () => 0.5)).to.equal(250);
+        });
+    });
+
+    describe('Retry loop', () => {
+        it('should wait for Retry-After before retrying the same model', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, retry: { enabled: true, retries: 1, baseDelayMs: 0, maxDelayMs: 2000, jitter: 0 } }
+            }).gpt5mini().addText('Hello');
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(429, { error: 'Rate limited' }, { 'Retry-After': '0.2' })
+                .post('/v1/chat/completions')
+                .reply(200, { choices: [{ message: { role: 'assistant', content: 'After waiting' } }] });
+
+            const startedAt = Date.now();
+            expect(await model.message()).to.equal('After waiting');
+            expect(Date.now() - startedAt).to.be.at.least(200);
+        });
+
+        it('should keep response headers on provider errors', async () => {
+            const model = ModelMix.new({ config: { debug: false } }).gpt5mini().addText('Hello');
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(429, { error: 'Rate limited' }, { 'x-ratelimit-reset-requests': '2s' });
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.cause.headers['x-ratelimit-reset-requests']).to.equal('2s');
+            }
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+const {
+    createModelStats,
+    orderByScore,
+    orderByWeights,
+    resolveRoutingConfig
+} = require('../lib/routing');
+
+describe('Routing', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+    });
+    const anthropicReply = text => ({
+        content: [{ type: 'text', text }],
+        usage: { input_tokens: 12, output_tokens: 4 }
+    });
+    const candidates = keys => keys.map((key, index) => ({ model: { key }, index }));
+    const order = entries => entries.map(entry => entry.model.key);
+
+    describe('resolveRoutingConfig', () => {
+        it('should derive the strategy from roundRobin', () => {
+            expect(resolveRoutingConfig(undefined, false).strategy).to.equal('fallback');
+            expect(resolveRoutingConfig({}, true).strategy).to.equal('round-robin');
+            expect(resolveRoutingConfig({ strategy: 'score' }, true).strategy).to.equal('score');
+        });
+
+        it('should reject invalid settings', () => {
+            expect(() => resolveRoutingConfig({ strategy: 'random' })).to.throw(TypeError, 'routing.strategy');
+            expect(() => resolveRoutingConfig({ strategy: 'weighted' })).to.throw(TypeError, 'routing.weights is required');
+            expect(() => resolveRoutingConfig({ smoothing: 0 })).to.throw(TypeError, 'routing.smoothing');
+        });
+    });
+
+    describe('orderByWeights', () => {
+        it('should draw models proportionally to their weights', () => {
+            const weights = { a: 1, b: 3 };
+            expect(order(orderByWeights(candidates(['a', 'b']), weights, () => 0.1))).to.deep.equal(['a', 'b']);
+            expect(order(orderByWeights(candidates(['a', 'b']), weights, () => 0.5))).to.deep.equal(['b', 'a']);
+        });
+
+        it('should accept weights by index and keep unweighted models last', () => {
+            const ordered = orderByWeights(candidates(['a', 'b', 'c']), [0, 2], () => 0);
+            expect(order(ordered)).to.deep.equal(['b', 'a', 'c']);
+            expect(ordered.map(entry => entry.weight)).to.deep.equal([2, 0, 0]);
+        });
+
+        it('should reject negative weights', () => {
+            expect(() => orderByWeights(candidates(['a']), { a: -1 })).to.throw(TypeError, 'non-negative');
+        });
+    });
+
+    describe('createModelStats', () => {
+        it('should keep exponentially weighted averages', () => {
+            const stats = createModelStats();
+            stats.recordSuccess({ latencyMs: 1000, cost: 0.01 }, 0.5);
+            stats.recordSuccess({ latencyMs: 2000 }, 0.5);
+            stats.recordFailure(0.5);
+
+            expect(stats.snapshot()).to.deep.equal({
+                latencyMs: 1500,
+                errorRate: 0.5,
+                cost: 0.01,
+                samples: 3,
+                failures: 1
+            });
+        });
+    });
+
+    describe('orderByScore', () => {
+        it('should put the lowest score first and try unmeasured models', () => {
+            const slow = createModelStats();
+            slow.recordSuccess({ latencyMs: 4000 }, 1);
+            const flaky = createModelStats();
+            flaky.recordSuccess({ latencyMs: 500 }, 1);
+            flaky.recordFailure(1);
+            const fast = createModelStats();
+            fast.recordSuccess({ latencyMs: 500 }, 1);
+            const stats = { slow, flaky, fast, fresh: createModelStats() };
+
+            const ordered = orderByScore(candidates(['slow', 'flaky', 'fast', 'fresh']), model => stats[model.key].snapshot());
+            expect(order(ordered)).to.deep.equal(['fresh', 'fast', 'slow', 'flaky']);
+            expect(ordered[1].score).to.equal(0.5);
+        });
+
+        it('should accept a custom score function', () => {
+            const score = (stats, model) => (model.key === 'b' ? 0 : 1);
+            const ordered = orderByScore(candidates(['a', 'b']), () => createModelStats().snapshot(), score);
+            expect(order(ordered)).to.deep.equal(['b', 'a']);
+        });
+    });
+
+    describe('Integration', () => {
+        it('should start on the model picked by the weights', async () => {
+            sinon.stub(Math, 'random').returns(0.9);
+            const model = ModelMix.new({
+                config: { debug: false, routing: { strategy: 'weighted', weights: [1, 1] } }
+            }).gpt5mini().sonnet46().addText('Hello');
+
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, anthropicReply('From Claude'));
+
+            expect(await model.message()).to.equal('From Claude');
+            expect(model.getRoutingState().strategy).to.equal('weighted');
+            expect(model.getRoutingState().order.map(entry => entry.key)).to.deep.equal(['claude-sonnet-4-6', 'gpt-5-mini']);
+        });
+
+        it('should move away from a failing model in score mode', async () => {
+            const base = ModelMix.new({
+                config: { debug: false, max_history: -1, routing: { strategy: 'score', smoothing: 0.5 } }
+            }).gpt5mini().sonnet46();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(500, { error: 'Server down' });
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .times(2)
+                .reply(200, anthropicReply('From Claude'));
+
+            expect(await base.new().addText('First').message()).to.equal('From Claude');
+
+            const second = base.new().addText('Second');
+            expect(await second.message()).to.equal('From Claude');
+            expect(second.getRoutingState().order[0].key).to.equal('claude-sonnet-4-6');
+
+            const [openai, claude] = second.getRoutingState().models;
+            expect(openai).to.include({ key: 'gpt-5-mini', errorRate: 1, samples: 1, failures: 1 });
+            expect(claude).to.include({ key: 'claude-sonnet-4-6', errorRate: 0, samples: 2, failures: 0 });
+            expect(claude.latencyMs).to.be.a('number');
+        });
+
+        it('should keep round-robin rotation for roundRobin: true', async () => {
+            const model = ModelMix.new({
+                config: { debug: false, max_history: -1, roundRobin: true }
+            }).gpt5mini().sonnet46();
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('From OpenAI'));
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, anthropicReply('From Claude'));
+
+            expect(await model.addText('One').message()).to.equal('From OpenAI');
+            expect(await model.addText('Two').message()).to.equal('From Claude');
+            expect(model.getRoutingState().strategy).to.equal('round-robin');
+        });
+    });
+});
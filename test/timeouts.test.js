@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { AbortError, MixCustom, ModelMix, TimeoutError } = require('../index.js');
+
+function createProvider(handler) {
+    const provider = new MixCustom();
+    provider.create = handler;
+    return provider;
+}
+
+const hang = () => new Promise(() => {});
+
+describe('Timeouts and Deadlines', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    describe('timeoutMs', () => {
+        it('should fall back when an attempt hangs', async () => {
+            const model = ModelMix.new({ config: { debug: false, timeoutMs: 100 } })
+                .gpt5mini().sonnet46().addText('Hello');
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .delay(2000)
+                .reply(200, { choices: [{ message: { role: 'assistant', content: 'Too late' } }] });
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, { content: [{ type: 'text', text: 'From Claude' }] });
+
+            const startedAt = Date.now();
+            expect(await model.message()).to.equal('From Claude');
+            expect(Date.now() - startedAt).to.be.below(1000);
+        });
+
+        it('should time out providers that ignore the abort signal', async () => {
+            const model = ModelMix.new({ config: { timeoutMs: 50 } })
+                .attach('stuck', createProvider(hang))
+                .addText('Hello');
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error.cause).to.be.instanceOf(TimeoutError);
+                expect(error.cause).to.include({ scope: 'attempt', timeoutMs: 50, code: 'ETIMEDOUT' });
+                expect(error.attempts[0].message).to.equal('Attempt on stuck timed out after 50ms.');
+            }
+        });
+
+        it('should retry a timed-out attempt when retry is enabled', async () => {
+            let calls = 0;
+            const provider = createProvider(async () => {
+                calls += 1;
+                if (calls === 1) return hang();
+                return { message: 'second try', toolCalls: [] };
+            });
+            const model = ModelMix.new({
+                config: {
+                    timeoutMs: 50,
+                    retry: { enabled: true, retries: 1, baseDelayMs: 0, retryableStatusCodes: [503] }
+                }
+            }).attach('custom', provider).addText('Hello');
+
+            expect(await model.message()).to.equal('second try');
+            expect(calls).to.equal(2);
+        });
+
+        it('should count a timeout as a circuit breaker failure', async () => {
+            const model = ModelMix.new({
+                config: { timeoutMs: 20, circuitBreaker: { enabled: true, failureThreshold: 1 } }
+            })
+                .attach('stuck', createProvider(hang))
+                .attach('backup', createProvider(async () => ({ message: 'backup', toolCalls: [] })))
+                .addText('Hello');
+
+            expect(await model.message()).to.equal('backup');
+            expect(model.getCircuitBreakerState()[0].state).to.equal('open');
+        });
+
+        it('should reject invalid values', async () => {
+            const model = ModelMix.new({ config: { timeoutMs: -1 } })
+                .attach('custom', createProvider(async () => ({ message: 'ok', toolCalls: [] })))
+                .addText('Hello');
+
+            try {
+                await model.message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(TypeError);
+                expect(error.message).to.equal('config.timeoutMs must be a non-negative number.');
+            }
+        });
+    });
+
+    describe('deadlineMs', () => {
+        it('should fail the whole call without trying the remaining models', async () => {
+            const backup = sinon.stub().resolves({ message: 'unused', toolCalls: [] });
+            const model = ModelMix.new({ config: { deadlineMs: 80 } })
+                .attach('slow', createProvider(hang))
+                .attach('backup', createProvider(backup))
+                .addText('Hello');
+
+            const startedAt = Date.now();
+            try {
+                await model.message();
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(TimeoutError);
+                expect(error).to.not.be.instanceOf(AbortError);
+                expect(error).to.include({ scope: 'deadline', timeoutMs: 80 });
+                expect(error.message).to.equal('Call exceeded its deadline of 80ms.');
+            }
+            expect(Date.now() - startedAt).to.be.below(500);
+            expect(backup.called).to.equal(false);
+        });
+
+        it('should leave the remaining budget to fallbacks after per-attempt timeouts', async () => {
+            const model = ModelMix.new({ config: { timeoutMs: 50, deadlineMs: 1000 } })
+                .attach('stuck', createProvider(hang))
+                .attach('backup', createProvider(async () => ({ message: 'backup', toolCalls: [] })))
+                .addText('Hello');
+
+            expect(await model.message()).to.equal('backup');
+        });
+
+        it('should skip a retry whose backoff would pass the deadline', async () => {
+            const model = ModelMix.new({
+                config: {
+                    debug: false,
+                    deadlineMs: 1000,
+                    retry: { enabled: true, retries: 2, baseDelayMs: 5000, maxDelayMs: 5000 }
+                }
+            }).gpt5mini().sonnet46().addText('Hello');
+
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(503, { error: 'Unavailable' });
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, { content: [{ type: 'text', text: 'From Claude' }] });
+
+            const startedAt = Date.now();
+            expect(await model.message()).to.equal('From Claude');
+            expect(Date.now() - startedAt).to.be.below(1000);
+        });
+
+        it('should accept a per-call deadline through the call config', async () => {
+            const model = ModelMix.new({ config: { deadlineMs: 5000 } })
+                .attach('slow', createProvider(hang))
+                .addText('Hello');
+
+            try {
+                await model.execute({ config: { deadlineMs: 30 } });
+                expect.fail('Should have thrown');
+            } catch (error) {
+                expect(error).to.include({ name: 'TimeoutError', scope: 'deadline', timeoutMs: 30 });
+            }
+        });
+    });
+});
@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix } = require('../index.js');
+const { createTokenBucket, getTokenBuckets, reserveTokens, resolveTpmConfig } = require('../lib/token-limiter');
+
+describe('Token-per-minute Limiter', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = (content, totalTokens) => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: totalTokens - 10, completion_tokens: 10, total_tokens: totalTokens }
+    });
+
+    describe('createTokenBucket', () => {
+        it('should make callers wait for the refill once the bucket is short', () => {
+            let now = 0;
+            const bucket = createTokenBucket(60000, () => now);
+
+            expect(bucket.take(50000)).to.equal(0);
+            expect(bucket.take(20000)).to.equal(10000);
+            // Later callers queue behind the debt.
+            expect(bucket.take(1000)).to.equal(11000);
+            now = 11000;
+            expect(bucket.snapshot()).to.deep.equal({ tpm: 60000, available: 0 });
+            now = 200000;
+            expect(bucket.snapshot().available).to.equal(60000);
+        });
+
+        it('should follow a changed limit', () => {
+            let now = 0;
+            const bucket = createTokenBucket(1000, () => now);
+            bucket.take(400);
+            bucket.setLimit(2000);
+            expect(bucket.snapshot()).to.deep.equal({ tpm: 2000, available: 1600 });
+        });
+    });
+
+    describe('reserveTokens', () => {
+        it('should reconcile the reservation with the actual usage', () => {
+            const tpm = resolveTpmConfig({ families: { openai: 10000 }, models: { 'm-reconcile': 5000 } });
+            const buckets = getTokenBuckets(tpm, { apiKey: 'reconcile-key', family: 'openai', model: 'm-reconcile' });
+            expect(buckets.map(bucket => bucket.scope)).to.deep.equal(['family', 'model']);
+
+            const reservation = reserveTokens(buckets, 3000);
+            expect(reservation.waitMs).to.equal(0);
+            reservation.settle(1000);
+            expect(buckets[1].bucket.snapshot().available).to.be.within(3999, 4001);
+
+            reserveTokens(buckets, 2000).release();
+            expect(buckets[1].bucket.snapshot().available).to.be.within(3999, 4001);
+        });
+
+        it('should share buckets per API key', () => {
+            const tpm = resolveTpmConfig({ models: { 'm-shared': 1000 } });
+            const first = getTokenBuckets(tpm, { apiKey: 'key-a', family: 'openai', model: 'm-shared' });
+            const same = getTokenBuckets(tpm, { apiKey: 'key-a', family: 'openai', model: 'm-shared' });
+            const other = getTokenBuckets(tpm, { apiKey: 'key-b', family: 'openai', model: 'm-shared' });
+            expect(same[0].bucket).to.equal(first[0].bucket);
+            expect(other[0].bucket).to.not.equal(first[0].bucket);
+        });
+
+        it('should validate the config', () => {
+            expect(() => resolveTpmConfig({ models: { a: 0 } })).to.throw(TypeError, 'tpm.models');
+            expect(() => resolveTpmConfig({ families: [] })).to.throw(TypeError, 'tpm.families');
+        });
+    });
+
+    describe('Integration', () => {
+        function createModel(apiKey) {
+            return ModelMix.new({
+                config: {
+                    debug: false,
+                    bottleneck: { maxConcurrent: 8, minTime: 0 },
+                    tpm: { models: { 'gpt-5-mini': 60000 }, reserveOutput: false }
+                }
+            }).gpt5mini({ config: { apiKey } });
+        }
+
+        it('should delay calls once the actual usage drained the shared bucket', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Big', 60200))
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Small', 20));
+
+            expect(await createModel('tpm-integration-key').addText('Hello').message()).to.equal('Big');
+
+            const startedAt = Date.now();
+            const second = createModel('tpm-integration-key');
+            expect(await second.addText('Hello').message()).to.equal('Small');
+            expect(Date.now() - startedAt).to.be.at.least(150);
+
+            const [state] = second.getTokenLimiterState();
+            expect(state.key).to.equal('gpt-5-mini');
+            expect(state.buckets).to.have.length(1);
+            expect(state.buckets[0]).to.include({ scope: 'model', name: 'gpt-5-mini', tpm: 60000 });
+        });
+
+        it('should wait for the refill before taking a limiter slot', async () => {
+            const order = [];
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(200, openAIReply('Big', 60200))
+                .post('/v1/chat/completions')
+                .reply(200, () => {
+                    order.push('openai');
+                    return openAIReply('Small', 20);
+                });
+            nock('https://api.anthropic.com')
+                .post('/v1/messages')
+                .reply(200, () => {
+                    order.push('anthropic');
+                    return { content: [{ type: 'text', text: 'Other provider' }], usage: { input_tokens: 10, output_tokens: 10 } };
+                });
+
+            const create = () => ModelMix.new({
+                config: {
+                    debug: false,
+                    limiterGroup: 'tpm-admission',
+                    bottleneck: { maxConcurrent: 1, minTime: 0 },
+                    tpm: { models: { 'gpt-5-mini': 60000 }, reserveOutput: false }
+                }
+            });
+            expect(await create().gpt5mini({ config: { apiKey: 'tpm-admission-key' } }).addText('Hello').message()).to.equal('Big');
+
+            const waiting = create().gpt5mini({ config: { apiKey: 'tpm-admission-key' } }).addText('Hello').message();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            const other = create().sonnet46().addText('Hello').message();
+
+            expect(await Promise.all([waiting, other])).to.deep.equal(['Small', 'Other provider']);
+            expect(order).to.deep.equal(['anthropic', 'openai']);
+        });
+
+        it('should return the reservation when the request fails', async () => {
+            nock('https://api.openai.com')
+                .post('/v1/chat/completions')
+                .reply(400, { error: 'Bad request' });
+
+            const model = createModel('tpm-failure-key');
+            await model.addText('x'.repeat(4000)).message().catch(() => {});
+            expect(model.getTokenLimiterState()[0].buckets[0].available).to.equal(60000);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { MixCustom, ModelMix } = require('../index.js');
+
+function createTracer() {
+    const spans = [];
+    return {
+        spans,
+        startSpan(name, options = {}, context) {
+            const span = {
+                name,
+                kind: options.kind,
+                attributes: { ...options.attributes },
+                parent: context?.parentSpan ?? null,
+                status: null,
+                exceptions: [],
+                ended: false,
+                setAttribute(key, value) { this.attributes[key] = value; },
+                setAttributes(attributes) { Object.assign(this.attributes, attributes); },
+                recordException(error) { this.exceptions.push(error); },
+                setStatus(status) { this.status = status; },
+                end() { this.ended = true; }
+            };
+            spans.push(span);
+            return span;
+        },
+        find(name) {
+            return spans.find(span => span.name === name);
+        }
+    };
+}
+
+describe('Tracing', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = (content, extra = {}) => ({
+        model: 'gpt-5-mini-2025-08-07',
+        choices: [{ message: { role: 'assistant', content, ...extra } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    });
+
+    it('should trace the call with a span per attempt and retry using GenAI attributes', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(503, { error: { message: 'Unavailable' } })
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('From fallback'));
+
+        const tracer = createTracer();
+        const model = ModelMix.new({
+            config: {
+                debug: false,
+                tracer,
+                bottleneck: { minTime: 0 },
+                retry: { enabled: true, retries: 1, baseDelayMs: 1, maxDelayMs: 1, jitter: 0 }
+            }
+        }).gpt5nano().gpt5mini();
+
+        expect(await model.addText('Hello').message()).to.equal('From fallback');
+
+        expect(tracer.spans.map(span => span.name)).to.deep.equal([
+            'modelmix.execute',
+            'chat gpt-5-nano',
+            'retry gpt-5-nano',
+            'chat gpt-5-mini'
+        ]);
+        const [root, failed, retry, success] = tracer.spans;
+        expect(tracer.spans.every(span => span.ended)).to.equal(true);
+        expect(root.parent).to.equal(null);
+        expect(failed.parent).to.equal(root);
+        expect(retry.parent).to.equal(failed);
+        expect(success.parent).to.equal(root);
+
+        expect(failed.status.code).to.equal(2);
+        expect(failed.attributes).to.include({ 'error.type': '503', 'modelmix.retries': 1 });
+        expect(retry.attributes['modelmix.retry']).to.equal(1);
+        expect(success.kind).to.equal(2);
+        expect(success.attributes).to.include({
+            'gen_ai.operation.name': 'chat',
+            'gen_ai.provider.name': 'openai',
+            'gen_ai.request.model': 'gpt-5-mini',
+            'gen_ai.response.model': 'gpt-5-mini-2025-08-07',
+            'gen_ai.usage.input_tokens': 1000,
+            'gen_ai.usage.output_tokens': 100,
+            'modelmix.attempt': 1
+        });
+        expect(success.attributes['modelmix.usage.cost']).to.be.above(0);
+        expect(root.attributes['modelmix.models']).to.deep.equal(['gpt-5-nano', 'gpt-5-mini']);
+        expect(root.attributes['gen_ai.usage.output_tokens']).to.equal(100);
+    });
+
+    it('should nest tool calls under the call span', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply(null, {
+                tool_calls: [{ id: 'call_add', type: 'function', function: { name: 'add', arguments: '{"a":2,"b":2}' } }]
+            }))
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('It is 4.'));
+
+        const tracer = createTracer();
+        const model = ModelMix.new({ config: { debug: false, tracer, bottleneck: { minTime: 0 } } }).gpt5mini();
+        model.addTool({ name: 'add', description: 'Adds.', inputSchema: { type: 'object' } }, ({ a, b }) => a + b);
+
+        expect(await model.addText('2 + 2?').message()).to.equal('It is 4.');
+
+        const root = tracer.find('modelmix.execute');
+        const tool = tracer.find('execute_tool add');
+        expect(tracer.spans.filter(span => span.name === 'modelmix.execute')).to.have.length(1);
+        expect(tool.parent).to.equal(root);
+        expect(tool.attributes).to.include({ 'gen_ai.tool.name': 'add', 'gen_ai.tool.call.id': 'call_add' });
+        expect(tracer.spans.filter(span => span.name === 'chat gpt-5-mini').every(span => span.parent === root)).to.equal(true);
+    });
+
+    it('should nest plugins and their invoke() children under the parent span', async () => {
+        const provider = new MixCustom();
+        provider.create = async () => ({ message: 'done', toolCalls: [] });
+        const tracer = createTracer();
+        const model = ModelMix.new({ config: { debug: false, tracer, bottleneck: { minTime: 0 } } })
+            .attach('custom', provider)
+            .use({
+                name: 'router',
+                async execute(context, next) {
+                    if (context.execution.depth > 0) return next();
+                    await context.invoke({ messages: [{ role: 'user', content: 'child' }], plugins: 'none' });
+                    return next();
+                }
+            })
+            .addText('Hello');
+
+        await model.message();
+
+        const [root, plugin, child, childAttempt, attempt] = tracer.spans;
+        expect(tracer.spans.map(span => span.name)).to.deep.equal([
+            'modelmix.execute',
+            'modelmix.plugin router',
+            'modelmix.execute',
+            'chat custom',
+            'chat custom'
+        ]);
+        expect(plugin.parent).to.equal(root);
+        expect(child.parent).to.equal(plugin);
+        expect(childAttempt.parent).to.equal(child);
+        expect(attempt.parent).to.equal(plugin);
+        expect(tracer.spans.every(span => span.ended)).to.equal(true);
+    });
+
+    it('should validate the tracer', async () => {
+        const model = ModelMix.new({ config: { tracer: {} } }).gpt5mini().addText('Hello');
+        await model.message().then(
+            () => expect.fail('Should have thrown'),
+            error => expect(error).to.be.instanceOf(TypeError)
+        );
+    });
+});
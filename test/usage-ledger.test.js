@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const { ModelMix, UsageLedger } = require('../index.js');
+
+describe('Usage Ledger', () => {
+
+    if (global.setupTestHooks) {
+        global.setupTestHooks();
+    }
+
+    afterEach(() => {
+        nock.cleanAll();
+        sinon.restore();
+    });
+
+    const openAIReply = content => ({
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: {
+            prompt_tokens: 1000,
+            completion_tokens: 100,
+            total_tokens: 1100,
+            prompt_tokens_details: { cached_tokens: 400 }
+        }
+    });
+
+    const baseConfig = { debug: false, bottleneck: { minTime: 0 } };
+
+    it('should record every call with tokens, cache metrics and cost', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(200, openAIReply('Hi'));
+
+        const model = ModelMix.new({ config: baseConfig }).gpt5mini();
+        await model.addText('Hello').message();
+        await model.addText('Again').message();
+
+        const entries = model.getUsageLedger().entries();
+        expect(entries).to.have.length(2);
+        const [first, second] = entries;
+        expect(first).to.include({ model: 'gpt-5-mini', provider: 'openai', source: 'provider', parentExecutionId: null });
+        expect(first).to.include({ input: 1000, output: 100, cached: 400 });
+        expect(first.cost).to.be.greaterThan(0);
+        expect(first.cacheSavings).to.be.greaterThan(0);
+        expect(first.executionId).to.be.a('string');
+        expect(second.executionId).to.not.equal(first.executionId);
+        expect(Date.parse(first.timestamp)).to.be.closeTo(Date.now(), 5000);
+    });
+
+    it('should link plugin child calls to the parent execution', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .reply(200, openAIReply('Child'));
+
+        let parentExecutionId;
+        const model = ModelMix.new({ config: baseConfig })
+            .gpt5mini()
+            .use({
+                name: 'delegate',
+                async execute(context, next) {
+                    if (context.execution.depth > 0) return next();
+                    parentExecutionId = context.execution.executionId;
+                    return context.invoke({ messages: [{ role: 'user', content: [{ type: 'text', text: 'child' }] }] });
+                }
+            })
+            .addText('Hello');
+
+        await model.message();
+
+        const [entry] = model.getUsageLedger().entries();
+        expect(entry.parentExecutionId).to.equal(parentExecutionId);
+        expect(entry.executionId).to.be.a('string').and.not.equal(parentExecutionId);
+    });
+
+    it('should share a ledger passed in the config', async () => {
+        nock('https://api.openai.com')
+            .post('/v1/chat/completions')
+            .times(2)
+            .reply(200, openAIReply('Hi'));
+
+        const ledger = new UsageLedger();
+        const first = ModelMix.new({ config: { ...baseConfig, usageLedger: ledger } }).gpt5mini();
+        const second = ModelMix.new({ config: { ...baseConfig, usageLedger: ledger } }).gpt5nano();
+        await first.addText('Hello').message();
+        await second.addText('Hello').message();
+
+        expect(first.getUsageLedger()).to.equal(ledger);
+        expect(ledger.entries().map(entry => entry.model)).to.deep.equal(['gpt-5-mini', 'gpt-5-nano']);
+        expect(first.usageLedger.entries()).to.be.empty;
+    });
+
+    it('should summarize by model and by day', () => {
+        const ledger = new UsageLedger();
+        ledger.record({ timestamp: '2026-03-01T10:00:00Z', model: 'gpt-5-mini', provider: 'openai', tokens: { input: 10, output: 5, cost: 0.5 } });
+        ledger.record({ timestamp: '2026-03-01T23:00:00Z', model: 'sonnet-5', provider: 'anthropic', tokens: { input: 20, output: 1, cost: 1 } });
+        ledger.record({ timestamp: '2026-03-02T01:00:00Z', model: 'gpt-5-mini', provider: 'openai', tokens: { input: 5, cost: 0.25 } });
+
+        const byModel = ledger.summary();
+        expect(byModel['gpt-5-mini']).to.include({ calls: 2, input: 15, output: 5, cost: 0.75 });
+        expect(byModel['sonnet-5']).to.include({ calls: 1, cost: 1 });
+
+        const byDay = ledger.summary({ by: 'day' });
+        expect(Object.keys(byDay)).to.deep.equal(['2026-03-01', '2026-03-02']);
+        expect(byDay['2026-03-01']).to.include({ calls: 2, input: 30, cost: 1.5 });
+        expect(() => ledger.summary({ by: 'week' })).to.throw(TypeError);
+    });
+
+    it('should export CSV and JSON', () => {
+        const ledger = new UsageLedger();
+        ledger.record({ timestamp: '2026-03-01T10:00:00Z', model: 'custom, "quoted"', provider: 'custom', executionId: 'exec-1', tokens: { input: 10, cost: 0.5 } });
+
+        const [header, row] = ledger.toCSV().trim().split('\n');
+        expect(header).to.equal('timestamp,model,provider,executionId,parentExecutionId,source,input,output,thinking,cached,cacheWrite,cacheSavings,cacheWritePremium,cost');
+        expect(row).to.equal('2026-03-01T10:00:00.000Z,"custom, ""quoted""",custom,exec-1,,provider,10,0,0,0,0,0,0,0.5');
+
+        const exported = JSON.parse(JSON.stringify(ledger));
+        expect(exported).to.deep.equal(ledger.entries());
+        expect(ledger.clear().entries()).to.be.empty;
+    });
+
+    it('should reject an invalid ledger', async () => {
+        const model = ModelMix.new({ config: { ...baseConfig, usageLedger: {} } }).gpt5mini().addText('Hello');
+        let error;
+        try {
+            await model.message();
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+        expect(error.message).to.equal('config.usageLedger must provide record(entry).');
+    });
+});